@@ -3,114 +3,365 @@
  * Copyright (c) 2025, 秦心桜
  * Licensed under BSD 2-Clause License
  *
- * @fileoverview AI content moderation module using Google Gemini API.
- * Provides text and image safety checking with multi-key rotation support.
+ * @fileoverview AI content moderation module.
+ * Runs text and image safety checks through a chain of pluggable providers
+ * (Gemini, OpenAI-compatible, Workers AI, local rules) chosen with
+ * ENV_MODERATION_PROVIDERS. Voice and audio are transcribed, then checked
+ * as text.
  */
 
-import { GEMINI_MODEL } from "./config.js";
+import {
+  DEFAULT_MODERATION_PROVIDERS,
+  SHADOW_MODERATION_PROMPT,
+} from "./config.js";
+import { createGeminiProvider } from "./providers/gemini.js";
+import {
+  createOpenAIChatProvider,
+  createOpenAIModerationProvider,
+} from "./providers/openai.js";
+import { createWorkersAIProvider } from "./providers/workers-ai.js";
+import { createRulesProvider } from "./providers/rules.js";
+import {
+  createVerdict,
+  buildModerationPrompt,
+  DEFAULT_POLICY_RULES,
+  MODERATION_CATEGORIES,
+} from "./providers/shared.js";
+import {
+  getActivePolicy,
+  getCachedImageVerdict,
+  cacheImageVerdict,
+  recordShadowResult,
+} from "./storage.js";
+
+/**
+ * @typedef {Object} Verdict
+ * @property {boolean} unsafe - Whether the content violates the policy
+ * @property {Array<string>} categories - Violated categories, e.g. "scam"
+ * @property {number|null} confidence - Model confidence from 0 to 1
+ * @property {string} rationale - Short explanation from the provider
+ * @property {string} reason - Categories, rationale and confidence in one
+ *           line, shown to admins and guests
+ * @property {boolean} [unavailable] - Set when no provider could be reached;
+ *           the caller applies MODERATION_FAILURE_POLICY
+ * @property {number} [ruleId] - Set when a local filter rule (see
+ *           filters.js) produced the verdict instead of a provider
+ */
+
+/**
+ * @typedef {Object} ImageInput
+ * @property {Uint8Array} bytes - Raw image bytes
+ * @property {string} data - Base64-encoded image
+ * @property {string} mimeType - Detected MIME type
+ */
+
+/**
+ * @typedef {Object} AudioInput
+ * @property {Uint8Array} bytes - Raw audio bytes
+ * @property {string} data - Base64-encoded audio
+ * @property {string} mimeType - MIME type reported by Telegram
+ */
+
+/**
+ * A moderation provider. Checks resolve to a Verdict, or to null when the
+ * provider cannot decide (borderline score, no rule matched), and throw
+ * when the provider is unavailable (HTTP error, network failure). In both
+ * cases the next provider in the chain is asked.
+ *
+ * @typedef {Object} ModerationProvider
+ * @property {string} name - Provider name used in ENV_MODERATION_PROVIDERS
+ * @property {function(string): Promise<Verdict|null>} checkText
+ * @property {function(ImageInput, string): Promise<Verdict|null>} [checkImage]
+ * @property {function(AudioInput): Promise<string>} [transcribe] - Speech to
+ *           text; throws when unavailable
+ */
 
 // ============================================
-// API Key Management
+// Provider Registry
 // ============================================
 
-let apiKeyIndex = 0;
-let apiUsageStats = {};
+/**
+ * Provider factories by name, called with (env, kv). Each returns null when
+ * not configured.
+ */
+const PROVIDERS = {
+  rules: createRulesProvider,
+  gemini: createGeminiProvider,
+  openai: createOpenAIChatProvider,
+  "openai-moderation": createOpenAIModerationProvider,
+  "workers-ai": createWorkersAIProvider,
+};
 
 /**
- * Get next API key using round-robin rotation.
- * Distributes API calls evenly across all available keys.
+ * Build the provider chain from ENV_MODERATION_PROVIDERS, a comma-separated
+ * list tried in order (e.g. "rules,openai-moderation,gemini").
+ * Unknown or unconfigured providers are skipped.
  *
- * @param {string|Array<string>} apiKeys - Single key or array of keys
- * @returns {string} Selected API key
- * @throws {Error} If no API keys provided
+ * @param {Object} env - Environment variables and bindings
+ * @param {KVNamespace|null} [kv=null] - KV namespace for provider state
+ *        such as API key health
+ * @returns {Array<ModerationProvider>} Configured providers in order
  */
-function getNextApiKey(apiKeys) {
-  if (typeof apiKeys === "string") {
-    return apiKeys;
+export function getModerationProviders(env, kv = null) {
+  const names = (env.ENV_MODERATION_PROVIDERS || DEFAULT_MODERATION_PROVIDERS)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const providers = [];
+  for (const name of names) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      console.warn(`[AI] Unknown moderation provider: ${name}`);
+      continue;
+    }
+    const provider = factory(env, kv);
+    if (provider) providers.push(provider);
   }
+  return providers;
+}
 
-  if (!Array.isArray(apiKeys) || apiKeys.length === 0) {
-    throw new Error("No API keys provided");
-  }
+/**
+ * Check whether at least one moderation provider is configured.
+ * @param {Object} env - Environment variables and bindings
+ * @returns {boolean}
+ */
+export function isModerationConfigured(env) {
+  return getModerationProviders(env).length > 0;
+}
 
-  const key = apiKeys[apiKeyIndex % apiKeys.length];
-  apiKeyIndex++;
-  apiUsageStats[key] = (apiUsageStats[key] || 0) + 1;
-  console.log(
-    `[AI] Using API key #${(apiKeyIndex % apiKeys.length) + 1}, Total uses: ${apiUsageStats[key]}`,
-  );
+/**
+ * Build the verdict returned when moderation could not run.
+ * @param {string} error - What went wrong
+ * @returns {Verdict}
+ */
+function unavailableVerdict(error) {
+  return {
+    ...createVerdict(false, { rationale: `Moderation unavailable: ${error}` }),
+    unavailable: true,
+  };
+}
+
+/**
+ * Ask each provider in turn until one returns a verdict.
+ * @param {Array<ModerationProvider>} providers - Provider chain
+ * @param {function(ModerationProvider): Promise<Verdict|null>} check
+ * @param {string} [label=""] - Log prefix for the provider names
+ * @returns {Promise<Verdict|null>} Unsafe or unavailable verdict, or null
+ *          if safe or no provider could decide
+ */
+async function runChain(providers, check, label = "") {
+  let lastError = null;
 
-  return key;
+  for (const provider of providers) {
+    const name = `${label}${provider.name}`;
+    let verdict = null;
+    try {
+      verdict = await check(provider);
+    } catch (e) {
+      console.log(`[AI] ${name} failed: ${e.message}`);
+      lastError = `${provider.name}: ${e.message}`;
+      continue;
+    }
+
+    if (!verdict) {
+      console.log(`[AI] ${name}: no verdict`);
+      continue;
+    }
+
+    console.log(
+      `[AI] ${name}: ${verdict.unsafe ? `UNSAFE (${verdict.reason})` : "SAFE"}`,
+    );
+    return verdict.unsafe ? verdict : null;
+  }
+
+  // Undecided is fine; undecided because a provider was down is not
+  return lastError ? unavailableVerdict(lastError) : null;
 }
 
 // ============================================
-// Content Moderation Prompt
+// Moderation Policy
 // ============================================
 
+/** Model variable of each provider a policy model name can replace */
+const POLICY_MODEL_VARS = {
+  gemini: "ENV_GEMINI_MODEL",
+  openai: "ENV_OPENAI_MODEL",
+  "workers-ai": "ENV_WORKERS_AI_MODEL",
+};
+
+/**
+ * Apply the admin-edited policy (/policy) to the env: its rules and enabled
+ * categories become the prompt, and its model replaces the model of the
+ * first LLM provider in the chain.
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object|null} policy - Active policy from KV
+ * @returns {Object} Env for the live chain
+ */
+function applyPolicy(env, policy) {
+  if (!policy) return env;
+
+  const disabled = policy.disabledCategories || [];
+  const policyEnv = {
+    ...env,
+    ENV_MODERATION_PROMPT: buildModerationPrompt(
+      policy.rules || DEFAULT_POLICY_RULES,
+      MODERATION_CATEGORIES.filter((c) => !disabled.includes(c)),
+    ),
+  };
+
+  if (policy.model) {
+    const primary = (
+      env.ENV_MODERATION_PROVIDERS || DEFAULT_MODERATION_PROVIDERS
+    )
+      .split(",")
+      .map((name) => POLICY_MODEL_VARS[name.trim()])
+      .find(Boolean);
+    if (primary) policyEnv[primary] = policy.model;
+  }
+  return policyEnv;
+}
+
 /**
- * System prompt for content moderation.
- * Instructs the AI to classify content as SAFE or UNSAFE.
- * Designed for minimal token usage with one-word output.
+ * Drop unsafe verdicts whose categories are all disabled by the policy.
+ * @param {Verdict|null} verdict - Chain verdict
+ * @param {Object|null} policy - Active policy from KV
+ * @returns {Verdict|null} Verdict, or null if only disabled categories hit
  */
-const MODERATION_PROMPT = `
-# Role
-Content Moderator API. Output one word only.
+function applyCategoryToggles(verdict, policy) {
+  const disabled = policy?.disabledCategories || [];
+  if (!verdict?.unsafe || !verdict.categories.length || !disabled.length) {
+    return verdict;
+  }
+  if (verdict.categories.every((c) => disabled.includes(c))) {
+    console.log(`[AI] Ignoring disabled categories: ${verdict.reason}`);
+    return null;
+  }
+  return verdict;
+}
+
+// ============================================
+// Shadow Moderation
+// ============================================
 
-# Rules
-UNSAFE if:
-- Real human nudity/sex
-- QR codes/spam/ads/gambling promotion
-- Real gore/shock content
-- Illegal content promotion
-- Scam/phishing attempts
+/**
+ * Build the env for the shadow chain, or null when shadow mode is off.
+ * ENV_SHADOW_* variables replace the live provider list and models, and
+ * SHADOW_MODERATION_PROMPT replaces the prompt.
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object|null} Shadow env
+ */
+function getShadowEnv(env) {
+  if (!env.ENV_SHADOW_MODERATION_PROVIDERS) return null;
+  return {
+    ...env,
+    ENV_MODERATION_PROVIDERS: env.ENV_SHADOW_MODERATION_PROVIDERS,
+    ENV_GEMINI_MODEL: env.ENV_SHADOW_GEMINI_MODEL || env.ENV_GEMINI_MODEL,
+    ENV_OPENAI_MODEL: env.ENV_SHADOW_OPENAI_MODEL || env.ENV_OPENAI_MODEL,
+    ENV_WORKERS_AI_MODEL:
+      env.ENV_SHADOW_WORKERS_AI_MODEL || env.ENV_WORKERS_AI_MODEL,
+    ENV_MODERATION_PROMPT:
+      SHADOW_MODERATION_PROMPT || env.ENV_MODERATION_PROMPT,
+  };
+}
 
-SAFE if:
-- 2D/Anime/Cartoon (even suggestive)
-- Normal photos/text/screenshots
-- Regular conversation
+/**
+ * Check whether a shadow chain is configured.
+ * @param {Object} env - Environment variables and bindings
+ * @returns {boolean}
+ */
+export function isShadowModerationEnabled(env) {
+  return getShadowEnv(env) !== null;
+}
 
-# Output
-One word: "SAFE" or "UNSAFE"
+/**
+ * Run the live chain, and with `shadow` set the shadow chain alongside it.
+ * Only the live verdict is returned; the shadow verdict is recorded for
+ * /modreport and never acts. Both chains follow the active /policy.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {KVNamespace|null} kv - KV namespace (required for shadow mode
+ *        and the admin-edited policy)
+ * @param {{capability: string, shadow?: boolean,
+ *          sample: {kind: string, preview: string}}} options - Provider
+ *        method to use, whether to run the shadow chain, and what to record
+ * @param {function(ModerationProvider): Promise<Verdict|null>} check
+ * @returns {Promise<Verdict|null>} Live verdict
+ */
+async function runModeration(env, kv, { capability, shadow, sample }, check) {
+  const policy = kv ? await getActivePolicy(kv) : null;
+  env = applyPolicy(env, policy);
+
+  const live = getModerationProviders(env, kv).filter((p) => p[capability]);
+  const shadowEnv = shadow && kv ? getShadowEnv(env) : null;
+  if (!shadowEnv) {
+    return applyCategoryToggles(await runChain(live, check), policy);
+  }
 
-Analyze the content:`;
+  const shadowProviders = getModerationProviders(shadowEnv, kv).filter(
+    (p) => p[capability],
+  );
+  const [liveVerdict, shadowVerdict] = (
+    await Promise.all([
+      runChain(live, check),
+      runChain(shadowProviders, check, "shadow/"),
+    ])
+  ).map((verdict) => applyCategoryToggles(verdict, policy));
+
+  // Nothing to compare against when the live chain could not decide
+  if (!liveVerdict?.unavailable) {
+    try {
+      await recordShadowResult(kv, sample, liveVerdict, shadowVerdict);
+    } catch (e) {
+      console.error(`[AI] Failed to record shadow result: ${e.message}`);
+    }
+  }
+  return liveVerdict;
+}
 
 // ============================================
 // Text Content Moderation
 // ============================================
 
 /**
- * Check text content safety using Google Gemini.
+ * Check text content safety with the configured providers.
  *
  * @param {string} text - Text content to check
- * @param {string|Array<string>} apiKeys - Gemini API key(s)
- * @param {string} [model=GEMINI_MODEL] - Model to use
- * @returns {Promise<string|null>} Reason if unsafe, null if safe
+ * @param {Object} env - Environment variables and bindings
+ * @param {KVNamespace|null} [kv=null] - KV namespace for provider state
+ * @param {{shadow?: boolean}} [options] - Also run the shadow chain (guest
+ *        traffic only, so admin checks do not skew /modreport)
+ * @returns {Promise<Verdict|null>} Unsafe or unavailable verdict, or null
+ *          if safe
  *
  * @example
- * const result = await checkContentSafety("Hello world", apiKeys);
- * if (result) {
- *   console.log("Unsafe:", result);
+ * const verdict = await checkContentSafety("Hello world", env, kv);
+ * if (verdict) {
+ *   console.log("Unsafe:", verdict.reason);
  * }
  */
-export async function checkContentSafety(text, apiKeys, model = GEMINI_MODEL, baseUrl = null) {
-  if (!text || text.length < 2 || !apiKeys) {
+export async function checkContentSafety(
+  text,
+  env,
+  kv = null,
+  { shadow = false } = {},
+) {
+  if (!text || text.length < 2) {
     return null;
   }
 
-  const keys = Array.isArray(apiKeys) ? apiKeys : [apiKeys];
-  const maxRetries = keys.length;
-
   console.log(`[AI] Checking text: "${text.substring(0, 30)}..."`);
 
-  const payload = {
-    contents: [
-      {
-        parts: [{ text: `${MODERATION_PROMPT} ${JSON.stringify(text)}` }],
-      },
-    ],
-  };
-
-  return await callGeminiApi(payload, keys, maxRetries, model, baseUrl);
+  return runModeration(
+    env,
+    kv,
+    {
+      capability: "checkText",
+      shadow,
+      sample: { kind: "text", preview: text.substring(0, 100) },
+    },
+    (p) => p.checkText(text),
+  );
 }
 
 // ============================================
@@ -118,183 +369,204 @@ export async function checkContentSafety(text, apiKeys, model = GEMINI_MODEL, ba
 // ============================================
 
 /**
- * Check image content safety using Google Gemini vision model.
- * Downloads image, converts to base64, and sends for analysis.
+ * Download a file and base64-encode it.
+ * @param {string} url - URL of the file
+ * @param {string} kind - What is downloaded, for the error message
+ * @returns {Promise<{bytes: Uint8Array, data: string}>} File contents
+ * @throws {Error} If the download fails
+ */
+async function downloadFile(url, kind) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${kind} download failed: HTTP ${response.status}`);
+  }
+
+  const uint8Array = new Uint8Array(await response.arrayBuffer());
+
+  // Convert to base64 in chunks to avoid stack overflow on large files
+  let binary = "";
+  const chunkSize = 8192;
+  for (let i = 0; i < uint8Array.length; i += chunkSize) {
+    const chunk = uint8Array.subarray(i, i + chunkSize);
+    binary += String.fromCharCode.apply(null, chunk);
+  }
+  return { bytes: uint8Array, data: btoa(binary) };
+}
+
+/**
+ * Download an image and encode it for the providers.
+ * @param {string} imageUrl - URL of the image
+ * @returns {Promise<ImageInput>} Image
+ * @throws {Error} If the download fails
+ */
+export async function downloadImage(imageUrl) {
+  const { bytes: uint8Array, data: base64Image } = await downloadFile(
+    imageUrl,
+    "image",
+  );
+
+  // Detect MIME type from URL or magic bytes
+  let mimeType = "image/jpeg";
+  if (imageUrl.includes(".png")) {
+    mimeType = "image/png";
+  } else if (imageUrl.includes(".gif")) {
+    mimeType = "image/gif";
+  } else if (imageUrl.includes(".webp")) {
+    mimeType = "image/webp";
+  } else if (uint8Array[0] === 0x89 && uint8Array[1] === 0x50) {
+    mimeType = "image/png"; // PNG signature: 89 50
+  } else if (uint8Array[0] === 0x47 && uint8Array[1] === 0x49) {
+    mimeType = "image/gif"; // GIF signature: 47 49
+  } else if (uint8Array[0] === 0x52 && uint8Array[1] === 0x49) {
+    mimeType = "image/webp"; // WebP signature: 52 49
+  }
+
+  console.log(
+    `[AI] Image downloaded, size: ${uint8Array.length} bytes, type: ${mimeType}`,
+  );
+
+  return { bytes: uint8Array, data: base64Image, mimeType };
+}
+
+/**
+ * Check image content safety with the configured vision-capable providers.
+ * Downloads the image once and shares it across the chain.
  *
- * @param {string} imageUrl - URL of the image to check
- * @param {string|Array<string>} apiKeys - Gemini API key(s)
- * @param {string} [caption=""] - Optional caption text
- * @param {string} [model=GEMINI_MODEL] - Model to use (must support vision)
- * @returns {Promise<string|null>} Reason if unsafe, null if safe
+ * With a KV namespace and the Telegram file_unique_id, verdicts are cached
+ * (see getCachedImageVerdict): a known file skips the download, and a
+ * known picture under a new file ID skips the providers.
+ *
+ * @param {string|null} imageUrl - URL of the image to check, or null when
+ *        Telegram could not provide one (moderation is then unavailable)
+ * @param {Object} env - Environment variables and bindings
+ * @param {KVNamespace|null} [kv=null] - KV namespace for provider state
+ *        and the image cache
+ * @param {{caption?: string, fileUniqueId?: string, shadow?: boolean}}
+ *        [options] - Caption sent along with the image, the file_unique_id
+ *        that enables the cache, and whether to run the shadow chain
+ * @returns {Promise<Verdict|null>} Unsafe or unavailable verdict, or null
+ *          if safe
  */
 export async function checkImageSafety(
   imageUrl,
-  apiKeys,
-  caption = "",
-  model = GEMINI_MODEL,
-  baseUrl = null,
+  env,
+  kv = null,
+  { caption = "", fileUniqueId = null, shadow = false } = {},
 ) {
-  if (!imageUrl || !apiKeys) {
+  const providers = getModerationProviders(env, kv).filter((p) => p.checkImage);
+  if (providers.length === 0) {
     return null;
   }
 
-  const keys = Array.isArray(apiKeys) ? apiKeys : [apiKeys];
-  const maxRetries = keys.length;
+  if (!imageUrl) {
+    return unavailableVerdict("image file unavailable");
+  }
+
+  const useCache = Boolean(kv && fileUniqueId);
+  if (useCache) {
+    const cached = await getCachedImageVerdict(kv, { uniqueId: fileUniqueId });
+    if (cached.hit) {
+      console.log(`[AI] Image cache hit: ${fileUniqueId}`);
+      return cached.result;
+    }
+  }
 
   console.log(`[AI] Checking image: ${imageUrl.substring(0, 50)}...`);
 
+  let image;
   try {
-    const imageResponse = await fetch(imageUrl);
-    if (!imageResponse.ok) {
-      console.log(`[AI] Failed to download image: ${imageResponse.status}`);
-      return null;
-    }
-
-    const imageBuffer = await imageResponse.arrayBuffer();
-    const uint8Array = new Uint8Array(imageBuffer);
+    image = await downloadImage(imageUrl);
+  } catch (e) {
+    console.log(`[AI] Image processing error: ${e.message}`);
+    return unavailableVerdict(e.message);
+  }
 
-    // Convert to base64 in chunks to avoid stack overflow on large images
-    let binary = "";
-    const chunkSize = 8192;
-    for (let i = 0; i < uint8Array.length; i += chunkSize) {
-      const chunk = uint8Array.subarray(i, i + chunkSize);
-      binary += String.fromCharCode.apply(null, chunk);
-    }
-    const base64Image = btoa(binary);
-
-    // Detect MIME type from URL or magic bytes
-    let mimeType = "image/jpeg";
-    if (imageUrl.includes(".png")) {
-      mimeType = "image/png";
-    } else if (imageUrl.includes(".gif")) {
-      mimeType = "image/gif";
-    } else if (imageUrl.includes(".webp")) {
-      mimeType = "image/webp";
-    } else if (uint8Array[0] === 0x89 && uint8Array[1] === 0x50) {
-      mimeType = "image/png"; // PNG signature: 89 50
-    } else if (uint8Array[0] === 0x47 && uint8Array[1] === 0x49) {
-      mimeType = "image/gif"; // GIF signature: 47 49
-    } else if (uint8Array[0] === 0x52 && uint8Array[1] === 0x49) {
-      mimeType = "image/webp"; // WebP signature: 52 49
+  if (useCache) {
+    const cached = await getCachedImageVerdict(kv, { bytes: image.bytes });
+    if (cached.hit) {
+      console.log(`[AI] Image cache hit by content hash: ${fileUniqueId}`);
+      await cacheImageVerdict(kv, { uniqueId: fileUniqueId }, cached.result);
+      return cached.result;
     }
+  }
 
-    console.log(
-      `[AI] Image downloaded, size: ${imageBuffer.byteLength} bytes, type: ${mimeType}`,
+  const verdict = await runModeration(
+    env,
+    kv,
+    {
+      capability: "checkImage",
+      shadow,
+      sample: { kind: "image", preview: caption.substring(0, 100) },
+    },
+    (p) => p.checkImage(image, caption),
+  );
+  if (useCache && !verdict?.unavailable) {
+    await cacheImageVerdict(
+      kv,
+      { uniqueId: fileUniqueId, bytes: image.bytes },
+      verdict,
     );
-
-    const parts = [
-      { inline_data: { mime_type: mimeType, data: base64Image } },
-      {
-        text: caption
-          ? `${MODERATION_PROMPT} (Caption: ${caption})`
-          : MODERATION_PROMPT,
-      },
-    ];
-
-    const payload = { contents: [{ parts }] };
-
-    return await callGeminiApi(payload, keys, maxRetries, model, baseUrl);
-  } catch (e) {
-    console.log(`[AI] Image processing error: ${e.message}`);
-    return null;
   }
+  return verdict;
 }
 
 // ============================================
-// Gemini API Client
+// Audio Content Moderation
 // ============================================
 
 /**
- * Call Gemini API with automatic retry and key rotation.
- * On failure, rotates to next API key and retries.
+ * Check voice or audio by transcribing it with the first provider that
+ * can, then checking the transcript as text. Audio without speech is safe.
  *
- * @param {Object} payload - Request payload
- * @param {Array<string>} keys - Array of API keys
- * @param {number} maxRetries - Maximum retry attempts
- * @param {string} model - Model name
- * @returns {Promise<string|null>} Reason if unsafe, null if safe or error
+ * @param {string|null} audioUrl - URL of the audio file, or null when
+ *        Telegram could not provide one (moderation is then unavailable)
+ * @param {Object} env - Environment variables and bindings
+ * @param {KVNamespace|null} [kv=null] - KV namespace for provider state
+ * @param {{mimeType?: string, shadow?: boolean}} [options] - MIME type
+ *        reported by Telegram, and whether to run the shadow chain on the
+ *        transcript
+ * @returns {Promise<Verdict|null>} Unsafe or unavailable verdict, or null
+ *          if safe or no provider can transcribe
  */
-async function callGeminiApi(payload, keys, maxRetries, model, baseUrl = null) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    const apiKey = getNextApiKey(keys);
-    const apiBase = baseUrl || "https://generativelanguage.googleapis.com";
-    const endpoint = `${apiBase}/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    try {
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) {
-        console.log(
-          `[AI] API Error (attempt ${attempt + 1}): ${response.status}`,
-        );
-        const errText = await response.text();
-        console.log(`[AI] Details: ${errText.substring(0, 200)}`);
-
-        if (attempt < maxRetries - 1) {
-          console.log(`[AI] Switching to next API key...`);
-          continue;
-        }
-        return null;
-      }
-
-      const data = await response.json();
-      const result = data.candidates?.[0]?.content?.parts?.[0]?.text
-        ?.trim()
-        .toUpperCase();
-
-      console.log(`[AI] Result: ${result}`);
-
-      if (result && result.includes("UNSAFE")) {
-        return "Content policy violation";
-      }
-      return null;
-    } catch (e) {
-      console.log(`[AI] Exception (attempt ${attempt + 1}): ${e.message}`);
-
-      if (attempt < maxRetries - 1) {
-        console.log(`[AI] Switching to next API key...`);
-        continue;
-      }
-      return null;
-    }
+export async function checkAudioSafety(
+  audioUrl,
+  env,
+  kv = null,
+  { mimeType = "audio/ogg", shadow = false } = {},
+) {
+  const providers = getModerationProviders(env, kv).filter((p) => p.transcribe);
+  if (providers.length === 0) {
+    console.log("[AI] No provider can transcribe, skipping audio");
+    return null;
   }
 
-  return null;
-}
-
-// ============================================
-// Utility Functions
-// ============================================
-
-/**
- * Get API usage statistics for monitoring.
- * @returns {Object.<string, number>} Map of API key to call count
- */
-export function getApiUsageStats() {
-  return { ...apiUsageStats };
-}
+  if (!audioUrl) {
+    return unavailableVerdict("audio file unavailable");
+  }
 
-/**
- * Parse API keys from environment variable string.
- * Supports both single key and comma-separated multiple keys.
- *
- * @param {string} keyString - API key string
- * @returns {string|Array<string>|null} Single key, array of keys, or null
- *
- * @example
- * parseApiKeys("key1") // returns "key1"
- * parseApiKeys("key1,key2,key3") // returns ["key1", "key2", "key3"]
- */
-export function parseApiKeys(keyString) {
-  if (!keyString) return null;
+  let audio;
+  try {
+    audio = { ...(await downloadFile(audioUrl, "audio")), mimeType };
+  } catch (e) {
+    console.log(`[AI] Audio processing error: ${e.message}`);
+    return unavailableVerdict(e.message);
+  }
 
-  if (keyString.includes(",")) {
-    return keyString.split(",").map((k) => k.trim());
+  let lastError = null;
+  for (const provider of providers) {
+    let transcript;
+    try {
+      transcript = await provider.transcribe(audio);
+    } catch (e) {
+      console.log(`[AI] ${provider.name} transcription failed: ${e.message}`);
+      lastError = `${provider.name}: ${e.message}`;
+      continue;
+    }
+    console.log(
+      `[AI] ${provider.name} transcript: "${transcript.substring(0, 30)}..."`,
+    );
+    return checkContentSafety(transcript, env, kv, { shadow });
   }
 
-  return keyString;
+  return unavailableVerdict(`transcription failed, ${lastError}`);
 }
@@ -0,0 +1,54 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Request authentication helpers for the Worker routes.
+ */
+
+/**
+ * Compare a provided secret with the expected one in constant time.
+ * Always walks the full expected value so the response time does not
+ * reveal how many leading characters matched.
+ *
+ * @param {string|null} provided - Value received from the client
+ * @param {string|null} expected - Configured secret
+ * @returns {boolean} True if both are non-empty and equal
+ */
+export function timingSafeEqual(provided, expected) {
+  if (typeof provided !== "string" || typeof expected !== "string") {
+    return false;
+  }
+  if (expected.length === 0) return false;
+
+  const encoder = new TextEncoder();
+  const a = encoder.encode(provided);
+  const b = encoder.encode(expected);
+
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < b.length; i++) {
+    diff |= (a[i] ?? 0) ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header.
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Token or null if missing
+ */
+export function getBearerToken(request) {
+  const header = request.headers.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Check that a management request carries the bot secret as bearer token.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {boolean} True if authorized
+ */
+export function isManagementRequestAuthorized(request, env) {
+  return timingSafeEqual(getBearerToken(request), env.ENV_BOT_SECRET);
+}
@@ -0,0 +1,147 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Runtime-independent update dispatcher.
+ * Shared by the Cloudflare Worker webhook and the Node.js polling runtime.
+ */
+
+import {
+  handleAdminMessage,
+  handleAdminEditedMessage,
+  handleCallbackQuery,
+} from "./handlers/admin.js";
+import {
+  handleGuestMessage,
+  handleGuestEditedMessage,
+  handleGuestChatMember,
+} from "./handlers/guest.js";
+import { markUpdateProcessed } from "./storage.js";
+import { getAdminRole } from "./roles.js";
+
+// ============================================
+// Update Handlers
+// ============================================
+
+const updateHandlers = {
+  message: handleMessageUpdate,
+  callback_query: handleCallbackUpdate,
+  edited_message: handleEditedMessage,
+  my_chat_member: handleChatMemberUpdate,
+};
+
+/** Update types the bot subscribes to (webhook and long polling) */
+export const ALLOWED_UPDATES = Object.keys(updateHandlers);
+
+/**
+ * Check whether a chat belongs to the admin side: the forum group or the
+ * private chat of an admin (owner, moderator or responder).
+ */
+async function isAdminChat(chatId, kv, env) {
+  const { ENV_FORUM_GROUP_ID } = env;
+  if (ENV_FORUM_GROUP_ID && chatId === ENV_FORUM_GROUP_ID) return true;
+  return (await getAdminRole(kv, env, chatId)) !== null;
+}
+
+/**
+ * Handle incoming message updates.
+ * Routes to admin or guest handler based on sender.
+ */
+async function handleMessageUpdate(update, telegram, kv, env) {
+  const message = update.message;
+  const chatId = message.chat.id.toString();
+
+  console.log(`[Message] From ${chatId}: ${message.text || "[Media]"}`);
+
+  if (await isAdminChat(chatId, kv, env)) {
+    return await handleAdminMessage(message, telegram, kv, env);
+  } else {
+    return await handleGuestMessage(message, telegram, kv, env);
+  }
+}
+
+/**
+ * Handle callback query updates from inline button clicks.
+ */
+async function handleCallbackUpdate(update, telegram, kv, env) {
+  const query = update.callback_query;
+  console.log(`[Callback] Action: ${query.data}`);
+
+  return await handleCallbackQuery(query, telegram, kv, env);
+}
+
+/**
+ * Handle bot membership changes, e.g. a guest blocking the bot.
+ */
+async function handleChatMemberUpdate(update, telegram, kv, env) {
+  const member = update.my_chat_member;
+  console.log(
+    `[ChatMember] ${member.chat.id}: ${member.old_chat_member.status} -> ${member.new_chat_member.status}`,
+  );
+
+  return await handleGuestChatMember(member, telegram, kv, env);
+}
+
+/**
+ * Handle edited message updates.
+ * Guest edits are synced onto the forwarded copy in the admin chat;
+ * admin edits of replies are mirrored to the guest.
+ */
+async function handleEditedMessage(update, telegram, kv, env) {
+  const message = update.edited_message;
+  const chatId = message.chat.id.toString();
+
+  console.log(`[Edit] Message ${message.message_id} was edited by ${chatId}`);
+
+  if (await isAdminChat(chatId, kv, env)) {
+    return await handleAdminEditedMessage(message, telegram, kv, env);
+  }
+
+  return await handleGuestEditedMessage(message, telegram, kv, env);
+}
+
+/**
+ * Skip updates that were already processed.
+ * Logs gaps and out-of-order delivery relative to the neighbouring ids.
+ * @returns {Promise<boolean>} True if the update should be processed
+ */
+async function checkUpdateOnce(update, kv) {
+  const updateId = update.update_id;
+  if (typeof updateId !== "number") return true;
+
+  const { duplicate, previousSeen, nextSeen } = await markUpdateProcessed(
+    kv,
+    updateId,
+  );
+  if (duplicate) {
+    console.log(`[Update] Skipping duplicate update ${updateId}`);
+    return false;
+  }
+
+  if (nextSeen) {
+    console.log(`[Update] Out-of-order update ${updateId}`);
+  } else if (!previousSeen) {
+    console.log(
+      `[Update] Gap before update ${updateId}: ${updateId - 1} not seen`,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Process incoming Telegram update.
+ * Dispatches to appropriate handler based on update type.
+ * Redelivered updates are skipped.
+ */
+export async function processUpdate(update, telegram, kv, env) {
+  if (!(await checkUpdateOnce(update, kv))) return;
+
+  for (const [type, handler] of Object.entries(updateHandlers)) {
+    if (type in update) {
+      await handler(update, telegram, kv, env);
+      return;
+    }
+  }
+}
@@ -12,7 +12,10 @@ export const WEBHOOK_PATH = "/endpoint";
 /** 模型名称 - Google Gemini model for content moderation */
 export const GEMINI_MODEL = "gemini-flash-lite-latest";
 
-/** 启用AI内容过滤 - Enable AI content filtering. Requires ENV_GEMINI_API_KEY. */
+/**
+ * 启用AI内容过滤 - Enable AI content filtering.
+ * Requires at least one configured moderation provider (see below).
+ */
 export const ENABLE_FILTER = true;
 
 /** 自动拉黑 - Auto-block users who send unsafe content */
@@ -25,6 +28,172 @@ export const AUTO_BLOCK = true;
  */
 export const LANGUAGE = "en";
 
+// ============================================
+// Moderation Providers Configuration
+// ============================================
+
+/**
+ * 审核服务链 - Providers tried in order until one gives a verdict.
+ * Override with ENV_MODERATION_PROVIDERS, e.g. "rules,openai-moderation,gemini".
+ * Available: "rules", "gemini", "openai", "openai-moderation", "workers-ai"
+ */
+export const DEFAULT_MODERATION_PROVIDERS = "gemini";
+
+/** OpenAI 聊天模型 - Chat model for the "openai" provider (ENV_OPENAI_MODEL) */
+export const OPENAI_MODEL = "gpt-4o-mini";
+
+/** OpenAI 审核模型 - Model for the "openai-moderation" provider */
+export const OPENAI_MODERATION_MODEL = "omni-moderation-latest";
+
+/**
+ * 升级阈值 - Category score from which unflagged content is passed on to
+ * the next provider instead of being declared safe
+ */
+export const OPENAI_ESCALATION_SCORE = 0.3;
+
+/** Workers AI 文本模型 - Text model for the "workers-ai" provider */
+export const WORKERS_AI_MODEL = "@cf/meta/llama-3.1-8b-instruct";
+
+/** Workers AI 视觉模型 - Image model for the "workers-ai" provider */
+export const WORKERS_AI_VISION_MODEL = "@cf/llava-hf/llava-1.5-7b-hf";
+
+/** OpenAI 转写模型 - Speech-to-text model for the "openai" provider */
+export const OPENAI_TRANSCRIPTION_MODEL = "whisper-1";
+
+/** Workers AI 转写模型 - Speech-to-text model for the "workers-ai" provider */
+export const WORKERS_AI_TRANSCRIPTION_MODEL = "@cf/openai/whisper";
+
+/**
+ * 本地规则 - Case-insensitive patterns for the "rules" provider.
+ * A match marks the message unsafe with the given category and reason.
+ */
+export const LOCAL_RULES = [
+  {
+    pattern: "t\\.me/(\\+|joinchat/)",
+    category: "spam",
+    reason: "Group invite link",
+  },
+  {
+    pattern: "(casino|博彩|赌场|百家乐)",
+    category: "gambling",
+    reason: "Gambling promotion",
+  },
+  {
+    pattern: "(double|triple) your (btc|bitcoin|eth|usdt|crypto)",
+    category: "scam",
+    reason: "Crypto scam",
+  },
+];
+
+/**
+ * 审核不可用策略 - What to do with a message when no provider could be
+ * reached: "allow" (deliver unchecked), "review" (hold for the admin) or
+ * "reject" (ask the guest to try again later)
+ */
+export const MODERATION_FAILURE_POLICY = "allow";
+
+/** 失败告警阈值 - Alert the admin after this many consecutive failures */
+export const MODERATION_ALERT_THRESHOLD = 5;
+
+/** 告警间隔 - Minimum seconds between failure alerts (1 hour) */
+export const MODERATION_ALERT_COOLDOWN_SECONDS = 3600;
+
+// ============================================
+// Shadow Moderation Configuration
+// ============================================
+
+/**
+ * 影子审核提示词 - Prompt tried by the shadow chain (null = live prompt).
+ * The shadow chain runs when ENV_SHADOW_MODERATION_PROVIDERS is set; its
+ * verdicts are only recorded for /modreport and never act. Models can be
+ * swapped with ENV_SHADOW_GEMINI_MODEL, ENV_SHADOW_OPENAI_MODEL and
+ * ENV_SHADOW_WORKERS_AI_MODEL.
+ */
+export const SHADOW_MODERATION_PROMPT = null;
+
+/** 分歧记录上限 - Most recent live/shadow disagreements kept for /modreport */
+export const SHADOW_DISAGREEMENT_LIMIT = 50;
+
+// ============================================
+// Media Moderation Configuration
+// ============================================
+
+/**
+ * 媒体审核策略 - How each media type is handled:
+ * "moderate" (AI check), "allow" (forward unchecked) or "reject" (refuse
+ * with a notice). Videos, GIFs, video notes and animated stickers are
+ * checked through their thumbnail; voice and audio are transcribed first,
+ * which needs a provider that can transcribe (gemini, openai, workers-ai).
+ */
+export const MEDIA_POLICY = {
+  photo: "moderate",
+  sticker: "moderate",
+  animation: "moderate",
+  video: "moderate",
+  video_note: "moderate",
+  document: "moderate",
+  voice: "allow",
+  audio: "allow",
+};
+
+/** 图片文件大小上限 - Image documents larger than this are checked by thumbnail */
+export const MAX_IMAGE_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+/** 转写时长上限 - Longer voice/audio is not transcribed (seconds) */
+export const MAX_TRANSCRIPTION_SECONDS = 300;
+
+// ============================================
+// Review Queue Configuration
+// ============================================
+
+/**
+ * 隔离审核 - Hold flagged messages for admin review (Approve / Reject /
+ * Block) instead of applying AUTO_BLOCK right away
+ */
+export const REVIEW_QUEUE_ENABLED = false;
+
+/**
+ * 置信度阈值 - Verdicts below this confidence always go to review,
+ * even when REVIEW_QUEUE_ENABLED is false
+ */
+export const REVIEW_CONFIDENCE_THRESHOLD = 0.7;
+
+/** 审核保留时间 - Pending review TTL in seconds (7 days) */
+export const REVIEW_TTL_SECONDS = 7 * 86400;
+
+// ============================================
+// Audit Log Configuration
+// ============================================
+
+/** 审计日志每页条数 - Entries per /audit page */
+export const AUDIT_PAGE_SIZE = 10;
+
+/** 审计日志导出条数 - Entries per /audit export file; older ones go in later parts */
+export const AUDIT_EXPORT_SIZE = 1000;
+
+// ============================================
+// Guest Profile Configuration
+// ============================================
+
+/** 访客资料历史条数上限 - Name and block history entries kept per guest */
+export const PROFILE_HISTORY_LIMIT = 20;
+
+// ============================================
+// Conversation History Configuration
+// ============================================
+
+/** 对话记录每页条数 - Messages per /history page */
+export const HISTORY_PAGE_SIZE = 10;
+
+/** 对话记录保留天数 - Days conversation history is kept before it expires */
+export const HISTORY_RETENTION_DAYS = 90;
+
+/** 对话记录过期时间 - Conversation history TTL in seconds */
+export const HISTORY_TTL_SECONDS = HISTORY_RETENTION_DAYS * 86400;
+
+/** 对话导出条数 - Messages per /export file; later ones go in later parts */
+export const HISTORY_EXPORT_SIZE = 1000;
+
 // ============================================
 // Forum Mode Configuration
 // ============================================
@@ -62,8 +231,68 @@ export const MOD_CACHE_MIN_LENGTH = 5;
 /** 内容审核缓存时间 - Moderation cache TTL in seconds (24 hours) */
 export const MOD_CACHE_TTL_SECONDS = 86400;
 
+/** 图片审核缓存时间 - Image/sticker moderation cache TTL in seconds (7 days) */
+export const IMAGE_CACHE_TTL_SECONDS = 7 * 86400;
+
 /** 频率限制缓存时间 - Rate limit record TTL in seconds */
 export const RATE_LIMIT_TTL_SECONDS = 120;
 
+/** 更新去重时间 - Processed update_id TTL in seconds (Telegram keeps updates for 24 hours) */
+export const UPDATE_DEDUP_TTL_SECONDS = 86400;
+
 /** API密钥显示长度 - Number of API key characters to show in stats */
 export const API_KEY_DISPLAY_LENGTH = 6;
+
+/** 限流冷却时间 - Seconds to skip an API key after HTTP 429 (rate limited) */
+export const API_KEY_COOLDOWN_SECONDS = 60;
+
+/** 禁用冷却时间 - Seconds to skip an API key after HTTP 403 (quota or permission) */
+export const API_KEY_FORBIDDEN_COOLDOWN_SECONDS = 3600;
+
+// ============================================
+// Telegram API Client Configuration
+// ============================================
+
+/** 重试次数 - Retries for rate-limited (429), 5xx and network failures */
+export const TELEGRAM_MAX_RETRIES = 3;
+
+/** 重试基础延迟 - First backoff delay in ms, doubled on every retry */
+export const TELEGRAM_RETRY_BASE_DELAY_MS = 500;
+
+/** 最大重试延迟 - Give up instead of waiting longer than this (ms) */
+export const TELEGRAM_MAX_RETRY_DELAY_MS = 30000;
+
+// ============================================
+// Scheduled Jobs Configuration
+// ============================================
+
+/**
+ * 定时任务 - Cron expressions matched against the Worker's cron triggers.
+ * Add both to wrangler.toml: [triggers] crons = ["0 * * * *", "0 0 * * *"]
+ */
+export const MAINTENANCE_CRON = "0 * * * *";
+
+/** 每日摘要 - Cron expression for the daily digest (UTC) */
+export const DIGEST_CRON = "0 0 * * *";
+
+/** 会话保留天数 - Relays with no activity for this many days expire */
+export const RELAY_RETENTION_DAYS = 30;
+
+/** 会话过期时间 - Relay TTL in seconds, renewed on every status change */
+export const RELAY_TTL_SECONDS = RELAY_RETENTION_DAYS * 86400;
+
+/** 消息关联保留时间 - Guest/admin message link TTL in seconds, same as relays */
+export const MESSAGE_LINK_TTL_SECONDS = RELAY_TTL_SECONDS;
+
+// ============================================
+// Long Polling Configuration (Node.js runtime)
+// ============================================
+
+/** 长轮询超时 - getUpdates long polling timeout in seconds */
+export const POLLING_TIMEOUT_SECONDS = 50;
+
+/** 轮询重试间隔 - Delay before retrying after a failed getUpdates call */
+export const POLLING_RETRY_DELAY_MS = 5000;
+
+/** 本地存储文件 - Default KV file path, override with ENV_KV_FILE */
+export const LOCAL_KV_FILE = "data/kv.json";
@@ -0,0 +1,219 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Local filter rules.
+ * Admin-managed rules (stored in KV, edited with /rule) that run before the
+ * AI check: keyword lists, regexes, blocked link domains, invite links and a
+ * maximum number of links per message. The first matching rule decides
+ * whether the message is allowed, blocked, or sent to the AI check.
+ */
+
+import { createVerdict } from "./providers/shared.js";
+
+/** Rule types */
+export const RULE_TYPES = ["keyword", "regex", "domain", "invite", "links"];
+
+/** What a matching rule does with the message */
+export const RULE_ACTIONS = ["allow", "block", "ai"];
+
+/** Verdict category reported when a rule blocks a message */
+const RULE_CATEGORIES = {
+  keyword: "other",
+  regex: "other",
+  domain: "spam",
+  invite: "ads",
+  links: "spam",
+};
+
+/** Telegram, Discord and WhatsApp invite links */
+const INVITE_PATTERNS = [
+  /(?:t\.me|telegram\.(?:me|dog))\/(?:\+|joinchat\/)/i,
+  /discord(?:\.gg|(?:app)?\.com\/invite)\//i,
+  /chat\.whatsapp\.com\//i,
+];
+
+/** Bare or schemed URLs in message text */
+const URL_PATTERN =
+  /\b(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?(?:\/[^\s]*)?/gi;
+
+// ============================================
+// Rule Parsing
+// ============================================
+
+/** Split a comma-separated value into trimmed, lowercase entries */
+function splitList(value) {
+  return value
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the arguments of `/rule add <type> <action> [value]`.
+ *
+ * @param {string} type - Rule type from RULE_TYPES
+ * @param {string} action - Rule action from RULE_ACTIONS
+ * @param {string} [value=""] - Keywords/domains (comma-separated), regex
+ *        source or link limit; unused for invite rules
+ * @returns {{rule?: Object, error?: string, params?: Object}} Rule
+ *          definition, or an i18n error key with its parameters
+ *
+ * @example
+ * parseFilterRule("keyword", "block", "casino, free spins")
+ * // { rule: { type: "keyword", action: "block", value: ["casino", "free spins"] } }
+ */
+export function parseFilterRule(type, action, value = "") {
+  type = type?.toLowerCase();
+  action = action?.toLowerCase();
+  value = value.trim();
+
+  if (!RULE_TYPES.includes(type) || !RULE_ACTIONS.includes(action)) {
+    return { error: "rule_usage" };
+  }
+
+  switch (type) {
+    case "keyword":
+    case "domain": {
+      const list = splitList(value).map((v) =>
+        type === "domain" ? v.replace(/^(?:https?:\/\/)?(?:\*\.)?/, "") : v,
+      );
+      if (list.length === 0) return { error: "rule_usage" };
+      return { rule: { type, action, value: list } };
+    }
+    case "regex":
+      if (!value) return { error: "rule_usage" };
+      try {
+        new RegExp(value, "i");
+      } catch (e) {
+        return { error: "rule_invalid_regex", params: { error: e.message } };
+      }
+      return { rule: { type, action, value } };
+    case "links": {
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return { error: "rule_invalid_limit" };
+      }
+      return { rule: { type, action, value: limit } };
+    }
+    default:
+      return { rule: { type, action, value: null } };
+  }
+}
+
+/**
+ * Format a rule for /rule list.
+ * @param {Object} rule - Stored rule
+ * @returns {string} e.g. "#3 keyword → block: casino, free spins"
+ */
+export function formatFilterRule(rule) {
+  const value = Array.isArray(rule.value) ? rule.value.join(", ") : rule.value;
+  return value === null
+    ? `#${rule.id} ${rule.type} → ${rule.action}`
+    : `#${rule.id} ${rule.type} → ${rule.action}: ${value}`;
+}
+
+// ============================================
+// Rule Evaluation
+// ============================================
+
+/**
+ * Collect the links in a message: URLs in the text plus hidden
+ * text_link targets.
+ * @param {Object} message - Telegram message
+ * @returns {Array<string>} Links
+ */
+export function extractLinks(message) {
+  const text = message.text || message.caption || "";
+  const entities = message.entities || message.caption_entities || [];
+  return [
+    ...(text.match(URL_PATTERN) || []),
+    ...entities.filter((e) => e.type === "text_link").map((e) => e.url),
+  ];
+}
+
+/** Lowercase host of a link, or null if it does not parse */
+function getHost(link) {
+  try {
+    const url = new URL(link.includes("://") ? link : `http://${link}`);
+    return url.hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Test one rule against a message.
+ * @returns {string|null} What matched, or null
+ */
+function matchRule(rule, text, links) {
+  switch (rule.type) {
+    case "keyword": {
+      const lower = text.toLowerCase();
+      const keyword = rule.value.find((k) => lower.includes(k));
+      return keyword ? `keyword "${keyword}"` : null;
+    }
+    case "regex":
+      return new RegExp(rule.value, "i").test(text)
+        ? `pattern /${rule.value}/`
+        : null;
+    case "domain": {
+      for (const host of links.map(getHost).filter(Boolean)) {
+        const domain = rule.value.find(
+          (d) => host === d || host.endsWith(`.${d}`),
+        );
+        if (domain) return `link to ${domain}`;
+      }
+      return null;
+    }
+    case "invite": {
+      const all = [text, ...links].join(" ");
+      return INVITE_PATTERNS.some((p) => p.test(all)) ? "invite link" : null;
+    }
+    case "links":
+      return links.length > rule.value
+        ? `${links.length} links (max ${rule.value})`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the first rule matching a message. Messages without text or
+ * caption only match rules on hidden links.
+ *
+ * @param {Array<Object>} rules - Rules in evaluation order
+ * @param {Object} message - Telegram message
+ * @returns {{rule: Object, detail: string}|null} Matching rule and what
+ *          matched, or null
+ */
+export function evaluateFilterRules(rules, message) {
+  if (rules.length === 0) return null;
+
+  const text = message.text || message.caption || "";
+  const links = extractLinks(message);
+
+  for (const rule of rules) {
+    const detail = matchRule(rule, text, links);
+    if (detail) return { rule, detail };
+  }
+  return null;
+}
+
+/**
+ * Build the verdict for a blocking rule hit.
+ * @param {{rule: Object, detail: string}} hit - Result of evaluateFilterRules
+ * @returns {import("./ai.js").Verdict} Unsafe verdict carrying the rule ID
+ */
+export function createRuleVerdict({ rule, detail }) {
+  return {
+    ...createVerdict(true, {
+      categories: [RULE_CATEGORIES[rule.type]],
+      confidence: 1,
+      rationale: `Rule #${rule.id}: ${detail}`,
+    }),
+    ruleId: rule.id,
+  };
+}
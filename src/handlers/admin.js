@@ -4,15 +4,22 @@
  * Licensed under BSD 2-Clause License
  *
  * @fileoverview Admin message handler.
- * Handles all admin commands including blocking, statistics, and management.
+ * Handles all admin commands including blocking, statistics, and management,
+ * and mirrors edits and deletions of admin replies to the guest.
  */
 
 import {
   checkContentSafety,
   checkImageSafety,
-  getApiUsageStats,
-  parseApiKeys,
+  downloadImage,
+  isShadowModerationEnabled,
 } from "../ai.js";
+import {
+  createVerdict,
+  DEFAULT_POLICY_RULES,
+  MODERATION_CATEGORIES,
+} from "../providers/shared.js";
+import { parseFilterRule, formatFilterRule } from "../filters.js";
 import {
   getRelay,
   getRelayByAdminMsg,
@@ -21,13 +28,59 @@ import {
   isGuestBlocked,
   getBlockedList,
   getStatistics,
+  incrementCounter,
   setUserTrusted,
   resetTrustScore,
   setUserLanguage,
   getGuestForumTopic,
   getGuestIdByTopicId,
+  getGuestState,
+  setGuestActive,
+  linkReplyMessage,
+  getReplyMessageLink,
+  unlinkReplyMessage,
+  getReview,
+  resolveReview,
+  listApiKeyHealth,
+  getFilterRules,
+  addFilterRule,
+  deleteFilterRule,
+  getFilterRuleHits,
+  cacheModerationResult,
+  cacheImageVerdict,
+  getShadowReport,
+  resetShadowReport,
+  getActivePolicy,
+  savePolicy,
+  activatePolicy,
+  listPolicies,
+  getAdmins,
+  setAdmin,
+  removeAdmin,
+  recordAudit,
+  getAuditLog,
+  getBlockInfo,
+  getTrustScore,
+  getLatestRelay,
+  getGuestProfile,
+  recordConversationMessage,
+  getConversationHistory,
+  getConversationExport,
 } from "../storage.js";
-import { API_KEY_DISPLAY_LENGTH, FORUM_MODE_ENABLED } from "../config.js";
+import { relayToAdmin, getCheckedPicture } from "./guest.js";
+import {
+  FORUM_MODE_ENABLED,
+  AUDIT_EXPORT_SIZE,
+  TRUST_THRESHOLD,
+} from "../config.js";
+import { TelegramErrorKind } from "../telegram.js";
+import {
+  ASSIGNABLE_ROLES,
+  getAdminRole,
+  hasPermission,
+  getCommandName,
+  setAdminMenu,
+} from "../roles.js";
 import {
   t,
   buildLanguageKeyboard,
@@ -54,12 +107,230 @@ async function sendToAdmin(telegram, adminId, text, options = {}) {
   return result;
 }
 
+/**
+ * Send a file to admin with consistent error handling.
+ * @param {string} filename - File name shown in Telegram
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} caption - Caption
+ */
+async function sendDocumentToAdmin(
+  telegram,
+  adminId,
+  filename,
+  content,
+  type,
+  caption,
+) {
+  const result = await telegram.sendDocument({
+    chat_id: adminId,
+    document: new File([content], filename, { type }),
+    caption,
+  });
+  if (!result.ok) {
+    console.warn(`[Admin] sendDocument failed: ${JSON.stringify(result)}`);
+  }
+  return result;
+}
+
+/**
+ * Build Previous/Next buttons for a paged listing.
+ * @param {string} prefix - Callback data before ":<page>", e.g. "audit:all"
+ * @param {number} page - Current 1-based page
+ * @param {number} pages - Number of pages
+ * @param {string} lang - Language code
+ * @returns {Object} reply_markup option, or {} for a single page
+ */
+function pageButtons(prefix, page, pages, lang) {
+  const buttons = [];
+  if (page > 1) {
+    buttons.push({
+      text: t("page_prev", {}, lang),
+      callback_data: `${prefix}:${page - 1}`,
+    });
+  }
+  if (page < pages) {
+    buttons.push({
+      text: t("page_next", {}, lang),
+      callback_data: `${prefix}:${page + 1}`,
+    });
+  }
+  return buttons.length ? { reply_markup: { inline_keyboard: [buttons] } } : {};
+}
+
+/**
+ * Format a moderation result for /check and /checktext.
+ * @param {Object|null} verdict - Result of checkContentSafety/checkImageSafety
+ * @returns {string} "SAFE", "UNSAFE: ..." or "UNAVAILABLE: ..."
+ */
+function formatVerdictStatus(verdict) {
+  if (!verdict) return "SAFE";
+  if (verdict.unavailable) return `UNAVAILABLE: ${verdict.rationale}`;
+  return `UNSAFE: ${verdict.reason}`;
+}
+
+/**
+ * Record an admin action in the audit log.
+ * @param {Object} ctx - Command context
+ * @param {string} action - What was done, e.g. "unblock"
+ * @param {string|null} [target=null] - Guest concerned
+ * @param {string|null} [reason=null] - Why, or what changed
+ */
+function audit(ctx, action, target = null, reason = null) {
+  return recordAudit(ctx.kv, { actor: ctx.userId, action, target, reason });
+}
+
+/** Ban duration units: 30m, 24h, 7d, 2w */
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Block a guest from a /block or /ban command.
+ * @param {Object} ctx - Command context
+ * @param {string} guestId - Guest to block
+ * @param {string[]} words - "[duration] [reason...]" arguments
+ * @returns {Promise<{expiresAt: number|null}|null>} When the ban ends (null
+ *          if permanent), or null without blocking when the duration is
+ *          not positive
+ */
+async function blockGuest(ctx, guestId, words) {
+  const match = words[0]?.match(/^(-?\d+)([mhdw])$/i);
+  const duration = match
+    ? parseInt(match[1]) * DURATION_UNITS[match[2].toLowerCase()]
+    : null;
+  if (duration !== null && duration <= 0) return null;
+  const expiresAt = duration && Date.now() + duration;
+  const reason = words.slice(match ? 1 : 0).join(" ");
+
+  await setGuestBlocked(
+    ctx.kv,
+    guestId,
+    true,
+    reason || "Manual block by admin",
+    null,
+    expiresAt,
+  );
+  await audit(ctx, "block", guestId, words.join(" ") || null);
+  return { expiresAt };
+}
+
+/**
+ * Build the confirmation of a block.
+ * @param {string} guestId - Blocked guest
+ * @param {string} username - Guest name shown to the admin
+ * @param {number|null} expiresAt - When the ban ends, or null if permanent
+ * @param {string} lang - Language code
+ * @returns {string} Message text
+ */
+function formatBlocked(guestId, username, expiresAt, lang) {
+  if (!expiresAt) return t("blocked", { guestId, username }, lang);
+  const until = new Date(expiresAt).toLocaleString();
+  return t("blocked_until", { guestId, username, until }, lang);
+}
+
+/**
+ * Format the time left on a ban, e.g. "2d 3h", "5h 10m" or "4m".
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string}
+ */
+function formatRemaining(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / DURATION_UNITS.m));
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (!days && minutes % 60) parts.push(`${minutes % 60}m`);
+  return parts.join(" ");
+}
+
+/**
+ * Build the /whois card of a guest: profile, trust, block state and
+ * history, newest entries first.
+ * @param {KVNamespace} kv - KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {string} lang - Language code
+ * @returns {Promise<string>} Message text
+ */
+async function formatGuestProfile(kv, guestId, lang) {
+  const profile = await getGuestProfile(kv, guestId);
+  if (!profile) return t("whois_not_found", { guestId }, lang);
+
+  const date = (ms) => (ms ? new Date(ms).toLocaleString() : "-");
+  const yesNo = (value) => t(value ? "whois_yes" : "whois_no", {}, lang);
+  const handle = (username) => (username ? `@${username}` : "-");
+
+  const blocked = await isGuestBlocked(kv, guestId);
+  const blockInfo = blocked ? await getBlockInfo(kv, guestId) : null;
+  const relay = await getLatestRelay(kv, guestId);
+
+  let text = t(
+    "whois_profile",
+    {
+      guestId,
+      username: handle(profile.username),
+      name: profile.name || "-",
+      language: profile.languageCode || "-",
+      premium: yesNo(profile.isPremium),
+      firstSeen: date(profile.firstSeen),
+      lastSeen: date(profile.lastSeen),
+      messages: profile.messageCount,
+      trust: await getTrustScore(kv, guestId),
+      threshold: TRUST_THRESHOLD,
+      blocked: blockInfo?.expiresAt
+        ? t("whois_blocked_until", { until: date(blockInfo.expiresAt) }, lang)
+        : yesNo(blocked),
+      relay: relay?.status || "-",
+    },
+    lang,
+  );
+
+  // A single entry is just the current name
+  if (profile.nameHistory.length > 1) {
+    text += t("whois_names_title", {}, lang);
+    for (const entry of profile.nameHistory.slice().reverse()) {
+      text += t(
+        "whois_name_item",
+        {
+          date: date(entry.since),
+          username: handle(entry.username),
+          name: entry.name || "-",
+        },
+        lang,
+      );
+    }
+  }
+
+  if (profile.blockHistory.length > 0) {
+    text += t("whois_blocks_title", {}, lang);
+    for (const entry of profile.blockHistory.slice().reverse()) {
+      text += t(
+        "whois_block_item",
+        { date: date(entry.at), reason: entry.reason },
+        lang,
+      );
+      if (entry.expiresAt) {
+        text += t("whois_block_until", { until: date(entry.expiresAt) }, lang);
+      }
+      if (entry.liftedAt) {
+        text += t("whois_block_lifted", { date: date(entry.liftedAt) }, lang);
+      }
+    }
+  }
+  return text;
+}
+
 /**
  * Get relay for reply-based commands with validation.
+ * The replied-to copy is in the admin's private chat.
  * @returns {{relay, relayId, error}} Relay info or error flag
  */
 async function getReplyRelay(kv, replyMsgId, telegram, adminId, lang) {
-  const relayId = await getRelayByAdminMsg(kv, replyMsgId);
+  const relayId = await getRelayByAdminMsg(kv, adminId, replyMsgId);
   if (!relayId) {
     await sendToAdmin(telegram, adminId, t("cannot_find_user", {}, lang));
     return { relay: null, relayId: null, error: true };
@@ -74,6 +345,95 @@ async function getReplyRelay(kv, replyMsgId, telegram, adminId, lang) {
   return { relay, relayId, error: false };
 }
 
+/**
+ * Copy an admin reply to the guest.
+ * Nothing is sent when the guest has stopped the bot; a "blocked" or
+ * "deactivated" error also marks the guest inactive in case the
+ * my_chat_member update was missed.
+ * Delivered replies are recorded in the conversation history.
+ * @param {Object} message - Admin reply, in a private chat or forum topic
+ * @returns {Promise<{result: Object|null, notice: string|null}>} API result,
+ *          and a notice for the admin if the reply was not delivered
+ */
+async function copyReplyToGuest(telegram, kv, guestId, message, lang) {
+  const fromChatId = message.chat.id.toString();
+  const messageId = message.message_id;
+  const stoppedNotice = (changedAt) =>
+    t(
+      "user_stopped_bot_cannot_reply",
+      { date: new Date(changedAt).toLocaleString() },
+      lang,
+    );
+
+  const state = await getGuestState(kv, guestId);
+  if (state && !state.active) {
+    return { result: null, notice: stoppedNotice(state.changedAt) };
+  }
+
+  const result = await telegram.copyMessage({
+    chat_id: guestId,
+    from_chat_id: fromChatId,
+    message_id: messageId,
+  });
+
+  if (!result.ok) {
+    switch (result.error?.kind) {
+      case TelegramErrorKind.BOT_BLOCKED:
+      case TelegramErrorKind.USER_DEACTIVATED:
+        await setGuestActive(kv, guestId, false);
+        return { result, notice: stoppedNotice(Date.now()) };
+      case TelegramErrorKind.CHAT_NOT_FOUND:
+        return { result, notice: t("reply_chat_not_found", {}, lang) };
+      default:
+        return {
+          result,
+          notice: t("reply_failed", { error: result.description }, lang),
+        };
+    }
+  }
+
+  await linkReplyMessage(
+    kv,
+    fromChatId,
+    messageId,
+    guestId,
+    result.result.message_id,
+  );
+  await recordConversationMessage(
+    kv,
+    guestId,
+    "out",
+    message,
+    message.from.id.toString(),
+  );
+
+  return { result, notice: null };
+}
+
+/**
+ * Delete the guest-side copy of an admin reply.
+ * @param {string} chatId - Chat the reply was written in
+ * @param {number} adminMsgId - Admin's reply message ID
+ * @returns {Promise<string>} Outcome notice for the admin
+ */
+async function deleteReplyFromGuest(telegram, kv, chatId, adminMsgId, lang) {
+  const link = await getReplyMessageLink(kv, chatId, adminMsgId);
+  if (!link) {
+    return t("reply_link_not_found", {}, lang);
+  }
+
+  const result = await telegram.deleteMessage({
+    chat_id: link.guestId,
+    message_id: link.guestMsgId,
+  });
+  if (!result.ok) {
+    return t("reply_delete_failed", { error: result.description }, lang);
+  }
+
+  await unlinkReplyMessage(kv, chatId, adminMsgId);
+  return t("reply_deleted", {}, lang);
+}
+
 // ============================================
 // Command Handlers (Standalone Commands)
 // ============================================
@@ -96,7 +456,11 @@ const cmdLang = async (ctx) => {
 };
 
 const cmdList = async (ctx) => {
-  const blocked = await getBlockedList(ctx.kv);
+  // Expired bans not lifted yet by the maintenance job are left out
+  const now = Date.now();
+  const blocked = (await getBlockedList(ctx.kv)).filter(
+    (b) => !b.expiresAt || b.expiresAt > now,
+  );
 
   if (blocked.length === 0) {
     return sendToAdmin(
@@ -111,9 +475,16 @@ const cmdList = async (ctx) => {
 
   for (const [i, b] of blocked.entries()) {
     const date = new Date(b.blockedAt).toLocaleString();
+    const expires = b.expiresAt
+      ? t(
+          "blocked_user_expires",
+          { remaining: formatRemaining(b.expiresAt - now) },
+          ctx.lang,
+        )
+      : "";
     output += t(
       "blocked_user_item",
-      { index: i + 1, guestId: b.guestId, reason: b.reason, date },
+      { index: i + 1, guestId: b.guestId, reason: b.reason, date, expires },
       ctx.lang,
     );
     buttons.push([
@@ -131,7 +502,7 @@ const cmdList = async (ctx) => {
 
 const cmdStats = async (ctx) => {
   const stats = await getStatistics(ctx.kv);
-  const apiStats = getApiUsageStats();
+  const apiKeys = await listApiKeyHealth(ctx.kv);
 
   let output = t("stats_title", {}, ctx.lang);
   output += t(
@@ -140,20 +511,33 @@ const cmdStats = async (ctx) => {
       totalRelays: stats.totalRelays,
       totalBlocked: stats.totalBlocked,
       aiBlocks: stats.aiBlocks,
+      moderationFailures: stats.moderationFailures,
     },
     ctx.lang,
   );
 
-  const apiKeys = Object.keys(apiStats);
   if (apiKeys.length > 0) {
+    const now = Date.now();
     output += t("api_usage_title", {}, ctx.lang);
     for (const [idx, key] of apiKeys.entries()) {
-      const masked = key.substring(0, API_KEY_DISPLAY_LENGTH) + "***";
       output += t(
         "api_usage_item",
-        { index: idx + 1, calls: apiStats[key], masked },
+        {
+          index: idx + 1,
+          masked: key.masked,
+          calls: key.calls,
+          errors: key.errors,
+          tokens: key.tokens.total,
+        },
         ctx.lang,
       );
+      if (key.cooldownUntil > now) {
+        const seconds = Math.ceil((key.cooldownUntil - now) / 1000);
+        output += t("api_key_cooldown", { seconds }, ctx.lang);
+      }
+      if (key.lastError) {
+        output += t("api_key_last_error", { error: key.lastError }, ctx.lang);
+      }
     }
   }
 
@@ -189,6 +573,7 @@ async function handleUnbanCommand(ctx, text) {
     );
   }
   await setGuestBlocked(ctx.kv, guestId, false);
+  await audit(ctx, "unblock", guestId);
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
@@ -196,6 +581,58 @@ async function handleUnbanCommand(ctx, text) {
   );
 }
 
+/**
+ * /ban <guestId> [duration] [reason] - block a guest by ID
+ */
+async function handleBanCommand(ctx, text) {
+  const [, guestId, ...words] = text.trim().split(/\s+/);
+  if (!guestId) {
+    return sendToAdmin(ctx.telegram, ctx.adminId, t("ban_usage", {}, ctx.lang));
+  }
+  if (!isValidUserId(guestId)) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("invalid_user_id", {}, ctx.lang),
+    );
+  }
+  const ban = await blockGuest(ctx, guestId, words);
+  if (!ban) {
+    return sendToAdmin(ctx.telegram, ctx.adminId, t("ban_usage", {}, ctx.lang));
+  }
+  return sendToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    formatBlocked(guestId, guestId, ban.expiresAt, ctx.lang),
+  );
+}
+
+/**
+ * /whois <guestId> - show a guest's profile
+ */
+async function handleWhoisCommand(ctx, text) {
+  const guestId = text.split(/\s+/)[1]?.trim();
+  if (!guestId) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("whois_usage", {}, ctx.lang),
+    );
+  }
+  if (!isValidUserId(guestId)) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("invalid_user_id", {}, ctx.lang),
+    );
+  }
+  return sendToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    await formatGuestProfile(ctx.kv, guestId, ctx.lang),
+  );
+}
+
 async function handleTrustIdCommand(ctx, text) {
   const guestId = text.split(/\s+/)[1]?.trim();
   if (!guestId) {
@@ -213,6 +650,7 @@ async function handleTrustIdCommand(ctx, text) {
     );
   }
   await setUserTrusted(ctx.kv, guestId);
+  await audit(ctx, "trust", guestId);
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
@@ -229,10 +667,8 @@ async function handleCheckTextCommand(ctx, text, env) {
       t("checktext_usage", {}, ctx.lang),
     );
   }
-  const apiKeys = parseApiKeys(env.ENV_GEMINI_API_KEY);
-  const baseUrl = env.ENV_GEMINI_API_BASE_URL || null;
-  const result = await checkContentSafety(content, apiKeys, undefined, baseUrl);
-  const status = result ? `UNSAFE: ${result}` : "SAFE";
+  const result = await checkContentSafety(content, env, ctx.kv);
+  const status = formatVerdictStatus(result);
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
@@ -240,12 +676,572 @@ async function handleCheckTextCommand(ctx, text, env) {
   );
 }
 
+/**
+ * /rule add <type> <action> [value] | /rule list | /rule del <id>
+ */
+async function handleRuleCommand(ctx, text) {
+  const [, subcommand = "", ...args] = text.trim().split(/\s+/);
+  const reply = (key, params = {}) =>
+    sendToAdmin(ctx.telegram, ctx.adminId, t(key, params, ctx.lang));
+
+  if (subcommand === "list") {
+    const rules = await getFilterRules(ctx.kv);
+    if (rules.length === 0) return reply("rule_list_empty");
+    let output = t("rule_list_title", { count: rules.length }, ctx.lang);
+    for (const rule of rules) {
+      output += t(
+        "rule_list_item",
+        {
+          rule: formatFilterRule(rule),
+          hits: await getFilterRuleHits(ctx.kv, rule.id),
+        },
+        ctx.lang,
+      );
+    }
+    return sendToAdmin(ctx.telegram, ctx.adminId, output);
+  }
+
+  if (subcommand === "add") {
+    // Keep the value verbatim: regexes may contain spaces
+    const match = text.match(/^\/rule\s+add\s+(\S+)\s+(\S+)(?:\s+(.+))?$/s);
+    if (!match) return reply("rule_usage");
+    const { rule, error, params } = parseFilterRule(
+      match[1],
+      match[2],
+      match[3],
+    );
+    if (error) return reply(error, params);
+    const stored = await addFilterRule(ctx.kv, rule);
+    await audit(ctx, "rule_add", null, formatFilterRule(stored));
+    console.log(`[Admin] Added filter rule ${formatFilterRule(stored)}`);
+    return reply("rule_added", { rule: formatFilterRule(stored) });
+  }
+
+  if (subcommand === "del") {
+    const ruleId = Number(args[0]?.replace(/^#/, ""));
+    if (!Number.isInteger(ruleId)) return reply("rule_usage");
+    const deleted = await deleteFilterRule(ctx.kv, ruleId);
+    if (deleted) await audit(ctx, "rule_delete", null, `#${ruleId}`);
+    return reply(deleted ? "rule_deleted" : "rule_not_found", { id: ruleId });
+  }
+
+  return reply("rule_usage");
+}
+
+/** Disagreements listed by /modreport */
+const MODREPORT_ITEMS = 10;
+
+/**
+ * /modreport [reset] - compare the shadow chain with the live one.
+ */
+async function handleModReportCommand(ctx, text, env) {
+  if (text.split(/\s+/)[1] === "reset") {
+    await resetShadowReport(ctx.kv);
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("modreport_reset", {}, ctx.lang),
+    );
+  }
+
+  const { stats, disagreements } = await getShadowReport(ctx.kv);
+  let output = t("modreport_title", {}, ctx.lang);
+  if (!isShadowModerationEnabled(env)) {
+    output += t("modreport_disabled", {}, ctx.lang);
+  }
+  if (!stats) {
+    output += t("modreport_empty", {}, ctx.lang);
+    return sendToAdmin(ctx.telegram, ctx.adminId, output);
+  }
+
+  const rate = stats.total
+    ? ((stats.agreed / stats.total) * 100).toFixed(1)
+    : "-";
+  output += t(
+    "modreport_stats",
+    {
+      since: new Date(stats.since).toLocaleString(),
+      total: stats.total,
+      rate,
+      liveOnly: stats.liveOnly,
+      shadowOnly: stats.shadowOnly,
+      errors: stats.errors,
+    },
+    ctx.lang,
+  );
+
+  if (disagreements.length > 0) {
+    output += t("modreport_disagreements_title", {}, ctx.lang);
+    for (const d of disagreements.slice(0, MODREPORT_ITEMS)) {
+      output += t(
+        "modreport_disagreement_item",
+        {
+          kind: d.kind,
+          preview: d.preview || "-",
+          live: d.live ? `UNSAFE: ${d.live}` : "SAFE",
+          shadow: d.shadow ? `UNSAFE: ${d.shadow}` : "SAFE",
+        },
+        ctx.lang,
+      );
+    }
+  }
+
+  return sendToAdmin(ctx.telegram, ctx.adminId, output);
+}
+
+/** Versions listed by /policy history */
+const POLICY_HISTORY_ITEMS = 10;
+
+/**
+ * /policy - show the moderation policy
+ * /policy set <rules|default> | model <name|default> |
+ *   enable <category> | disable <category> - save a new version
+ * /policy history | rollback [version] - list or restore versions
+ */
+async function handlePolicyCommand(ctx, text) {
+  const [, subcommand = "", arg = ""] = text.trim().split(/\s+/);
+  const reply = (key, params = {}) =>
+    sendToAdmin(ctx.telegram, ctx.adminId, t(key, params, ctx.lang));
+  const active = await getActivePolicy(ctx.kv);
+  const saved = async (changes, change) => {
+    const policy = await savePolicy(ctx.kv, changes, change);
+    await audit(ctx, "policy_change", null, `v${policy.version}: ${change}`);
+    console.log(`[Admin] Policy v${policy.version}: ${change}`);
+    return reply("policy_saved", { version: policy.version, change });
+  };
+
+  if (!subcommand) {
+    const disabled = active?.disabledCategories || [];
+    return reply("policy_show", {
+      version: active?.version || 0,
+      model: active?.model || t("policy_default", {}, ctx.lang),
+      enabled: MODERATION_CATEGORIES.filter((c) => !disabled.includes(c)).join(
+        ", ",
+      ),
+      disabled: disabled.join(", ") || "-",
+      rules: active?.rules || DEFAULT_POLICY_RULES,
+    });
+  }
+
+  if (subcommand === "set") {
+    // Keep the rules verbatim: they span several lines
+    const rules = text.replace(/^\/policy\s+set/, "").trim();
+    if (!rules) return reply("policy_usage");
+    return rules === "default"
+      ? saved({ rules: null }, "rules: default")
+      : saved({ rules }, "rules updated");
+  }
+
+  if (subcommand === "model") {
+    if (!arg) return reply("policy_usage");
+    return arg === "default"
+      ? saved({ model: null }, "model: default")
+      : saved({ model: arg }, `model: ${arg}`);
+  }
+
+  if (subcommand === "enable" || subcommand === "disable") {
+    if (!MODERATION_CATEGORIES.includes(arg)) {
+      return reply("policy_unknown_category", {
+        categories: MODERATION_CATEGORIES.join(", "),
+      });
+    }
+    const disabled = (active?.disabledCategories || []).filter(
+      (c) => c !== arg,
+    );
+    if (subcommand === "disable") disabled.push(arg);
+    return saved({ disabledCategories: disabled }, `${subcommand} ${arg}`);
+  }
+
+  if (subcommand === "history") {
+    const policies = await listPolicies(ctx.kv, POLICY_HISTORY_ITEMS);
+    if (policies.length === 0) return reply("policy_history_empty");
+    let output = t("policy_history_title", {}, ctx.lang);
+    for (const policy of policies) {
+      output += t(
+        "policy_history_item",
+        {
+          marker: policy.version === active?.version ? "▶" : " ",
+          version: policy.version,
+          date: new Date(policy.createdAt).toLocaleString(),
+          change: policy.change,
+        },
+        ctx.lang,
+      );
+    }
+    return sendToAdmin(ctx.telegram, ctx.adminId, output);
+  }
+
+  if (subcommand === "rollback") {
+    const version = arg
+      ? Number(arg.replace(/^v/, ""))
+      : (active?.version || 0) - 1;
+    if (!Number.isInteger(version) || version < 0) {
+      return reply(arg ? "policy_usage" : "policy_rollback_none");
+    }
+    const policy = await activatePolicy(ctx.kv, version);
+    if (!policy) return reply("policy_version_not_found", { version });
+    await audit(ctx, "policy_rollback", null, `v${version}`);
+    console.log(`[Admin] Policy rolled back to v${version}`);
+    return reply("policy_rolled_back", { version });
+  }
+
+  return reply("policy_usage");
+}
+
+/**
+ * /admin add <id> <moderator|responder> | /admin remove <id> | /admin list
+ * Owner only. Each change also updates the admin's command menu.
+ */
+async function handleAdminCommand(ctx, text, env) {
+  const [, subcommand = "", userId = "", role = ""] = text.trim().split(/\s+/);
+  const reply = (key, params = {}) =>
+    sendToAdmin(ctx.telegram, ctx.adminId, t(key, params, ctx.lang));
+
+  if (subcommand === "list") {
+    let output = t("admin_list_title", {}, ctx.lang);
+    output += t(
+      "admin_list_item",
+      { userId: env.ENV_ADMIN_UID, role: "owner" },
+      ctx.lang,
+    );
+    for (const [id, admin] of Object.entries(await getAdmins(ctx.kv))) {
+      output += t(
+        "admin_list_item",
+        { userId: id, role: admin.role },
+        ctx.lang,
+      );
+    }
+    return sendToAdmin(ctx.telegram, ctx.adminId, output);
+  }
+
+  if (subcommand !== "add" && subcommand !== "remove") {
+    return reply("admin_usage");
+  }
+  if (!isValidUserId(userId)) return reply("invalid_user_id");
+  if (userId === env.ENV_ADMIN_UID) return reply("admin_owner_fixed");
+
+  if (subcommand === "add") {
+    if (!ASSIGNABLE_ROLES.includes(role)) return reply("admin_usage");
+    await setAdmin(ctx.kv, userId, role, ctx.userId);
+    await audit(ctx, "admin_add", null, `${userId} (${role})`);
+    await setAdminMenu(ctx.telegram, userId, role);
+    console.log(`[Admin] ${userId} is now a ${role}`);
+    return reply("admin_added", { userId, role });
+  }
+
+  if (!(await removeAdmin(ctx.kv, userId))) {
+    return reply("admin_not_found", { userId });
+  }
+  await setAdminMenu(ctx.telegram, userId, null);
+  await audit(ctx, "admin_remove", null, userId);
+  console.log(`[Admin] ${userId} is no longer an admin`);
+  return reply("admin_removed", { userId });
+}
+
+/** Columns of the /audit export */
+const AUDIT_CSV_COLUMNS = ["time", "actor", "action", "target", "reason"];
+
+/**
+ * Format audit entries as CSV, oldest first.
+ * @param {Array<Object>} entries - Entries from getAuditLog (newest first)
+ * @returns {string} CSV text with a header row
+ */
+function formatAuditCsv(entries) {
+  const escape = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const rows = entries
+    .slice()
+    .reverse()
+    .map((e) =>
+      [new Date(e.at).toISOString(), e.actor, e.action, e.target, e.reason]
+        .map(escape)
+        .join(","),
+    );
+  return [AUDIT_CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/**
+ * Build one /audit page with Previous/Next buttons. The log is read with
+ * list cursors, so there is a Next button while older entries exist but
+ * no page count.
+ * @param {KVNamespace} kv - KV namespace
+ * @param {string|null} guestId - Guest to filter on, or null for everyone
+ * @param {number} page - 1-based page
+ * @param {string} lang - Language code
+ * @returns {Promise<{text: string, reply_markup?: Object}>} Message params
+ */
+async function buildAuditPage(kv, guestId, page, lang) {
+  const { entries, hasMore } = await getAuditLog(kv, { guestId, page });
+  if (entries.length === 0) {
+    return {
+      text:
+        page === 1
+          ? t("audit_empty", {}, lang)
+          : t("audit_page_empty", { page }, lang),
+    };
+  }
+
+  const scope = guestId
+    ? t("audit_scope_guest", { guestId }, lang)
+    : t("audit_scope_all", {}, lang);
+  let text = t("audit_title", { scope, page }, lang);
+  for (const entry of entries) {
+    text += t(
+      "audit_item",
+      {
+        date: new Date(entry.at).toLocaleString(),
+        actor:
+          entry.actor === "system" ? t("audit_system", {}, lang) : entry.actor,
+        action: entry.action,
+        target: entry.target || "",
+      },
+      lang,
+    );
+    if (entry.reason) {
+      text += t("audit_item_reason", { reason: entry.reason }, lang);
+    }
+  }
+
+  const pages = hasMore ? page + 1 : page;
+  return {
+    text,
+    ...pageButtons(`audit:${guestId || "all"}`, page, pages, lang),
+  };
+}
+
+/**
+ * /audit [guestId|all] [page] - page through the audit log
+ * /audit export [guestId|all] [part] - download it as CSV, AUDIT_EXPORT_SIZE
+ * entries per part, newest part first
+ */
+async function handleAuditCommand(ctx, text) {
+  const args = text.trim().split(/\s+/).slice(1);
+  const exporting = args[0] === "export";
+  if (exporting) args.shift();
+
+  const [scope = "all", pageArg = "1"] = args;
+  const page = Number(pageArg);
+  if (
+    (scope !== "all" && !isValidUserId(scope)) ||
+    !Number.isInteger(page) ||
+    page < 1
+  ) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("audit_usage", {}, ctx.lang),
+    );
+  }
+  const guestId = scope === "all" ? null : scope;
+
+  if (!exporting) {
+    const { text: output, ...options } = await buildAuditPage(
+      ctx.kv,
+      guestId,
+      page,
+      ctx.lang,
+    );
+    return sendToAdmin(ctx.telegram, ctx.adminId, output, options);
+  }
+
+  const { entries, hasMore } = await getAuditLog(ctx.kv, {
+    guestId,
+    page,
+    pageSize: AUDIT_EXPORT_SIZE,
+  });
+  if (entries.length === 0) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      page === 1
+        ? t("audit_empty", {}, ctx.lang)
+        : t("audit_page_empty", { page }, ctx.lang),
+    );
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const part = page > 1 ? `-part${page}` : "";
+  let caption = t("audit_export_caption", { count: entries.length }, ctx.lang);
+  if (hasMore) {
+    caption += t(
+      "audit_export_more",
+      { command: `/audit export ${scope} ${page + 1}` },
+      ctx.lang,
+    );
+  }
+  return sendDocumentToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    `audit-${scope}-${date}${part}.csv`,
+    formatAuditCsv(entries),
+    "text/csv",
+    caption,
+  );
+}
+
+/** Longest message text shown on a /history page */
+const HISTORY_PREVIEW_LENGTH = 200;
+
+/**
+ * Build one /history page with Previous/Next buttons. The history is read
+ * with list cursors, so there is a Next button while older messages exist
+ * but no page count.
+ * @param {KVNamespace} kv - KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {number} page - 1-based page
+ * @param {string} lang - Language code
+ * @returns {Promise<{text: string, reply_markup?: Object}>} Message params
+ */
+async function buildHistoryPage(kv, guestId, page, lang) {
+  const { entries, hasMore } = await getConversationHistory(kv, guestId, {
+    page,
+  });
+  if (entries.length === 0) {
+    return {
+      text:
+        page === 1
+          ? t("history_empty", { guestId }, lang)
+          : t("history_page_empty", { guestId, page }, lang),
+    };
+  }
+
+  let text = t("history_title", { guestId, page }, lang);
+  for (const entry of entries) {
+    const params = {
+      date: new Date(entry.at).toLocaleString(),
+      adminId: entry.adminId,
+      type: entry.type,
+      text: entry.text.substring(0, HISTORY_PREVIEW_LENGTH),
+    };
+    text += t(
+      entry.direction === "in" ? "history_item_in" : "history_item_out",
+      params,
+      lang,
+    );
+  }
+
+  const pages = hasMore ? page + 1 : page;
+  return { text, ...pageButtons(`history:${guestId}`, page, pages, lang) };
+}
+
+/**
+ * Format a conversation as a plain-text transcript.
+ * @param {string} guestId - Guest chat ID
+ * @param {Array<Object>} messages - History entries, oldest first
+ * @returns {string} Transcript
+ */
+function formatTranscript(guestId, messages) {
+  const lines = [`Conversation with ${guestId}`, ""];
+  for (const entry of messages) {
+    const sender =
+      entry.direction === "in" ? "guest" : `admin ${entry.adminId}`;
+    lines.push(
+      `[${new Date(entry.at).toISOString()}] ${sender} (${entry.type}): ${entry.text}`,
+    );
+    for (const fileId of entry.fileIds) {
+      lines.push(`  file: ${fileId}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * /history <guestId> [page] - browse the conversation with a guest
+ */
+async function handleHistoryCommand(ctx, text) {
+  const [, guestId, pageArg = "1"] = text.trim().split(/\s+/);
+  const page = Number(pageArg);
+  if (!isValidUserId(guestId) || !Number.isInteger(page) || page < 1) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("history_usage", {}, ctx.lang),
+    );
+  }
+  const { text: output, ...options } = await buildHistoryPage(
+    ctx.kv,
+    guestId,
+    page,
+    ctx.lang,
+  );
+  return sendToAdmin(ctx.telegram, ctx.adminId, output, options);
+}
+
+/**
+ * /export <guestId> [txt|json] [part] - download the conversation with a
+ * guest, HISTORY_EXPORT_SIZE messages per part, newest part first
+ */
+async function handleExportCommand(ctx, text) {
+  const [, guestId, ...args] = text.trim().split(/\s+/);
+  const format = ["txt", "json"].includes(args[0]) ? args.shift() : "txt";
+  const [partArg = "1", ...extra] = args;
+  const part = Number(partArg);
+  if (
+    !isValidUserId(guestId) ||
+    !Number.isInteger(part) ||
+    part < 1 ||
+    extra.length > 0
+  ) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("export_usage", {}, ctx.lang),
+    );
+  }
+
+  const { entries: messages, hasMore } = await getConversationExport(
+    ctx.kv,
+    guestId,
+    { page: part },
+  );
+  if (messages.length === 0) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("history_empty", { guestId }, ctx.lang),
+    );
+  }
+
+  const content =
+    format === "json"
+      ? JSON.stringify({ guestId, messages }, null, 2)
+      : formatTranscript(guestId, messages);
+  let caption = t(
+    "export_caption",
+    { guestId, count: messages.length },
+    ctx.lang,
+  );
+  if (hasMore) {
+    caption += t(
+      "export_more",
+      { command: `/export ${guestId} ${format} ${part + 1}` },
+      ctx.lang,
+    );
+  }
+  const suffix = part > 1 ? `-part${part}` : "";
+  return sendDocumentToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    `conversation-${guestId}${suffix}.${format}`,
+    content,
+    format === "json" ? "application/json" : "text/plain",
+    caption,
+  );
+}
+
 // ============================================
 // Reply-based Command Handlers
 // ============================================
 
 const replyBlock = async (ctx, relay, relayId, env) => {
-  await setGuestBlocked(ctx.kv, relay.guestId, true, "Manual block by admin");
+  const words = ctx.text.trim().split(/\s+/).slice(1);
+  const ban = await blockGuest(ctx, relay.guestId, words);
+  if (!ban) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t("block_usage", {}, ctx.lang),
+    );
+  }
   await updateRelayStatus(ctx.kv, relayId, "blocked");
 
   // Close forum topic if in forum mode
@@ -262,16 +1258,13 @@ const replyBlock = async (ctx, relay, relayId, env) => {
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
-    t(
-      "blocked",
-      { guestId: relay.guestId, username: relay.guestUsername },
-      ctx.lang,
-    ),
+    formatBlocked(relay.guestId, relay.guestUsername, ban.expiresAt, ctx.lang),
   );
 };
 
 const replyTrust = async (ctx, relay) => {
   await setUserTrusted(ctx.kv, relay.guestId);
+  await audit(ctx, "trust", relay.guestId);
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
@@ -285,6 +1278,7 @@ const replyTrust = async (ctx, relay) => {
 
 const replyUntrust = async (ctx, relay) => {
   await resetTrustScore(ctx.kv, relay.guestId);
+  await audit(ctx, "untrust", relay.guestId);
   return sendToAdmin(
     ctx.telegram,
     ctx.adminId,
@@ -298,6 +1292,7 @@ const replyUntrust = async (ctx, relay) => {
 
 const replyUnblock = async (ctx, relay, relayId, env) => {
   await setGuestBlocked(ctx.kv, relay.guestId, false);
+  await audit(ctx, "unblock", relay.guestId);
 
   // Reopen forum topic if in forum mode
   if (FORUM_MODE_ENABLED && env?.ENV_FORUM_GROUP_ID) {
@@ -335,16 +1330,21 @@ const replyStatus = async (ctx, relay) => {
   );
 };
 
+const replyWhois = async (ctx, relay) =>
+  sendToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    await formatGuestProfile(ctx.kv, relay.guestId, ctx.lang),
+  );
+
 const replyCheck = async (ctx, relay, relayId, env, replyMsg) => {
-  const apiKeys = parseApiKeys(env.ENV_GEMINI_API_KEY);
-  const baseUrl = env.ENV_GEMINI_API_BASE_URL || null;
   const results = [];
 
   // Check text content first
   const textContent = replyMsg?.caption || replyMsg?.text || relay.preview;
   if (textContent) {
-    const textResult = await checkContentSafety(textContent, apiKeys, undefined, baseUrl);
-    const textStatus = textResult ? `UNSAFE: ${textResult}` : "SAFE";
+    const textResult = await checkContentSafety(textContent, env, ctx.kv);
+    const textStatus = formatVerdictStatus(textResult);
     results.push(t("content_check", { status: textStatus }, ctx.lang));
   }
 
@@ -354,8 +1354,8 @@ const replyCheck = async (ctx, relay, relayId, env, replyMsg) => {
     const fileResult = await ctx.telegram.getFile({ file_id: photo.file_id });
     if (fileResult.ok) {
       const imageUrl = ctx.telegram.getFileUrl(fileResult.result.file_path);
-      const imageResult = await checkImageSafety(imageUrl, apiKeys, "", undefined, baseUrl);
-      const imageStatus = imageResult ? `UNSAFE: ${imageResult}` : "SAFE";
+      const imageResult = await checkImageSafety(imageUrl, env, ctx.kv);
+      const imageStatus = formatVerdictStatus(imageResult);
       results.push(t("image_check", { status: imageStatus }, ctx.lang));
     }
   }
@@ -371,31 +1371,220 @@ const replyCheck = async (ctx, relay, relayId, env, replyMsg) => {
   return sendToAdmin(ctx.telegram, ctx.adminId, results.join("\n"));
 };
 
-/** Reply command map */
+/**
+ * Overwrite the cached verdicts for a forwarded message's text and
+ * picture (the one the vision check sees, e.g. a video's thumbnail), for
+ * when the model got it wrong. The picture is downloaded so the override
+ * also covers re-uploads of it.
+ */
+async function overrideCachedVerdict(ctx, relay, replyMsg, verdict) {
+  const overridden = [];
+
+  const textContent = replyMsg?.text || replyMsg?.caption;
+  if (
+    textContent &&
+    (await cacheModerationResult(ctx.kv, textContent, verdict))
+  ) {
+    overridden.push(t("override_text", {}, ctx.lang));
+  }
+
+  const file = replyMsg && getCheckedPicture(replyMsg);
+  if (file) {
+    let bytes;
+    const fileResult = await ctx.telegram.getFile({ file_id: file.file_id });
+    if (fileResult.ok) {
+      try {
+        const imageUrl = ctx.telegram.getFileUrl(fileResult.result.file_path);
+        bytes = (await downloadImage(imageUrl)).bytes;
+      } catch (e) {
+        console.warn(`[Admin] Override without content hash: ${e.message}`);
+      }
+    }
+    await cacheImageVerdict(
+      ctx.kv,
+      { uniqueId: file.file_unique_id, bytes },
+      verdict,
+    );
+    overridden.push(t("override_image", {}, ctx.lang));
+  }
+
+  if (overridden.length === 0) {
+    return sendToAdmin(
+      ctx.telegram,
+      ctx.adminId,
+      t(
+        textContent ? "override_too_short" : "no_content_to_check",
+        {},
+        ctx.lang,
+      ),
+    );
+  }
+
+  console.log(
+    `[Admin] Cached verdict overridden: ${formatVerdictStatus(verdict)}`,
+  );
+  await audit(
+    ctx,
+    verdict ? "mark_unsafe" : "mark_safe",
+    relay.guestId,
+    overridden.join(", "),
+  );
+  return sendToAdmin(
+    ctx.telegram,
+    ctx.adminId,
+    t(
+      "verdict_overridden",
+      {
+        status: formatVerdictStatus(verdict),
+        targets: overridden.join(", "),
+      },
+      ctx.lang,
+    ),
+  );
+}
+
+const replyMarkSafe = async (ctx, relay, relayId, env, replyMsg) =>
+  overrideCachedVerdict(ctx, relay, replyMsg, null);
+
+const replyMarkUnsafe = async (ctx, relay, relayId, env, replyMsg) =>
+  overrideCachedVerdict(
+    ctx,
+    relay,
+    replyMsg,
+    createVerdict(true, { rationale: "Marked unsafe by admin" }),
+  );
+
+/** Reply command map (acceptsArgs: also matches "/cmd <args>") */
 const REPLY_COMMANDS = {
-  "/block": { handler: replyBlock, needsRelayId: true, needsEnv: true },
+  "/block": {
+    handler: replyBlock,
+    needsRelayId: true,
+    needsEnv: true,
+    acceptsArgs: true,
+  },
   "/trust": { handler: replyTrust, needsRelayId: false },
   "/untrust": { handler: replyUntrust, needsRelayId: false },
   "/unblock": { handler: replyUnblock, needsRelayId: true, needsEnv: true },
   "/status": { handler: replyStatus, needsRelayId: false },
+  "/whois": { handler: replyWhois, needsRelayId: false },
   "/check": {
     handler: replyCheck,
     needsRelayId: false,
     needsEnv: true,
     needsMsg: true,
   },
+  "/marksafe": {
+    handler: replyMarkSafe,
+    needsRelayId: false,
+    needsEnv: true,
+    needsMsg: true,
+  },
+  "/markunsafe": {
+    handler: replyMarkUnsafe,
+    needsRelayId: false,
+    needsEnv: true,
+    needsMsg: true,
+  },
 };
 
 // ============================================
 // Callback Query Handlers
 // ============================================
 
+/** Review decisions and the status they record */
+const REVIEW_DECISIONS = {
+  approve: "approved",
+  reject: "rejected",
+  block: "blocked",
+};
+
+/**
+ * Apply the admin's decision on a held message and update the card.
+ * Approve relays the message as usual; Block also blocks the guest.
+ */
+async function handleReviewDecision(query, telegram, kv, env, params, lang) {
+  const callerId = query.from.id.toString();
+  const [decision, reviewId] = params;
+  const status = REVIEW_DECISIONS[decision];
+  if (!status) return;
+
+  const review = await getReview(kv, reviewId);
+  if (!review || review.status !== "pending") {
+    return sendToAdmin(
+      telegram,
+      callerId,
+      t("review_already_resolved", {}, lang),
+    );
+  }
+
+  // Record the decision first so a double click cannot act twice
+  await resolveReview(kv, review, status);
+
+  const { guestId, message, verdict } = review;
+  await recordAudit(kv, {
+    actor: callerId,
+    action: `review_${decision}`,
+    target: guestId,
+    reason: verdict.reason,
+  });
+  const guestLang = await getUserLangOrDefault(kv, guestId);
+
+  if (status !== "approved" && !verdict.ruleId && !verdict.unavailable) {
+    await incrementCounter(kv, "ai-blocks");
+  }
+
+  if (status === "approved") {
+    await relayToAdmin(message, telegram, kv, env);
+    await telegram.sendMessage({
+      chat_id: guestId,
+      text: t("guest_review_approved", {}, guestLang),
+    });
+  } else if (status === "rejected") {
+    await telegram.sendMessage({
+      chat_id: guestId,
+      text: t("guest_review_rejected", {}, guestLang),
+    });
+  } else {
+    const reason = verdict.ruleId
+      ? `Filter Rule: ${verdict.reason}`
+      : `AI Filter: ${verdict.reason}`;
+    await setGuestBlocked(kv, guestId, true, reason, verdict);
+    await telegram.sendMessage({
+      chat_id: guestId,
+      text: t("guest_message_blocked", { reason: verdict.reason }, guestLang),
+    });
+  }
+
+  console.log(`[Admin] Review ${reviewId} ${status}`);
+
+  // Replace the buttons on every admin's card with the outcome; reviews
+  // queued before cards were recorded only know the clicked one
+  const cards =
+    review.cards ||
+    (query.message
+      ? [
+          {
+            chatId: query.message.chat.id,
+            messageId: query.message.message_id,
+            text: query.message.text,
+            lang,
+          },
+        ]
+      : []);
+  for (const card of cards) {
+    await telegram.editMessageText({
+      chat_id: card.chatId,
+      message_id: card.messageId,
+      text: card.text + t(`review_${status}`, {}, card.lang),
+    });
+  }
+}
+
 /**
  * Handle callback query from inline buttons.
  */
 export async function handleCallbackQuery(query, telegram, kv, env) {
   try {
-    const { ENV_ADMIN_UID } = env;
     const [action, ...params] = query.data.split(":");
     const callerId = query.from.id.toString();
 
@@ -413,6 +1602,21 @@ export async function handleCallbackQuery(query, telegram, kv, env) {
     }
 
     const lang = await getUserLangOrDefault(kv, callerId);
+    const role = await getAdminRole(kv, env, callerId);
+    if (!hasPermission(role, action)) {
+      console.log(`[Admin] ${callerId} may not use the ${action} button`);
+      if (!role) return;
+      return sendToAdmin(
+        telegram,
+        callerId,
+        t("permission_denied", { command: action, role }, lang),
+      );
+    }
+
+    // Review queue decisions
+    if (action === "review") {
+      return handleReviewDecision(query, telegram, kv, env, params, lang);
+    }
 
     // Appeal actions
     if (action === "appeal") {
@@ -421,9 +1625,14 @@ export async function handleCallbackQuery(query, telegram, kv, env) {
 
       if (decision === "accept") {
         await setGuestBlocked(kv, guestId, false);
+        await recordAudit(kv, {
+          actor: callerId,
+          action: "appeal_accept",
+          target: guestId,
+        });
         await sendToAdmin(
           telegram,
-          ENV_ADMIN_UID,
+          callerId,
           t("appeal_accepted", { guestId }, lang),
         );
         return telegram.sendMessage({
@@ -433,9 +1642,14 @@ export async function handleCallbackQuery(query, telegram, kv, env) {
       }
 
       if (decision === "reject") {
+        await recordAudit(kv, {
+          actor: callerId,
+          action: "appeal_reject",
+          target: guestId,
+        });
         await sendToAdmin(
           telegram,
-          ENV_ADMIN_UID,
+          callerId,
           t("appeal_rejected", { guestId }, lang),
         );
         return telegram.sendMessage({
@@ -445,15 +1659,41 @@ export async function handleCallbackQuery(query, telegram, kv, env) {
       }
     }
 
+    // Audit log pages
+    if (action === "audit" && query.message) {
+      const [scope, page] = params;
+      return telegram.editMessageText({
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        ...(await buildAuditPage(
+          kv,
+          scope === "all" ? null : scope,
+          Number(page),
+          lang,
+        )),
+      });
+    }
+
+    // Conversation history pages
+    if (action === "history" && query.message) {
+      const [guestId, page] = params;
+      return telegram.editMessageText({
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        ...(await buildHistoryPage(kv, guestId, Number(page), lang)),
+      });
+    }
+
     // Unban action
     if (action === "unban") {
       const [guestId] = params;
       await setGuestBlocked(kv, guestId, false);
-      return sendToAdmin(
-        telegram,
-        ENV_ADMIN_UID,
-        t("unbanned", { guestId }, lang),
-      );
+      await recordAudit(kv, {
+        actor: callerId,
+        action: "unblock",
+        target: guestId,
+      });
+      return sendToAdmin(telegram, callerId, t("unbanned", { guestId }, lang));
     }
   } catch (error) {
     console.error(`[Admin] Callback error: ${error.message}`, error.stack);
@@ -470,16 +1710,39 @@ export async function handleCallbackQuery(query, telegram, kv, env) {
  */
 export async function handleAdminMessage(message, telegram, kv, env) {
   try {
-    const { ENV_ADMIN_UID, ENV_FORUM_GROUP_ID } = env;
+    const { ENV_FORUM_GROUP_ID } = env;
     const text = message.text || "";
     const userId = message.from.id.toString();
     const lang = await getUserLangOrDefault(kv, userId);
     const chatId = message.chat.id.toString();
 
-    const ctx = { telegram, kv, adminId: ENV_ADMIN_UID, userId, lang };
+    const role = await getAdminRole(kv, env, userId);
+    if (!role) {
+      // Forum group members who are not on the admin team
+      console.log(`[Admin] Ignoring ${userId}: not an admin`);
+      return;
+    }
+
+    const command = getCommandName(text);
+    if (command && !hasPermission(role, command)) {
+      return telegram.sendMessage({
+        chat_id: chatId,
+        ...(message.message_thread_id
+          ? { message_thread_id: message.message_thread_id }
+          : {}),
+        text: t("permission_denied", { command, role }, lang),
+      });
+    }
+
+    // Answers go to the admin's private chat
+    const ctx = { telegram, kv, adminId: userId, userId, lang, role, text };
 
     // Handle messages from forum group
-    if (FORUM_MODE_ENABLED && ENV_FORUM_GROUP_ID && chatId === ENV_FORUM_GROUP_ID) {
+    if (
+      FORUM_MODE_ENABLED &&
+      ENV_FORUM_GROUP_ID &&
+      chatId === ENV_FORUM_GROUP_ID
+    ) {
       const topicId = message.message_thread_id;
       if (!topicId) return; // Ignore general topic
 
@@ -490,8 +1753,16 @@ export async function handleAdminMessage(message, telegram, kv, env) {
       }
 
       // Handle commands in forum topic
-      if (text === "/block") {
-        await setGuestBlocked(kv, guestId, true, "Manual block by admin");
+      if (text === "/block" || text.startsWith("/block ")) {
+        const words = text.trim().split(/\s+/).slice(1);
+        const ban = await blockGuest(ctx, guestId, words);
+        if (!ban) {
+          return telegram.sendMessage({
+            chat_id: ENV_FORUM_GROUP_ID,
+            message_thread_id: topicId,
+            text: t("block_usage", {}, lang),
+          });
+        }
         await telegram.closeForumTopic({
           chat_id: ENV_FORUM_GROUP_ID,
           message_thread_id: topicId,
@@ -499,12 +1770,13 @@ export async function handleAdminMessage(message, telegram, kv, env) {
         return telegram.sendMessage({
           chat_id: ENV_FORUM_GROUP_ID,
           message_thread_id: topicId,
-          text: t("blocked", { guestId, username: guestId }, lang),
+          text: formatBlocked(guestId, guestId, ban.expiresAt, lang),
         });
       }
 
       if (text === "/unblock") {
         await setGuestBlocked(kv, guestId, false);
+        await audit(ctx, "unblock", guestId);
         await telegram.reopenForumTopic({
           chat_id: ENV_FORUM_GROUP_ID,
           message_thread_id: topicId,
@@ -516,6 +1788,28 @@ export async function handleAdminMessage(message, telegram, kv, env) {
         });
       }
 
+      if (text === "/whois") {
+        return telegram.sendMessage({
+          chat_id: ENV_FORUM_GROUP_ID,
+          message_thread_id: topicId,
+          text: await formatGuestProfile(kv, guestId, lang),
+        });
+      }
+
+      if (text === "/delete" && message.reply_to_message) {
+        return telegram.sendMessage({
+          chat_id: ENV_FORUM_GROUP_ID,
+          message_thread_id: topicId,
+          text: await deleteReplyFromGuest(
+            telegram,
+            kv,
+            chatId,
+            message.reply_to_message.message_id,
+            lang,
+          ),
+        });
+      }
+
       // Forward admin's message to guest (non-command messages)
       if (!text.startsWith("/")) {
         const blocked = await isGuestBlocked(kv, guestId);
@@ -527,11 +1821,20 @@ export async function handleAdminMessage(message, telegram, kv, env) {
           });
         }
 
-        await telegram.copyMessage({
-          chat_id: guestId,
-          from_chat_id: ENV_FORUM_GROUP_ID,
-          message_id: message.message_id,
-        });
+        const { notice } = await copyReplyToGuest(
+          telegram,
+          kv,
+          guestId,
+          message,
+          lang,
+        );
+        if (notice) {
+          return telegram.sendMessage({
+            chat_id: ENV_FORUM_GROUP_ID,
+            message_thread_id: topicId,
+            text: notice,
+          });
+        }
         return;
       }
 
@@ -547,24 +1850,65 @@ export async function handleAdminMessage(message, telegram, kv, env) {
     if (text.startsWith("/unban ")) {
       return await handleUnbanCommand(ctx, text);
     }
+    if (text === "/ban" || text.startsWith("/ban ")) {
+      return await handleBanCommand(ctx, text);
+    }
+    if (
+      text.startsWith("/whois ") ||
+      (text === "/whois" && !message.reply_to_message)
+    ) {
+      return await handleWhoisCommand(ctx, text);
+    }
     if (text.startsWith("/trustid ")) {
       return await handleTrustIdCommand(ctx, text);
     }
     if (text.startsWith("/checktext ")) {
       return await handleCheckTextCommand(ctx, text, env);
     }
+    if (text === "/rule" || text.startsWith("/rule ")) {
+      return await handleRuleCommand(ctx, text);
+    }
+    if (text === "/modreport" || text.startsWith("/modreport ")) {
+      return await handleModReportCommand(ctx, text, env);
+    }
+    if (text === "/policy" || /^\/policy\s/.test(text)) {
+      return await handlePolicyCommand(ctx, text);
+    }
+    if (text === "/admin" || text.startsWith("/admin ")) {
+      return await handleAdminCommand(ctx, text, env);
+    }
+    if (text === "/audit" || text.startsWith("/audit ")) {
+      return await handleAuditCommand(ctx, text);
+    }
+    if (text === "/history" || text.startsWith("/history ")) {
+      return await handleHistoryCommand(ctx, text);
+    }
+    if (text === "/export" || text.startsWith("/export ")) {
+      return await handleExportCommand(ctx, text);
+    }
 
     // Handle reply-based commands
     if (message.reply_to_message) {
       const replyMsgId = message.reply_to_message.message_id;
 
-      const replyCmd = REPLY_COMMANDS[text];
+      // /delete targets the admin's own reply, not a forwarded message
+      if (text === "/delete") {
+        return sendToAdmin(
+          telegram,
+          userId,
+          await deleteReplyFromGuest(telegram, kv, chatId, replyMsgId, lang),
+        );
+      }
+
+      const withArgs = REPLY_COMMANDS[text.split(/\s+/)[0]];
+      const replyCmd =
+        REPLY_COMMANDS[text] || (withArgs?.acceptsArgs ? withArgs : null);
       if (replyCmd) {
         const { relay, relayId, error } = await getReplyRelay(
           kv,
           replyMsgId,
           telegram,
-          ENV_ADMIN_UID,
+          userId,
           lang,
         );
         if (error) return;
@@ -580,20 +1924,16 @@ export async function handleAdminMessage(message, telegram, kv, env) {
       }
 
       // Default: Forward admin's reply to guest
-      const relayId = await getRelayByAdminMsg(kv, replyMsgId);
+      const relayId = await getRelayByAdminMsg(kv, chatId, replyMsgId);
       if (!relayId) {
-        return sendToAdmin(
-          telegram,
-          ENV_ADMIN_UID,
-          t("cannot_find_sender", {}, lang),
-        );
+        return sendToAdmin(telegram, userId, t("cannot_find_sender", {}, lang));
       }
 
       const relay = await getRelay(kv, relayId);
       if (!relay) {
         return sendToAdmin(
           telegram,
-          ENV_ADMIN_UID,
+          userId,
           t("relay_data_not_found", {}, lang),
         );
       }
@@ -602,16 +1942,21 @@ export async function handleAdminMessage(message, telegram, kv, env) {
       if (blocked) {
         return sendToAdmin(
           telegram,
-          ENV_ADMIN_UID,
+          userId,
           t("user_blocked_cannot_reply", {}, lang),
         );
       }
 
-      await telegram.copyMessage({
-        chat_id: relay.guestId,
-        from_chat_id: ENV_ADMIN_UID,
-        message_id: message.message_id,
-      });
+      const { notice } = await copyReplyToGuest(
+        telegram,
+        kv,
+        relay.guestId,
+        message,
+        lang,
+      );
+      if (notice) {
+        return sendToAdmin(telegram, userId, notice);
+      }
 
       await updateRelayStatus(kv, relayId, "replied");
     }
@@ -622,3 +1967,60 @@ export async function handleAdminMessage(message, telegram, kv, env) {
     );
   }
 }
+
+// ============================================
+// Admin Edit Handler
+// ============================================
+
+/**
+ * Handle edits of admin replies.
+ * Mirrors the new text or caption onto the copy in the guest chat.
+ */
+export async function handleAdminEditedMessage(message, telegram, kv, env) {
+  try {
+    const chatId = message.chat.id.toString();
+    const link = await getReplyMessageLink(kv, chatId, message.message_id);
+    if (!link) return;
+
+    const target = { chat_id: link.guestId, message_id: link.guestMsgId };
+    const result =
+      message.text !== undefined
+        ? await telegram.editMessageText({
+            ...target,
+            text: message.text,
+            entities: message.entities,
+          })
+        : await telegram.editMessageCaption({
+            ...target,
+            caption: message.caption || "",
+            caption_entities: message.caption_entities,
+          });
+
+    // Telegram rejects edits that change nothing, e.g. media-only edits
+    if (
+      result.ok ||
+      result.error?.kind === TelegramErrorKind.MESSAGE_NOT_MODIFIED
+    ) {
+      return;
+    }
+
+    const userId = message.from.id.toString();
+    const lang = await getUserLangOrDefault(kv, userId);
+    return telegram.sendMessage({
+      chat_id: chatId,
+      ...(message.message_thread_id
+        ? { message_thread_id: message.message_thread_id }
+        : {}),
+      text: t("reply_edit_failed", { error: result.description }, lang),
+      reply_parameters: {
+        message_id: message.message_id,
+        allow_sending_without_reply: true,
+      },
+    });
+  } catch (error) {
+    console.error(
+      `[Admin] Edit handler error for ${message.from?.id}: ${error.message}`,
+      error.stack,
+    );
+  }
+}
@@ -4,10 +4,17 @@
  * Licensed under BSD 2-Clause License
  *
  * @fileoverview Guest message handler.
- * Handles guest messages with rate limiting, AI moderation, and forwarding.
+ * Handles guest messages with rate limiting, AI moderation, and forwarding,
+ * and tracks whether guests still have the bot running.
  */
 
-import { checkContentSafety, checkImageSafety, parseApiKeys } from "../ai.js";
+import {
+  checkContentSafety,
+  checkImageSafety,
+  checkAudioSafety,
+  isModerationConfigured,
+} from "../ai.js";
+import { evaluateFilterRules, createRuleVerdict } from "../filters.js";
 import {
   createRelay,
   linkAdminMessage,
@@ -15,6 +22,8 @@ import {
   setGuestBlocked,
   incrementCounter,
   getBlockInfo,
+  recordGuestActivity,
+  recordConversationMessage,
   checkRateLimit,
   isUserTrusted,
   incrementTrustScore,
@@ -22,9 +31,35 @@ import {
   cacheModerationResult,
   getGuestForumTopic,
   setGuestForumTopic,
+  deleteGuestForumTopic,
+  getGuestState,
+  setGuestActive,
+  linkGuestMessage,
+  getGuestMessageLink,
+  recordAudit,
+  createReview,
+  setReviewCards,
+  recordModerationFailure,
+  resetModerationFailures,
+  acquireModerationAlert,
+  getFilterRules,
+  recordFilterRuleHit,
 } from "../storage.js";
-import { ENABLE_FILTER, AUTO_BLOCK, FORUM_MODE_ENABLED } from "../config.js";
+import {
+  ENABLE_FILTER,
+  AUTO_BLOCK,
+  FORUM_MODE_ENABLED,
+  REVIEW_QUEUE_ENABLED,
+  REVIEW_CONFIDENCE_THRESHOLD,
+  MODERATION_FAILURE_POLICY,
+  MODERATION_ALERT_THRESHOLD,
+  MEDIA_POLICY,
+  MAX_IMAGE_DOCUMENT_BYTES,
+  MAX_TRANSCRIPTION_SECONDS,
+} from "../config.js";
 import { t, buildLanguageKeyboard, getUserLangOrDefault } from "../i18n.js";
+import { TelegramErrorKind } from "../telegram.js";
+import { getAdminRole, getAdminChatIds, sendToAdmins } from "../roles.js";
 
 // ============================================
 // Helper Functions
@@ -45,6 +80,38 @@ async function sendToGuest(telegram, chatId, text, options = {}) {
   return result;
 }
 
+/**
+ * Send a notice about a guest to the admins.
+ * In forum mode the notice goes to the guest's topic when one exists,
+ * otherwise to every admin in their own language.
+ * @param {string} key - i18n key of the notice
+ * @param {Object} params - i18n parameters
+ */
+async function notifyAdmin(telegram, kv, env, guestId, key, params) {
+  const { ENV_ADMIN_UID, ENV_FORUM_GROUP_ID } = env;
+  const topic =
+    FORUM_MODE_ENABLED && ENV_FORUM_GROUP_ID
+      ? await getGuestForumTopic(kv, guestId)
+      : null;
+
+  if (!topic) {
+    return sendToAdmins(telegram, kv, env, "responder", (lang) => ({
+      text: t(key, params, lang),
+    }));
+  }
+
+  const lang = await getUserLangOrDefault(kv, ENV_ADMIN_UID);
+  const result = await telegram.sendMessage({
+    chat_id: ENV_FORUM_GROUP_ID,
+    message_thread_id: topic.topicId,
+    text: t(key, params, lang),
+  });
+  if (!result.ok) {
+    console.warn(`[Guest] Admin notice failed: ${JSON.stringify(result)}`);
+  }
+  return result;
+}
+
 /**
  * Get file URL from Telegram (unified handler for images/stickers).
  */
@@ -58,27 +125,149 @@ async function getFileUrl(telegram, fileId, logPrefix = "File") {
 }
 
 /**
- * Get image URL from message.
+ * Get the media type of a message, as used in MEDIA_POLICY.
+ * @returns {string|null} e.g. "photo" or "voice", or null for text
  */
-async function getImageUrl(message, telegram) {
-  if (!message.photo?.length) return null;
-  const photo = message.photo[message.photo.length - 1];
-  return getFileUrl(telegram, photo.file_id, "photo");
+function getMediaType(message) {
+  return Object.keys(MEDIA_POLICY).find((type) => message[type]) || null;
 }
 
 /**
- * Get sticker URL from message (static stickers only).
+ * Whether MEDIA_POLICY refuses this message's media type outright.
  */
-async function getStickerUrl(message, telegram) {
-  const sticker = message.sticker;
-  if (!sticker) return null;
+function isMediaRejected(message) {
+  const mediaType = getMediaType(message);
+  if (MEDIA_POLICY[mediaType] !== "reject") return false;
+  console.log(`[Guest] Rejected ${mediaType} from ${message.chat.id}`);
+  return true;
+}
 
-  if (sticker.is_animated || sticker.is_video) {
-    console.log("[Guest] Skipping animated/video sticker");
+/**
+ * Pick the picture to moderate for visual media: the largest photo size,
+ * a static sticker, an image document that is small enough, or otherwise
+ * the thumbnail (videos, GIFs, video notes, animated stickers, other
+ * documents).
+ * @returns {Object|null} PhotoSize-like file with file_id and
+ *          file_unique_id, or null if there is nothing to look at
+ */
+function getVisualFile(message, mediaType) {
+  const media = message[mediaType];
+  switch (mediaType) {
+    case "photo":
+      return media.at(-1);
+    case "sticker":
+      return media.is_animated || media.is_video ? media.thumbnail : media;
+    case "document":
+      return media.mime_type?.startsWith("image/") &&
+        (media.file_size || 0) <= MAX_IMAGE_DOCUMENT_BYTES
+        ? media
+        : media.thumbnail;
+    default:
+      return media.thumbnail;
+  }
+}
+
+/**
+ * The picture the vision check sees for a message, whose verdict is cached
+ * under its file_unique_id.
+ * @returns {Object|null} Telegram file, or null for text, voice, audio and
+ *          media without a thumbnail
+ */
+export function getCheckedPicture(message) {
+  const mediaType = getMediaType(message);
+  if (!mediaType || mediaType === "voice" || mediaType === "audio") {
     return null;
   }
+  return getVisualFile(message, mediaType) || null;
+}
+
+/**
+ * Moderate a message's media according to MEDIA_POLICY: pictures go to
+ * the vision check, voice and audio are transcribed.
+ * @returns {Promise<Object|null>} Unsafe/unavailable verdict or null
+ */
+async function checkMediaContent(message, mediaType, telegram, kv, env) {
+  if (mediaType === "voice" || mediaType === "audio") {
+    const audio = message[mediaType];
+    if (audio.duration > MAX_TRANSCRIPTION_SECONDS) {
+      console.log(`[Guest] ${mediaType} too long to transcribe, skipping`);
+      return null;
+    }
+    const audioUrl = await getFileUrl(telegram, audio.file_id, mediaType);
+    return checkAudioSafety(audioUrl, env, kv, {
+      mimeType: audio.mime_type,
+      shadow: true,
+    });
+  }
+
+  // Without a picture to check, the image check reports moderation as
+  // unavailable so MODERATION_FAILURE_POLICY decides
+  const file = getVisualFile(message, mediaType);
+  if (!file) {
+    console.log(`[Guest] No picture to check for ${mediaType}`);
+  }
+  const imageUrl = file
+    ? await getFileUrl(telegram, file.file_id, mediaType)
+    : null;
+  return checkImageSafety(imageUrl, env, kv, {
+    caption: message.caption,
+    fileUniqueId: file?.file_unique_id,
+    shadow: true,
+  });
+}
+
+/** Longest diff shown for an edit, leaving room within Telegram's 4096 */
+const MAX_DIFF_LENGTH = 3500;
+
+/** Above this many line pairs the diff falls back to old/new blocks */
+const MAX_DIFF_CELLS = 10000;
+
+/**
+ * Build a line-based diff between two texts.
+ * Unchanged lines are prefixed with two spaces, removed lines with "- "
+ * and added lines with "+ ".
+ * @param {string} oldText - Text before the edit
+ * @param {string} newText - Text after the edit
+ * @returns {string} Diff text
+ */
+function buildEditDiff(oldText, newText) {
+  const a = oldText.split("\n");
+  const b = newText.split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((l) => `- ${l}`), ...b.map((l) => `+ ${l}`)].join("\n");
+  }
 
-  return getFileUrl(telegram, sticker.file_id, "sticker");
+  // Longest common subsequence lengths of the line suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+  return lines.join("\n");
 }
 
 /**
@@ -118,14 +307,13 @@ async function handleStartCommand(telegram, guestId, lang) {
 /**
  * Handle /appeal command.
  * Allows blocked users to submit appeals with optional attachment.
+ * Appeals go to every admin who can unblock (owner and moderators).
  */
 async function handleAppealCommand(message, telegram, kv, env) {
-  const { ENV_ADMIN_UID } = env;
   const guestId = message.chat.id.toString();
   const username =
     message.from?.username || message.from?.first_name || "Unknown";
   const guestLang = await getUserLangOrDefault(kv, guestId);
-  const adminLang = await getUserLangOrDefault(kv, ENV_ADMIN_UID);
 
   const blockInfo = await getBlockInfo(kv, guestId);
   const blockReason = blockInfo?.reason || "Unknown";
@@ -133,30 +321,32 @@ async function handleAppealCommand(message, telegram, kv, env) {
     ? new Date(blockInfo.blockedAt).toLocaleString()
     : "Unknown";
 
-  let appealText = t("appeal_title", {}, adminLang);
-  appealText += t("appeal_from", { username, guestId }, adminLang);
-  appealText += t("appeal_blocked", { date: blockDate }, adminLang);
-  appealText += t("appeal_reason", { reason: blockReason }, adminLang);
-  appealText += t("appeal_separator", {}, adminLang);
-
   const appealContent = message.text?.replace("/appeal", "").trim();
-  appealText += appealContent
-    ? t("appeal_message", { content: appealContent }, adminLang)
-    : t("appeal_no_message", {}, adminLang);
-
-  await telegram.sendMessage({
-    chat_id: ENV_ADMIN_UID,
-    text: appealText,
-    reply_markup: buildAppealKeyboard(guestId, adminLang),
+
+  const sent = await sendToAdmins(telegram, kv, env, "moderator", (lang) => {
+    let appealText = t("appeal_title", {}, lang);
+    appealText += t("appeal_from", { username, guestId }, lang);
+    appealText += t("appeal_blocked", { date: blockDate }, lang);
+    appealText += t("appeal_reason", { reason: blockReason }, lang);
+    appealText += t("appeal_separator", {}, lang);
+    appealText += appealContent
+      ? t("appeal_message", { content: appealContent }, lang)
+      : t("appeal_no_message", {}, lang);
+    return {
+      text: appealText,
+      reply_markup: buildAppealKeyboard(guestId, lang),
+    };
   });
 
   // Forward attached message if present
   if (message.reply_to_message) {
-    await telegram.forwardMessage({
-      chat_id: ENV_ADMIN_UID,
-      from_chat_id: guestId,
-      message_id: message.reply_to_message.message_id,
-    });
+    for (const { chatId } of sent) {
+      await telegram.forwardMessage({
+        chat_id: chatId,
+        from_chat_id: guestId,
+        message_id: message.reply_to_message.message_id,
+      });
+    }
   }
 
   return sendToGuest(
@@ -172,10 +362,12 @@ async function handleAppealCommand(message, telegram, kv, env) {
 
 /**
  * Check message content against AI filters.
- * Checks text, images, and stickers with caching.
- * @returns {Promise<string|null>} Filter result or null if safe
+ * Checks text, then media per MEDIA_POLICY, with caching (text here,
+ * images in checkImageSafety). Stops at the first
+ * unsafe or unavailable verdict; the latter is never cached.
+ * @returns {Promise<Object|null>} Unsafe/unavailable verdict or null if safe
  */
-async function checkMessageContent(message, telegram, kv, apiKeys, baseUrl = null) {
+async function checkMessageContent(message, telegram, kv, env) {
   const textContent = message.text || message.caption;
   if (textContent) {
     const cached = await getCachedModerationResult(kv, textContent);
@@ -184,62 +376,393 @@ async function checkMessageContent(message, telegram, kv, apiKeys, baseUrl = nul
       return cached.result;
     }
 
-    const result = await checkContentSafety(textContent, apiKeys, undefined, baseUrl);
+    const result = await checkContentSafety(textContent, env, kv, {
+      shadow: true,
+    });
+    if (result?.unavailable) return result;
     await cacheModerationResult(kv, textContent, result);
     if (result) return result;
   }
 
-  if (message.photo) {
-    const imageUrl = await getImageUrl(message, telegram);
-    if (imageUrl) {
-      const result = await checkImageSafety(imageUrl, apiKeys, message.caption, undefined, baseUrl);
-      if (result) return result;
-    }
+  const mediaType = getMediaType(message);
+  if (mediaType && MEDIA_POLICY[mediaType] === "moderate") {
+    return checkMediaContent(message, mediaType, telegram, kv, env);
   }
 
-  if (message.sticker) {
-    const stickerUrl = await getStickerUrl(message, telegram);
-    if (stickerUrl) {
-      const result = await checkImageSafety(stickerUrl, apiKeys, "", undefined, baseUrl);
-      if (result) return result;
-    }
+  return null;
+}
+
+/**
+ * Count a moderation outage and alert the admin once the streak reaches
+ * MODERATION_ALERT_THRESHOLD (throttled). Under the "allow" policy the
+ * message then goes through unchecked.
+ * @returns {Promise<Object|null>} The verdict, or null to allow the message
+ */
+async function handleModerationFailure(telegram, kv, env, verdict) {
+  const streak = await recordModerationFailure(kv, verdict.rationale);
+  console.warn(
+    `[Guest] Moderation unavailable (${streak.count} in a row): ${verdict.rationale}`,
+  );
+
+  if (
+    streak.count >= MODERATION_ALERT_THRESHOLD &&
+    (await acquireModerationAlert(kv))
+  ) {
+    await sendToAdmins(telegram, kv, env, "moderator", (lang) => ({
+      text: t(
+        "moderation_failing",
+        {
+          count: streak.count,
+          since: new Date(streak.since).toLocaleString(),
+          error: streak.lastError,
+          policy: MODERATION_FAILURE_POLICY,
+        },
+        lang,
+      ),
+    }));
+  }
+
+  return MODERATION_FAILURE_POLICY === "allow" ? null : verdict;
+}
+
+/**
+ * Match a guest message against the local filter rules and log the hit.
+ * @returns {Promise<{rule: Object, detail: string}|null>} Hit or null
+ */
+async function checkFilterRules(message, kv, guestId) {
+  const hit = evaluateFilterRules(await getFilterRules(kv), message);
+  if (!hit) return null;
+
+  console.log(
+    `[Rule] #${hit.rule.id} (${hit.rule.type}) ${hit.rule.action}: ${guestId}, ${hit.detail}`,
+  );
+  await recordFilterRuleHit(kv, hit.rule.id);
+  return hit;
+}
+
+/**
+ * Run the content filter on a guest message.
+ * Local filter rules apply to every guest and run first; an "allow" or
+ * "block" rule decides without the AI check. Otherwise trusted guests skip
+ * the AI check unless an "ai" rule matched; passing it raises the trust
+ * score unless `updateTrust` is false (edits must not earn trust).
+ * @returns {Promise<Object|null>} Unsafe or unavailable verdict, or null
+ *          if allowed
+ */
+async function moderateGuestMessage(
+  message,
+  telegram,
+  kv,
+  env,
+  { updateTrust = true } = {},
+) {
+  if (!ENABLE_FILTER) return null;
+
+  const guestId = message.chat.id.toString();
+  const ruleHit = await checkFilterRules(message, kv, guestId);
+  if (ruleHit?.rule.action === "allow") return null;
+  if (ruleHit?.rule.action === "block") return createRuleVerdict(ruleHit);
+
+  if (!isModerationConfigured(env)) return null;
+  if (!ruleHit && (await isUserTrusted(kv, guestId))) {
+    console.log(`[Guest] Trusted user, skipping AI check: ${guestId}`);
+    return null;
+  }
+
+  const filterResult = await checkMessageContent(message, telegram, kv, env);
+  if (filterResult?.unavailable) {
+    return handleModerationFailure(telegram, kv, env, filterResult);
   }
+  await resetModerationFailures(kv);
+  if (filterResult) return filterResult;
 
+  // Passed moderation - increment trust score
+  if (updateTrust) await incrementTrustScore(kv, guestId);
   return null;
 }
 
+/**
+ * Build the Approve / Reject / Block keyboard for a review card.
+ */
+function buildReviewKeyboard(reviewId, lang) {
+  return {
+    inline_keyboard: [
+      [
+        {
+          text: t("review_approve_button", {}, lang),
+          callback_data: `review:approve:${reviewId}`,
+        },
+        {
+          text: t("review_reject_button", {}, lang),
+          callback_data: `review:reject:${reviewId}`,
+        },
+        {
+          text: t("review_block_button", {}, lang),
+          callback_data: `review:block:${reviewId}`,
+        },
+      ],
+    ],
+  };
+}
+
+/**
+ * Whether a flagged message goes to the review queue instead of being
+ * rejected outright. Low-confidence verdicts are always reviewed.
+ */
+function needsReview(verdict) {
+  if (REVIEW_QUEUE_ENABLED) return true;
+  return (
+    verdict.confidence !== null &&
+    verdict.confidence < REVIEW_CONFIDENCE_THRESHOLD
+  );
+}
+
+/**
+ * Hold a flagged message and send a review card to every admin who can
+ * decide it (owner and moderators).
+ * Media is copied to the admin chat first so the card can reply to it.
+ */
+async function queueForReview(message, telegram, kv, env, verdict, lang) {
+  const guestId = message.chat.id.toString();
+  const username =
+    message.from?.username || message.from?.first_name || "Unknown";
+  const review = await createReview(kv, guestId, message, verdict);
+
+  const cards = [];
+  for (const adminId of await getAdminChatIds(kv, env, "moderator")) {
+    const adminLang = await getUserLangOrDefault(kv, adminId);
+    let cardText = t("review_title", {}, adminLang);
+    cardText += t("review_from", { username, guestId }, adminLang);
+    cardText += t("review_verdict", { reason: verdict.reason }, adminLang);
+
+    let copy = null;
+    if (message.text) {
+      cardText += t(
+        "review_content",
+        { content: message.text.substring(0, 1000) },
+        adminLang,
+      );
+    } else {
+      copy = await telegram.copyMessage({
+        chat_id: adminId,
+        from_chat_id: guestId,
+        message_id: message.message_id,
+      });
+      cardText += t("review_media", {}, adminLang);
+    }
+
+    const card = await telegram.sendMessage({
+      chat_id: adminId,
+      text: cardText,
+      reply_markup: buildReviewKeyboard(review.id, adminLang),
+      ...(copy?.ok
+        ? {
+            reply_parameters: {
+              message_id: copy.result.message_id,
+              allow_sending_without_reply: true,
+            },
+          }
+        : {}),
+    });
+    if (card.ok) {
+      cards.push({
+        chatId: adminId,
+        messageId: card.result.message_id,
+        text: cardText,
+        lang: adminLang,
+      });
+    } else {
+      console.warn(
+        `[Guest] Failed to send review card: ${JSON.stringify(card)}`,
+      );
+    }
+  }
+  await setReviewCards(kv, review, cards);
+
+  console.log(`[Guest] Held message from ${guestId} for review ${review.id}`);
+  return sendToGuest(telegram, guestId, t("guest_message_held", {}, lang));
+}
+
 /**
  * Handle unsafe content detection.
+ * The verdict's reason is shown to the guest and kept as the block reason.
+ * Messages needing review are held instead. When moderation was
+ * unavailable, MODERATION_FAILURE_POLICY decides between review and
+ * asking the guest to retry.
  */
-async function handleUnsafeContent(telegram, kv, guestId, filterResult, lang) {
-  await incrementCounter(kv, "ai-blocks");
+async function handleUnsafeContent(
+  message,
+  telegram,
+  kv,
+  env,
+  filterResult,
+  lang,
+) {
+  const guestId = message.chat.id.toString();
+
+  if (filterResult.unavailable) {
+    if (MODERATION_FAILURE_POLICY === "review") {
+      return queueForReview(message, telegram, kv, env, filterResult, lang);
+    }
+    return sendToGuest(
+      telegram,
+      guestId,
+      t("guest_moderation_unavailable", {}, lang),
+    );
+  }
+
+  if (needsReview(filterResult)) {
+    return queueForReview(message, telegram, kv, env, filterResult, lang);
+  }
+
+  // Held messages are counted once an admin rejects them
+  if (!filterResult.ruleId) {
+    await incrementCounter(kv, "ai-blocks");
+  }
 
   if (AUTO_BLOCK) {
-    await setGuestBlocked(kv, guestId, true, `AI Filter: ${filterResult}`);
+    const reason = filterResult.ruleId
+      ? `Filter Rule: ${filterResult.reason}`
+      : `AI Filter: ${filterResult.reason}`;
+    await setGuestBlocked(kv, guestId, true, reason, filterResult);
+    await recordAudit(kv, {
+      actor: "system",
+      action: "auto_block",
+      target: guestId,
+      reason,
+    });
   }
 
   return sendToGuest(
     telegram,
     guestId,
-    t("guest_message_blocked", { reason: filterResult }, lang),
+    t("guest_message_blocked", { reason: filterResult.reason }, lang),
   );
 }
 
+// ============================================
+// Relay Delivery
+// ============================================
+
+/**
+ * Get or create the guest's forum topic.
+ * @returns {Promise<{topicId: number, topicName: string}|null>}
+ */
+async function ensureForumTopic(telegram, kv, env, guestId, username) {
+  const topic = await getGuestForumTopic(kv, guestId);
+  if (topic) return topic;
+
+  const topicName = `${username} (${guestId})`;
+  const createResult = await telegram.createForumTopic({
+    chat_id: env.ENV_FORUM_GROUP_ID,
+    name: topicName,
+  });
+
+  if (!createResult.ok) {
+    console.warn(`[Guest] Failed to create forum topic:`, createResult);
+    return null;
+  }
+
+  const topicId = createResult.result.message_thread_id;
+  await setGuestForumTopic(kv, guestId, topicId, topicName);
+  console.log(`[Guest] Created forum topic for ${guestId}: ${topicId}`);
+  return { topicId, topicName };
+}
+
+/**
+ * Create a relay and forward the guest message to every admin
+ * (or to the guest's topic in forum mode).
+ * Links the forwarded copies both ways so admin replies and guest edits
+ * can find each other.
+ */
+export async function relayToAdmin(message, telegram, kv, env) {
+  const guestId = message.chat.id.toString();
+  const relay = await createRelay(kv, guestId, message);
+  const username =
+    message.from?.username || message.from?.first_name || "Unknown";
+
+  const forumMode = FORUM_MODE_ENABLED && env.ENV_FORUM_GROUP_ID;
+
+  /** Resolve where copies go: the guest's topic or every admin chat */
+  const resolveTargets = async () => {
+    if (!forumMode) {
+      // Normal mode: forward to each admin's private chat
+      const adminIds = await getAdminChatIds(kv, env);
+      return adminIds.map((chatId) => ({ chat_id: chatId }));
+    }
+    // Forum mode: forward to group topic
+    const topic = await ensureForumTopic(telegram, kv, env, guestId, username);
+    return topic
+      ? [{ chat_id: env.ENV_FORUM_GROUP_ID, message_thread_id: topic.topicId }]
+      : [];
+  };
+
+  const forward = (target) =>
+    telegram.forwardMessage({
+      ...target,
+      from_chat_id: message.chat.id,
+      message_id: message.message_id,
+    });
+
+  const copies = [];
+  for (let target of await resolveTargets()) {
+    let fwd = await forward(target);
+
+    // The topic was deleted in the group: start a fresh one
+    if (forumMode && fwd.error?.kind === TelegramErrorKind.THREAD_NOT_FOUND) {
+      console.log(`[Guest] Forum topic for ${guestId} is gone, recreating`);
+      await deleteGuestForumTopic(kv, guestId);
+      [target] = await resolveTargets();
+      if (!target) break;
+      fwd = await forward(target);
+    }
+
+    if (!fwd.ok) {
+      console.warn(
+        `[Guest] Failed to forward message from ${guestId} to ${target.chat_id}`,
+      );
+      continue;
+    }
+
+    await linkAdminMessage(kv, target.chat_id, fwd.result.message_id, relay.id);
+    copies.push({
+      chatId: target.chat_id,
+      threadId: target.message_thread_id,
+      adminMsgId: fwd.result.message_id,
+    });
+  }
+
+  if (copies.length === 0) return;
+  await linkGuestMessage(kv, guestId, message.message_id, {
+    copies,
+    relayId: relay.id,
+    content: message.text || message.caption || "",
+  });
+}
+
 // ============================================
 // Main Handler
 // ============================================
 
 /**
  * Handle guest messages.
- * Flow: Check blocks -> Commands -> Rate limit -> AI filter -> Forward
+ * Flow: Update profile and history -> Check blocks -> Commands -> Rate limit
+ * -> AI filter -> Forward
  */
 export async function handleGuestMessage(message, telegram, kv, env) {
   try {
-    const { ENV_ADMIN_UID, ENV_GEMINI_API_KEY } = env;
     const guestId = message.chat.id.toString();
     const lang = await getUserLangOrDefault(kv, guestId);
     const text = message.text || "";
 
+    // A guest who writes has not stopped the bot, even if the restart
+    // update was lost or a failed reply marked them inactive
+    const state = await getGuestState(kv, guestId);
+    if (state && !state.active) {
+      await setGuestActive(kv, guestId, true);
+      console.log(`[Guest] ${guestId} is active again`);
+    }
+
     const blocked = await isGuestBlocked(kv, guestId);
 
     // /lang is always allowed
@@ -257,7 +780,15 @@ export async function handleGuestMessage(message, telegram, kv, env) {
 
     // Blocked users cannot proceed further
     if (blocked) {
-      return sendToGuest(telegram, guestId, t("guest_blocked", {}, lang));
+      const info = await getBlockInfo(kv, guestId);
+      const notice = info?.expiresAt
+        ? t(
+            "guest_blocked_until",
+            { until: new Date(info.expiresAt).toLocaleString() },
+            lang,
+          )
+        : t("guest_blocked", {}, lang);
+      return sendToGuest(telegram, guestId, notice);
     }
 
     // /start command
@@ -276,103 +807,200 @@ export async function handleGuestMessage(message, telegram, kv, env) {
       );
     }
 
+    // Only messages past the block and rate limit count in the profile
+    // and the conversation history
+    await recordGuestActivity(kv, guestId, message.from);
+    await recordConversationMessage(kv, guestId, "in", message);
+
+    if (isMediaRejected(message)) {
+      return sendToGuest(
+        telegram,
+        guestId,
+        t("guest_media_rejected", {}, lang),
+      );
+    }
+
     // AI content filter (skip for trusted users)
-    if (ENABLE_FILTER && ENV_GEMINI_API_KEY) {
-      const trusted = await isUserTrusted(kv, guestId);
-
-      if (trusted) {
-        console.log(`[Guest] Trusted user, skipping AI check: ${guestId}`);
-      } else {
-        const apiKeys = parseApiKeys(ENV_GEMINI_API_KEY);
-        const baseUrl = env.ENV_GEMINI_API_BASE_URL || null;
-        const filterResult = await checkMessageContent(
-          message,
-          telegram,
-          kv,
-          apiKeys,
-          baseUrl,
-        );
-
-        if (filterResult) {
-          return handleUnsafeContent(telegram, kv, guestId, filterResult, lang);
-        }
-
-        // Passed moderation - increment trust score
-        await incrementTrustScore(kv, guestId);
-      }
+    const filterResult = await moderateGuestMessage(message, telegram, kv, env);
+    if (filterResult) {
+      return handleUnsafeContent(
+        message,
+        telegram,
+        kv,
+        env,
+        filterResult,
+        lang,
+      );
     }
 
-    // Create relay and forward message
-    const relay = await createRelay(kv, guestId, message);
+    await relayToAdmin(message, telegram, kv, env);
+  } catch (error) {
+    console.error(
+      `[Guest] Handler error for ${message.chat?.id}: ${error.message}`,
+      error.stack,
+    );
+
+    // Try to send generic error message
+    try {
+      const lang = await getUserLangOrDefault(kv, message.chat.id.toString());
+      await sendToGuest(telegram, message.chat.id, t("guest_error", {}, lang));
+    } catch {
+      // Ignore secondary errors
+    }
+  }
+}
+
+// ============================================
+// Edited Messages
+// ============================================
+
+/**
+ * Handle guest message edits.
+ * The edit is moderated like a new message, then posted as a reply to the
+ * forwarded copy (in the same chat or forum topic) with an old/new diff.
+ */
+export async function handleGuestEditedMessage(message, telegram, kv, env) {
+  try {
+    const guestId = message.chat.id.toString();
+    if (await isGuestBlocked(kv, guestId)) return;
+
+    const link = await getGuestMessageLink(kv, guestId, message.message_id);
+    if (!link) {
+      // Too old or never forwarded (e.g. sent before a block was lifted)
+      console.log(`[Guest] No forwarded copy for edit ${message.message_id}`);
+      return;
+    }
+
+    const lang = await getUserLangOrDefault(kv, guestId);
+    const rateLimit = await checkRateLimit(kv, guestId);
+    if (!rateLimit.allowed) {
+      console.log(`[Guest] Rate limited edit: ${guestId}`);
+      return sendToGuest(
+        telegram,
+        guestId,
+        t("guest_rate_limited", { seconds: rateLimit.resetIn }, lang),
+      );
+    }
+
+    if (isMediaRejected(message)) {
+      return sendToGuest(
+        telegram,
+        guestId,
+        t("guest_media_rejected", {}, lang),
+      );
+    }
+
+    const filterResult = await moderateGuestMessage(
+      message,
+      telegram,
+      kv,
+      env,
+      { updateTrust: false },
+    );
+    if (filterResult) {
+      return handleUnsafeContent(
+        message,
+        telegram,
+        kv,
+        env,
+        filterResult,
+        lang,
+      );
+    }
+
+    const newContent = message.text || message.caption || "";
+    const diff =
+      newContent === link.content
+        ? null
+        : buildEditDiff(link.content, newContent).substring(0, MAX_DIFF_LENGTH);
     const username =
       message.from?.username || message.from?.first_name || "Unknown";
 
-    // Forum mode: forward to group topic
-    if (FORUM_MODE_ENABLED && env.ENV_FORUM_GROUP_ID) {
-      let topic = await getGuestForumTopic(kv, guestId);
-
-      // Create topic for new user
-      if (!topic) {
-        const topicName = `${username} (${guestId})`;
-        const createResult = await telegram.createForumTopic({
-          chat_id: env.ENV_FORUM_GROUP_ID,
-          name: topicName,
-        });
-
-        if (createResult.ok) {
-          topic = {
-            topicId: createResult.result.message_thread_id,
-            topicName,
-          };
-          await setGuestForumTopic(
-            kv,
+    for (const copy of link.copies) {
+      // Forum topics follow the owner's language
+      const adminLang = await getUserLangOrDefault(
+        kv,
+        copy.threadId ? env.ENV_ADMIN_UID : copy.chatId,
+      );
+      const sent = await telegram.sendMessage({
+        chat_id: copy.chatId,
+        ...(copy.threadId ? { message_thread_id: copy.threadId } : {}),
+        text: t(
+          "guest_edited",
+          {
+            username,
             guestId,
-            topic.topicId,
-            topic.topicName,
-          );
-          console.log(`[Guest] Created forum topic for ${guestId}: ${topic.topicId}`);
-        } else {
-          console.warn(`[Guest] Failed to create forum topic:`, createResult);
-        }
-      }
-
-      // Forward to topic
-      if (topic) {
-        const fwd = await telegram.forwardMessage({
-          chat_id: env.ENV_FORUM_GROUP_ID,
-          message_thread_id: topic.topicId,
-          from_chat_id: message.chat.id,
-          message_id: message.message_id,
-        });
-
-        if (fwd.ok) {
-          await linkAdminMessage(kv, fwd.result.message_id, relay.id);
-        }
-      }
-    } else {
-      // Normal mode: forward to admin private chat
-      const fwd = await telegram.forwardMessage({
-        chat_id: ENV_ADMIN_UID,
-        from_chat_id: message.chat.id,
-        message_id: message.message_id,
+            diff: diff ?? t("edit_text_unchanged", {}, adminLang),
+          },
+          adminLang,
+        ),
+        reply_parameters: {
+          message_id: copy.adminMsgId,
+          allow_sending_without_reply: true,
+        },
       });
 
-      if (fwd.ok) {
-        await linkAdminMessage(kv, fwd.result.message_id, relay.id);
+      if (!sent.ok) {
+        console.warn(`[Guest] Edit notice failed: ${JSON.stringify(sent)}`);
+        continue;
       }
+
+      // Replies to the edit notice reach the guest like replies to the copy
+      await linkAdminMessage(
+        kv,
+        copy.chatId,
+        sent.result.message_id,
+        link.relayId,
+      );
     }
+
+    await linkGuestMessage(kv, guestId, message.message_id, {
+      ...link,
+      content: newContent,
+    });
   } catch (error) {
     console.error(
-      `[Guest] Handler error for ${message.chat?.id}: ${error.message}`,
+      `[Guest] Edit handler error for ${message.chat?.id}: ${error.message}`,
       error.stack,
     );
+  }
+}
 
-    // Try to send generic error message
-    try {
-      const lang = await getUserLangOrDefault(kv, message.chat.id.toString());
-      await sendToGuest(telegram, message.chat.id, t("guest_error", {}, lang));
-    } catch {
-      // Ignore secondary errors
+// ============================================
+// Chat Member Updates
+// ============================================
+
+/**
+ * Handle my_chat_member updates from private chats.
+ * Marks the guest inactive when they block (stop) the bot and active again
+ * when they restart it, and tells the admin about the change.
+ */
+export async function handleGuestChatMember(update, telegram, kv, env) {
+  try {
+    const { chat, from, new_chat_member } = update;
+    const guestId = chat.id.toString();
+    if (chat.type !== "private" || (await getAdminRole(kv, env, guestId))) {
+      return;
     }
+
+    // "kicked" means the user blocked the bot; "member" means (re)started
+    const active = new_chat_member.status !== "kicked";
+    const previous = await getGuestState(kv, guestId);
+    if (previous?.active === active) return;
+
+    await setGuestActive(kv, guestId, active);
+    console.log(`[Guest] ${guestId} is now ${active ? "active" : "inactive"}`);
+
+    // A first /start is not worth a notice
+    if (!previous && active) return;
+
+    const username = from?.username || from?.first_name || "Unknown";
+    const key = active ? "guest_restarted_bot" : "guest_stopped_bot";
+    await notifyAdmin(telegram, kv, env, guestId, key, { username, guestId });
+  } catch (error) {
+    console.error(
+      `[Guest] Chat member error for ${update.chat?.id}: ${error.message}`,
+      error.stack,
+    );
   }
 }
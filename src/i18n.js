@@ -24,16 +24,25 @@ const messages = {
     no_blocked_users: "No blocked users.",
     blocked_users_title: "Blocked Users ({count}):\n\n",
     blocked_user_item:
-      "{index}. {guestId}\n   Reason: {reason}\n   Date: {date}\n\n",
+      "{index}. {guestId}\n   Reason: {reason}\n   Date: {date}\n{expires}\n",
+    blocked_user_expires: "   Ends in: {remaining}\n",
     unban_button: "Unban {guestId}",
     stats_title: "Statistics:\n\n",
     stats_content:
-      "Total Relays: {totalRelays}\nBlocked Users: {totalBlocked}\nAI Blocks: {aiBlocks}\n",
-    api_usage_title: "\nAPI Usage:\n",
-    api_usage_item: "  #{index}: {calls} calls ({masked})\n",
+      "Total Relays: {totalRelays}\nBlocked Users: {totalBlocked}\nAI Blocks: {aiBlocks}\nModeration Failures: {moderationFailures}\n",
+    api_usage_title: "\nAPI Keys:\n",
+    api_usage_item:
+      "  #{index} {masked}: {calls} calls, {errors} errors, {tokens} tokens\n",
+    api_key_cooldown: "    ⏸ Cooling down, {seconds}s left\n",
+    api_key_last_error: "    Last error: {error}\n",
     unban_usage: "Usage: /unban <ID>",
+    ban_usage:
+      "Usage: /ban <ID> [duration] [reason]\nDurations: 30m, 24h, 7d, 2w. Without one the ban is permanent.",
+    block_usage:
+      "Usage: reply /block [duration] [reason] to a guest's message\nDurations: 30m, 24h, 7d, 2w. Without one the block is permanent.",
     unbanned: "Unbanned: {guestId}",
     blocked: "Blocked: {guestId} ({username})",
+    blocked_until: "Blocked: {guestId} ({username}) until {until}",
     trusted:
       "Trusted: {guestId} ({username})\nThis user will skip AI moderation.",
     untrusted:
@@ -41,9 +50,29 @@ const messages = {
     unblocked: "Unblocked: {guestId}",
     user_status:
       "User: {guestId} ({username})\nBlocked: {blocked}\nRelay: {status}",
+    whois_usage: "Usage: /whois <ID>, or reply /whois to a guest's message",
+    whois_not_found:
+      "No profile for {guestId} yet. Profiles start with the guest's next message.",
+    whois_profile:
+      "Guest: {guestId}\nUsername: {username}\nName: {name}\nLanguage: {language}\nPremium: {premium}\nFirst seen: {firstSeen}\nLast seen: {lastSeen}\nMessages: {messages}\nTrust score: {trust}/{threshold}\nBlocked: {blocked}\nRelay: {relay}\n",
+    whois_yes: "Yes",
+    whois_no: "No",
+    whois_blocked_until: "Yes, until {until}",
+    whois_names_title: "\nName history:\n",
+    whois_name_item: "  {date}: {username} ({name})\n",
+    whois_blocks_title: "\nBlock history:\n",
+    whois_block_item: "  {date}: {reason}\n",
+    whois_block_until: "    until {until}\n",
+    whois_block_lifted: "    lifted {date}\n",
     content_check: "Content Check: {status}",
     image_check: "Image Check: {status}",
     no_content_to_check: "No content to check.",
+    verdict_overridden:
+      "Cached verdict for {targets} set to {status}. Future copies use it until the cache expires.",
+    override_text: "text",
+    override_image: "image",
+    override_too_short:
+      "Nothing cached: text this short is always checked again.",
     cannot_find_user: "Cannot find user info for this message.",
     relay_not_found: "Relay not found.",
     cannot_find_sender: "Cannot find original sender for this message.",
@@ -54,12 +83,95 @@ const messages = {
     trustid_usage: "Usage: /trustid <UID>",
     trustid_success: "Trusted: {guestId}\nThis user will skip AI moderation.",
     checktext_usage: "Usage: /checktext <content>",
+    rule_usage:
+      "Usage:\n/rule add <type> <action> [value]\n/rule list\n/rule del <id>\n\nTypes: keyword (comma-separated), regex, domain (comma-separated), invite, links (max links per message)\nActions: allow, block, ai",
+    rule_invalid_regex: "Invalid regex: {error}",
+    rule_invalid_limit: "The link limit must be a whole number (0 or more).",
+    rule_added: "Rule added: {rule}",
+    rule_deleted: "Rule #{id} deleted.",
+    rule_not_found: "Rule #{id} not found.",
+    rule_list_title: "Filter Rules ({count}):\n\n",
+    rule_list_item: "{rule} ({hits} hits)\n",
+    rule_list_empty: "No filter rules.",
+    modreport_title: "Shadow Moderation Report\n\n",
+    modreport_disabled:
+      "Shadow moderation is off. Set ENV_SHADOW_MODERATION_PROVIDERS to try a second prompt or model on live traffic.\n\n",
+    modreport_empty: "No shadow results yet.",
+    modreport_stats:
+      "Since: {since}\nCompared: {total}\nAgreement: {rate}%\nUnsafe only for live: {liveOnly}\nUnsafe only for shadow: {shadowOnly}\nShadow errors: {errors}\n",
+    modreport_disagreements_title: "\nRecent disagreements:\n",
+    modreport_disagreement_item:
+      "\n[{kind}] {preview}\n  Live: {live}\n  Shadow: {shadow}\n",
+    modreport_reset: "Shadow report cleared.",
+    policy_show:
+      "Moderation Policy (v{version})\n\nModel: {model}\nEnabled categories: {enabled}\nDisabled categories: {disabled}\n\nRules:\n{rules}",
+    policy_default: "default",
+    policy_usage:
+      "Usage:\n/policy - show the policy\n/policy set <rules|default>\n/policy model <name|default>\n/policy enable <category>\n/policy disable <category>\n/policy history\n/policy rollback [version]\n\nVersion 0 is the built-in policy.",
+    policy_saved:
+      "Policy v{version} saved ({change}). Earlier cached verdicts no longer apply.",
+    policy_unknown_category: "Unknown category. Categories: {categories}",
+    policy_history_title: "Policy Versions:\n\n",
+    policy_history_item: "{marker} v{version} {date} - {change}\n",
+    policy_history_empty:
+      "No saved policy versions, the built-in policy is in use.",
+    policy_rollback_none: "The built-in policy is already in use.",
+    policy_version_not_found: "Policy v{version} not found.",
+    policy_rolled_back: "Rolled back to policy v{version}.",
+    permission_denied: "/{command} is not available to the {role} role.",
+    admin_usage:
+      "Usage:\n/admin add <user ID> <moderator|responder>\n/admin remove <user ID>\n/admin list\n\nModerators can block, trust and decide reviews and appeals. Responders can only reply to guests.",
+    admin_list_title: "Admins:\n\n",
+    admin_list_item: "{userId} - {role}\n",
+    admin_owner_fixed:
+      "The owner is set by ENV_ADMIN_UID and cannot be changed here.",
+    admin_added:
+      "{userId} is now a {role}. They should send /start to the bot to receive messages.",
+    admin_removed: "{userId} is no longer an admin.",
+    admin_not_found: "{userId} is not an admin.",
+    audit_usage:
+      "Usage:\n/audit [guest ID|all] [page]\n/audit export [guest ID|all] [part]",
+    audit_title: "Audit Log - {scope} (page {page}):\n\n",
+    audit_scope_all: "all",
+    audit_scope_guest: "guest {guestId}",
+    audit_item: "{date} {actor}: {action} {target}\n",
+    audit_item_reason: "  {reason}\n",
+    audit_system: "system",
+    audit_empty: "The audit log is empty.",
+    audit_page_empty: "No audit log entries on page {page}.",
+    audit_export_caption: "Audit log export ({count} entries)",
+    audit_export_more: "\nOlder entries: {command}",
+    page_prev: "« Previous",
+    page_next: "Next »",
+    history_usage: "Usage: /history <ID> [page]",
+    history_title: "History with {guestId} (page {page}):\n\n",
+    history_item_in: "{date} Guest ({type}): {text}\n",
+    history_item_out: "{date} Admin {adminId} ({type}): {text}\n",
+    history_empty: "No conversation history with {guestId}.",
+    history_page_empty: "No messages with {guestId} on page {page}.",
+    export_usage: "Usage: /export <ID> [txt|json] [part]",
+    export_caption: "Conversation with {guestId} ({count} messages)",
+    export_more: "\nOlder messages: {command}",
     invalid_user_id: "Invalid user ID format. ID must be a number.",
+    guest_stopped_bot: "{username} ({guestId}) has stopped the bot.",
+    guest_restarted_bot: "{username} ({guestId}) has restarted the bot.",
+    user_stopped_bot_cannot_reply:
+      "This user has stopped the bot (since {date}). Your reply was not delivered.",
+    reply_chat_not_found:
+      "This user's chat no longer exists. Your reply was not delivered.",
+    reply_failed: "Your reply was not delivered: {error}",
+    reply_deleted: "Reply deleted from the user's chat.",
+    reply_link_not_found:
+      "This message is not a reply that was delivered to a user.",
+    reply_delete_failed: "Could not delete the reply: {error}",
+    reply_edit_failed: "Could not update the edited reply: {error}",
 
     // Guest messages
     guest_welcome: "Hello. You can contact me via this bot.",
     guest_blocked:
       "You are blocked.\n\nUse /appeal to submit an appeal.\nTip: Reply to your blocked message with /appeal to attach evidence.",
+    guest_blocked_until:
+      "You are blocked until {until}.\n\nUse /appeal to submit an appeal.\nTip: Reply to your blocked message with /appeal to attach evidence.",
     guest_not_blocked: "You are not blocked. No need to appeal.",
     guest_appeal_submitted:
       "Your appeal has been submitted. Please wait for admin review.",
@@ -67,6 +179,8 @@ const messages = {
       "Your appeal has been accepted. You are now unbanned.",
     guest_appeal_rejected: "Your appeal has been rejected.",
     guest_rate_limited: "Too many messages. Please wait {seconds} seconds.",
+    guest_media_rejected:
+      "This type of message is not accepted. Please send it in another format.",
     guest_message_blocked:
       "Message blocked.\nReason: {reason}\n\nUse /appeal to submit an appeal.\nTip: Reply to this message with /appeal to attach evidence.",
     guest_error: "An error occurred. Please try again later.",
@@ -82,13 +196,78 @@ const messages = {
     appeal_accept_button: "Accept (Unban)",
     appeal_reject_button: "Reject",
 
+    // Review queue
+    review_title: "[REVIEW]\n",
+    review_from: "From: @{username} ({guestId})\n",
+    review_verdict: "Verdict: {reason}\n",
+    review_content: "---\n{content}",
+    review_media: "---\n(Media, see the message above)",
+    review_approve_button: "Approve",
+    review_reject_button: "Reject",
+    review_block_button: "Block",
+    review_approved: "\n\nApproved, message delivered.",
+    review_rejected: "\n\nRejected, message discarded.",
+    review_blocked: "\n\nRejected, user blocked.",
+    review_already_resolved: "This review was already handled or has expired.",
+    guest_message_held:
+      "Your message is being reviewed by the admin before delivery.",
+    guest_review_approved: "Your message was reviewed and delivered.",
+    guest_review_rejected: "Your message was not delivered after review.",
+
+    // Moderation outages
+    moderation_failing:
+      "[ALERT] Moderation has failed {count} times in a row since {since}.\nLast error: {error}\nFailure policy: {policy}",
+    guest_moderation_unavailable:
+      "Your message could not be checked right now. Please try again later.",
+
     // Language selection
     lang_select_prompt: "Select your language:",
     lang_changed: "Language changed to English.",
 
+    // Bot menu command descriptions
+    cmd_start: "Start the bot",
+    cmd_list: "View blocked users",
+    cmd_stats: "View statistics",
+    cmd_block: "Block user, optionally for 24h, 7d... (reply to message)",
+    cmd_unblock: "Unblock user (reply to message)",
+    cmd_ban: "Block user by ID, optionally for 24h, 7d...",
+    cmd_trust: "Whitelist user (reply to message)",
+    cmd_untrust: "Remove from whitelist (reply to message)",
+    cmd_trustid: "Whitelist user by ID",
+    cmd_status: "Check user status (reply to message)",
+    cmd_whois: "Show a guest's profile and history (reply or ID)",
+    cmd_history: "Browse the conversation with a guest",
+    cmd_export: "Export the conversation with a guest as a file",
+    cmd_check: "AI check text/image (reply to message)",
+    cmd_marksafe: "Override cached verdict as safe (reply to message)",
+    cmd_markunsafe: "Override cached verdict as unsafe (reply to message)",
+    cmd_checktext: "AI check any text",
+    cmd_rule: "Manage local filter rules",
+    cmd_modreport: "Compare shadow and live moderation",
+    cmd_policy: "View or edit the moderation policy",
+    cmd_admin: "Manage admins and their roles",
+    cmd_audit: "View or export the audit log",
+    cmd_delete: "Delete your reply from user chat (reply to it)",
+    cmd_appeal: "Appeal if blocked",
+    cmd_lang: "Change language",
+
     // Forum mode
     forum_topic_created: "Topic created for user {guestId}",
     forum_reply_sent: "Reply sent to {guestId}",
+
+    // Edited messages
+    guest_edited: "[EDITED] {username} ({guestId}):\n\n{diff}",
+    edit_text_unchanged: "(text unchanged, media may have been replaced)",
+
+    // Scheduled jobs
+    job_purge_relays:
+      "Purged {relays} inactive relays and {mappings} message links.",
+    job_lift_bans: "Lifted {count} expired bans: {guestIds}",
+    job_failed: "Job {name} failed: {error}",
+    digest_title: "Daily Digest:\n\n",
+    digest_content:
+      "Total Relays: {totalRelays} (+{newRelays})\nBlocked Users: {totalBlocked}\nAI Blocks: {aiBlocks} (+{newAiBlocks})\n",
+    guest_ban_expired: "Your ban has expired. You can send messages again.",
   },
 
   zh: {
@@ -100,24 +279,51 @@ const messages = {
     no_blocked_users: "没有被封禁的用户。",
     blocked_users_title: "已封禁用户 ({count}):\n\n",
     blocked_user_item:
-      "{index}. {guestId}\n   原因: {reason}\n   时间: {date}\n\n",
+      "{index}. {guestId}\n   原因: {reason}\n   时间: {date}\n{expires}\n",
+    blocked_user_expires: "   剩余: {remaining}\n",
     unban_button: "解封 {guestId}",
     stats_title: "统计信息:\n\n",
     stats_content:
-      "消息总数: {totalRelays}\n封禁用户: {totalBlocked}\nAI拦截: {aiBlocks}\n",
-    api_usage_title: "\nAPI使用情况:\n",
-    api_usage_item: "  #{index}: {calls} 次调用 ({masked})\n",
+      "消息总数: {totalRelays}\n封禁用户: {totalBlocked}\nAI拦截: {aiBlocks}\n审核失败: {moderationFailures}\n",
+    api_usage_title: "\nAPI密钥:\n",
+    api_usage_item:
+      "  #{index} {masked}: {calls} 次调用, {errors} 次错误, {tokens} tokens\n",
+    api_key_cooldown: "    ⏸ 冷却中, 剩余 {seconds} 秒\n",
+    api_key_last_error: "    最近错误: {error}\n",
     unban_usage: "用法: /unban <用户ID>",
+    ban_usage:
+      "用法: /ban <用户ID> [时长] [原因]\n时长: 30m、24h、7d、2w，不填则永久封禁。",
+    block_usage:
+      "用法: 回复访客消息 /block [时长] [原因]\n时长: 30m、24h、7d、2w，不填则永久封禁。",
     unbanned: "已解封: {guestId}",
     blocked: "已封禁: {guestId} ({username})",
+    blocked_until: "已封禁: {guestId} ({username})，至 {until}",
     trusted: "已信任: {guestId} ({username})\n该用户将跳过AI审核。",
     untrusted: "已取消信任: {guestId} ({username})\n该用户将重新接受AI审核。",
     unblocked: "已解封: {guestId}",
     user_status:
       "用户: {guestId} ({username})\n封禁状态: {blocked}\n会话状态: {status}",
+    whois_usage: "用法: /whois <用户ID>，或回复访客消息发送 /whois",
+    whois_not_found: "{guestId} 暂无资料，访客下次发消息时开始记录。",
+    whois_profile:
+      "访客: {guestId}\n用户名: {username}\n名称: {name}\n语言: {language}\n会员: {premium}\n首次出现: {firstSeen}\n最近出现: {lastSeen}\n消息数: {messages}\n信任分: {trust}/{threshold}\n封禁状态: {blocked}\n会话状态: {relay}\n",
+    whois_yes: "是",
+    whois_no: "否",
+    whois_blocked_until: "是，至 {until}",
+    whois_names_title: "\n名称历史:\n",
+    whois_name_item: "  {date}: {username} ({name})\n",
+    whois_blocks_title: "\n封禁历史:\n",
+    whois_block_item: "  {date}: {reason}\n",
+    whois_block_until: "    至 {until}\n",
+    whois_block_lifted: "    {date} 解除\n",
     content_check: "内容检查: {status}",
     image_check: "图片检查: {status}",
     no_content_to_check: "没有可检查的内容。",
+    verdict_overridden:
+      "{targets}的缓存结果已设为 {status}，缓存过期前相同内容将沿用此结果。",
+    override_text: "文本",
+    override_image: "图片",
+    override_too_short: "没有缓存可覆盖：过短的文本每次都会重新检查。",
     cannot_find_user: "无法找到此消息的用户信息。",
     relay_not_found: "会话记录未找到。",
     cannot_find_sender: "无法找到此消息的原始发送者。",
@@ -128,17 +334,97 @@ const messages = {
     trustid_usage: "用法: /trustid <用户ID>",
     trustid_success: "已信任: {guestId}\n该用户将跳过AI审核。",
     checktext_usage: "用法: /checktext <内容>",
+    rule_usage:
+      "用法:\n/rule add <类型> <动作> [值]\n/rule list\n/rule del <编号>\n\n类型: keyword (逗号分隔), regex, domain (逗号分隔), invite, links (每条消息最多链接数)\n动作: allow (放行), block (拦截), ai (交给 AI 审核)",
+    rule_invalid_regex: "无效的正则表达式: {error}",
+    rule_invalid_limit: "链接数上限必须是整数（0 或以上）。",
+    rule_added: "已添加规则: {rule}",
+    rule_deleted: "已删除规则 #{id}。",
+    rule_not_found: "未找到规则 #{id}。",
+    rule_list_title: "过滤规则 ({count}):\n\n",
+    rule_list_item: "{rule} (命中 {hits} 次)\n",
+    rule_list_empty: "暂无过滤规则。",
+    modreport_title: "影子审核报告\n\n",
+    modreport_disabled:
+      "影子审核未开启。设置 ENV_SHADOW_MODERATION_PROVIDERS 即可在真实流量上试用另一套提示词或模型。\n\n",
+    modreport_empty: "暂无影子审核结果。",
+    modreport_stats:
+      "统计起始: {since}\n对比次数: {total}\n一致率: {rate}%\n仅线上判定违规: {liveOnly}\n仅影子判定违规: {shadowOnly}\n影子审核错误: {errors}\n",
+    modreport_disagreements_title: "\n最近的分歧:\n",
+    modreport_disagreement_item:
+      "\n[{kind}] {preview}\n  线上: {live}\n  影子: {shadow}\n",
+    modreport_reset: "影子审核报告已清空。",
+    policy_show:
+      "审核策略 (v{version})\n\n模型: {model}\n启用的类别: {enabled}\n停用的类别: {disabled}\n\n规则:\n{rules}",
+    policy_default: "默认",
+    policy_usage:
+      "用法:\n/policy - 查看策略\n/policy set <规则|default>\n/policy model <模型名|default>\n/policy enable <类别>\n/policy disable <类别>\n/policy history\n/policy rollback [版本]\n\n版本 0 为内置策略。",
+    policy_saved:
+      "已保存策略 v{version} ({change})。之前缓存的审核结果不再生效。",
+    policy_unknown_category: "未知类别。可用类别: {categories}",
+    policy_history_title: "策略版本:\n\n",
+    policy_history_item: "{marker} v{version} {date} - {change}\n",
+    policy_history_empty: "暂无已保存的策略版本，当前使用内置策略。",
+    policy_rollback_none: "当前已在使用内置策略。",
+    policy_version_not_found: "未找到策略 v{version}。",
+    policy_rolled_back: "已回滚到策略 v{version}。",
+    permission_denied: "{role} 角色无法使用 /{command}。",
+    admin_usage:
+      "用法:\n/admin add <用户ID> <moderator|responder>\n/admin remove <用户ID>\n/admin list\n\nmoderator (审核员) 可以封禁、加白并处理审核和申诉；responder (客服) 只能回复访客。",
+    admin_list_title: "管理员:\n\n",
+    admin_list_item: "{userId} - {role}\n",
+    admin_owner_fixed: "所有者由 ENV_ADMIN_UID 指定，无法在此修改。",
+    admin_added:
+      "{userId} 现在是 {role}。对方需要先向机器人发送 /start 才能收到消息。",
+    admin_removed: "{userId} 已不再是管理员。",
+    admin_not_found: "{userId} 不是管理员。",
+    audit_usage:
+      "用法:\n/audit [访客ID|all] [页码]\n/audit export [访客ID|all] [分段]",
+    audit_title: "审计日志 - {scope} (第 {page} 页):\n\n",
+    audit_scope_all: "全部",
+    audit_scope_guest: "访客 {guestId}",
+    audit_item: "{date} {actor}: {action} {target}\n",
+    audit_item_reason: "  {reason}\n",
+    audit_system: "系统",
+    audit_empty: "审计日志为空。",
+    audit_page_empty: "审计日志第 {page} 页没有记录。",
+    audit_export_caption: "审计日志导出 (共 {count} 条)",
+    audit_export_more: "\n更早的记录: {command}",
+    page_prev: "« 上一页",
+    page_next: "下一页 »",
+    history_usage: "用法: /history <用户ID> [页码]",
+    history_title: "与 {guestId} 的对话 (第 {page} 页):\n\n",
+    history_item_in: "{date} 访客 ({type}): {text}\n",
+    history_item_out: "{date} 管理员 {adminId} ({type}): {text}\n",
+    history_empty: "没有与 {guestId} 的对话记录。",
+    history_page_empty: "与 {guestId} 的对话第 {page} 页没有消息。",
+    export_usage: "用法: /export <用户ID> [txt|json] [分段]",
+    export_caption: "与 {guestId} 的对话 (共 {count} 条)",
+    export_more: "\n更早的消息: {command}",
     invalid_user_id: "用户ID格式无效，ID必须为数字。",
+    guest_stopped_bot: "{username} ({guestId}) 已停用机器人。",
+    guest_restarted_bot: "{username} ({guestId}) 已重新启用机器人。",
+    user_stopped_bot_cannot_reply:
+      "该用户已停用机器人（自 {date} 起），回复未送达。",
+    reply_chat_not_found: "该用户的聊天已不存在，回复未送达。",
+    reply_failed: "回复未送达: {error}",
+    reply_deleted: "已从用户聊天中删除该回复。",
+    reply_link_not_found: "此消息不是已送达用户的回复。",
+    reply_delete_failed: "删除回复失败: {error}",
+    reply_edit_failed: "同步编辑后的回复失败: {error}",
 
     // Guest messages
     guest_welcome: "你好，你可以通过这个机器人联系我。",
     guest_blocked:
       "你已被封禁。\n\n使用 /appeal 提交申诉。\n提示: 回复被封禁的消息并发送 /appeal 可附加证据。",
+    guest_blocked_until:
+      "你已被封禁至 {until}。\n\n使用 /appeal 提交申诉。\n提示: 回复被封禁的消息并发送 /appeal 可附加证据。",
     guest_not_blocked: "你没有被封禁，无需申诉。",
     guest_appeal_submitted: "你的申诉已提交，请等待管理员审核。",
     guest_appeal_accepted: "你的申诉已通过，封禁已解除。",
     guest_appeal_rejected: "你的申诉已被拒绝。",
     guest_rate_limited: "发送过于频繁，请等待 {seconds} 秒。",
+    guest_media_rejected: "不接受此类消息，请换一种格式发送。",
     guest_message_blocked:
       "消息被拦截。\n原因: {reason}\n\n使用 /appeal 提交申诉。\n提示: 回复此消息并发送 /appeal 可附加证据。",
     guest_error: "发生错误，请稍后重试。",
@@ -154,13 +440,75 @@ const messages = {
     appeal_accept_button: "通过 (解封)",
     appeal_reject_button: "拒绝",
 
+    // Review queue
+    review_title: "[待审核]\n",
+    review_from: "来自: @{username} ({guestId})\n",
+    review_verdict: "审核结论: {reason}\n",
+    review_content: "---\n{content}",
+    review_media: "---\n(媒体内容，见上一条消息)",
+    review_approve_button: "通过",
+    review_reject_button: "拒绝",
+    review_block_button: "封禁",
+    review_approved: "\n\n已通过，消息已转发。",
+    review_rejected: "\n\n已拒绝，消息已丢弃。",
+    review_blocked: "\n\n已拒绝，用户已封禁。",
+    review_already_resolved: "该审核已处理或已过期。",
+    guest_message_held: "你的消息正在等待管理员审核，通过后将送达。",
+    guest_review_approved: "你的消息已通过审核并送达。",
+    guest_review_rejected: "你的消息未通过审核，未被送达。",
+
+    // Moderation outages
+    moderation_failing:
+      "[告警] 内容审核自 {since} 起已连续失败 {count} 次。\n最近错误: {error}\n失败策略: {policy}",
+    guest_moderation_unavailable: "暂时无法检查你的消息，请稍后重试。",
+
     // Language selection
     lang_select_prompt: "请选择语言:",
     lang_changed: "语言已切换为中文。",
 
+    // Bot menu command descriptions
+    cmd_start: "启动机器人",
+    cmd_list: "查看封禁用户",
+    cmd_stats: "查看统计",
+    cmd_block: "封禁用户，可加时长如 24h、7d（回复消息）",
+    cmd_unblock: "解封用户（回复消息）",
+    cmd_ban: "通过 ID 封禁用户，可加时长如 24h、7d",
+    cmd_trust: "加白用户（回复消息）",
+    cmd_untrust: "取消加白（回复消息）",
+    cmd_trustid: "通过 ID 加白用户",
+    cmd_status: "查看用户状态（回复消息）",
+    cmd_whois: "查看访客资料和历史（回复消息或 ID）",
+    cmd_history: "浏览与访客的对话记录",
+    cmd_export: "将与访客的对话导出为文件",
+    cmd_check: "AI 检查文本/图片（回复消息）",
+    cmd_marksafe: "将缓存结果改为安全（回复消息）",
+    cmd_markunsafe: "将缓存结果改为违规（回复消息）",
+    cmd_checktext: "AI 检查任意文本",
+    cmd_rule: "管理本地过滤规则",
+    cmd_modreport: "对比影子审核与线上审核",
+    cmd_policy: "查看或编辑审核策略",
+    cmd_admin: "管理管理员及其角色",
+    cmd_audit: "查看或导出审计日志",
+    cmd_delete: "从用户聊天中删除你的回复（回复该回复）",
+    cmd_appeal: "被封禁时提交申诉",
+    cmd_lang: "切换语言",
+
     // Forum mode
     forum_topic_created: "已为用户 {guestId} 创建话题",
     forum_reply_sent: "回复已发送给 {guestId}",
+
+    // Edited messages
+    guest_edited: "[已编辑] {username} ({guestId}):\n\n{diff}",
+    edit_text_unchanged: "（文本未变化，媒体可能已被替换）",
+
+    // Scheduled jobs
+    job_purge_relays: "已清理 {relays} 条不活跃会话和 {mappings} 条消息关联。",
+    job_lift_bans: "已解除 {count} 个到期封禁: {guestIds}",
+    job_failed: "任务 {name} 执行失败: {error}",
+    digest_title: "每日摘要:\n\n",
+    digest_content:
+      "消息总数: {totalRelays} (+{newRelays})\n封禁用户: {totalBlocked}\nAI拦截: {aiBlocks} (+{newAiBlocks})\n",
+    guest_ban_expired: "你的封禁已到期，现在可以继续发送消息。",
   },
 };
 
@@ -4,123 +4,24 @@
  * Licensed under BSD 2-Clause License
  *
  * @fileoverview Main entry point for Cloudflare Worker.
- * Handles webhook requests and routes messages to appropriate handlers.
+ * Handles webhook requests, routes messages to appropriate handlers,
+ * and runs scheduled jobs on cron triggers.
  */
 
 import { WEBHOOK_PATH } from "./config.js";
 import { createTelegramClient } from "./telegram.js";
-import { handleAdminMessage, handleCallbackQuery } from "./handlers/admin.js";
-import { handleGuestMessage } from "./handlers/guest.js";
+import { processUpdate, ALLOWED_UPDATES } from "./bot.js";
+import { timingSafeEqual, isManagementRequestAuthorized } from "./auth.js";
+import { runScheduledJobs } from "./jobs.js";
+import { setCommandMenu, setAdminMenu } from "./roles.js";
+import { getAdmins } from "./storage.js";
 
 // ============================================
 // Bot Menu Commands
 // ============================================
 
-/** Commands shown in admin's bot menu */
-const ADMIN_COMMANDS = [
-  { command: "start", description: "Start the bot" },
-  { command: "list", description: "View blocked users" },
-  { command: "stats", description: "View statistics" },
-  { command: "block", description: "Block user (reply to message)" },
-  { command: "unblock", description: "Unblock user (reply to message)" },
-  { command: "trust", description: "Whitelist user (reply to message)" },
-  {
-    command: "untrust",
-    description: "Remove from whitelist (reply to message)",
-  },
-  { command: "trustid", description: "Whitelist user by ID" },
-  { command: "status", description: "Check user status (reply to message)" },
-  { command: "check", description: "AI check text/image (reply to message)" },
-  { command: "checktext", description: "AI check any text" },
-  { command: "lang", description: "Change language" },
-];
-
 /** Commands shown in guest's bot menu */
-const GUEST_COMMANDS = [
-  { command: "start", description: "Start the bot" },
-  { command: "appeal", description: "Appeal if blocked" },
-  { command: "lang", description: "Change language" },
-];
-
-// ============================================
-// Update Handlers
-// ============================================
-
-const updateHandlers = {
-  message: handleMessageUpdate,
-  callback_query: handleCallbackUpdate,
-  edited_message: handleEditedMessage,
-};
-
-/**
- * Handle incoming message updates.
- * Routes to admin or guest handler based on sender.
- */
-async function handleMessageUpdate(update, telegram, kv, env) {
-  const message = update.message;
-  const chatId = message.chat.id.toString();
-  const { ENV_ADMIN_UID, ENV_FORUM_GROUP_ID } = env;
-
-  console.log(`[Message] From ${chatId}: ${message.text || "[Media]"}`);
-
-  // Route forum group messages to admin handler
-  if (ENV_FORUM_GROUP_ID && chatId === ENV_FORUM_GROUP_ID) {
-    return await handleAdminMessage(message, telegram, kv, env);
-  }
-
-  if (chatId === ENV_ADMIN_UID) {
-    return await handleAdminMessage(message, telegram, kv, env);
-  } else {
-    return await handleGuestMessage(message, telegram, kv, env);
-  }
-}
-
-/**
- * Handle callback query updates from inline button clicks.
- */
-async function handleCallbackUpdate(update, telegram, kv, env) {
-  const query = update.callback_query;
-  console.log(`[Callback] Action: ${query.data}`);
-
-  return await handleCallbackQuery(query, telegram, kv, env);
-}
-
-/**
- * Handle edited message updates.
- * Forwards edited messages to admin with warning for security monitoring.
- */
-async function handleEditedMessage(update, telegram, kv, env) {
-  const message = update.edited_message;
-  const chatId = message.chat.id.toString();
-  const { ENV_ADMIN_UID } = env;
-
-  console.log(`[Edit] Message ${message.message_id} was edited by ${chatId}`);
-
-  // Only monitor guest edited messages, not admin's own edits
-  if (chatId !== ENV_ADMIN_UID) {
-    const editWarning = `[EDITED MESSAGE]
-From: ${message.from?.username || message.from?.first_name || "Unknown"} (${chatId})
-Content: ${(message.text || message.caption || "[Media]").substring(0, 200)}`;
-
-    await telegram.sendMessage({
-      chat_id: ENV_ADMIN_UID,
-      text: editWarning,
-    });
-  }
-}
-
-/**
- * Process incoming Telegram update.
- * Dispatches to appropriate handler based on update type.
- */
-async function processUpdate(update, telegram, kv, env) {
-  for (const [type, handler] of Object.entries(updateHandlers)) {
-    if (type in update) {
-      await handler(update, telegram, kv, env);
-      return;
-    }
-  }
-}
+const GUEST_COMMANDS = ["start", "appeal", "lang"];
 
 // ============================================
 // Webhook Handlers
@@ -133,15 +34,21 @@ async function processUpdate(update, telegram, kv, env) {
 async function handleWebhook(request, env, ctx) {
   const { ENV_BOT_SECRET, ENV_BOT_TOKEN } = env;
 
-  if (
-    request.headers.get("X-Telegram-Bot-Api-Secret-Token") !== ENV_BOT_SECRET
-  ) {
+  if (request.method !== "POST") {
+    return methodNotAllowed();
+  }
+
+  const secret = request.headers.get("X-Telegram-Bot-Api-Secret-Token");
+  if (!timingSafeEqual(secret, ENV_BOT_SECRET)) {
     console.log("[Auth] Unauthorized webhook attempt");
     return new Response("Unauthorized", { status: 403 });
   }
 
   const update = await request.json();
-  const telegram = createTelegramClient(ENV_BOT_TOKEN, env.ENV_TELEGRAM_API_BASE_URL);
+  const telegram = createTelegramClient(
+    ENV_BOT_TOKEN,
+    env.ENV_TELEGRAM_API_BASE_URL,
+  );
 
   ctx.waitUntil(processUpdate(update, telegram, env.kfb, env));
 
@@ -156,11 +63,14 @@ async function registerWebhook(request, env) {
   const url = new URL(request.url);
   const webhookUrl = `${url.protocol}//${url.hostname}${WEBHOOK_PATH}`;
 
-  const telegram = createTelegramClient(env.ENV_BOT_TOKEN, env.ENV_TELEGRAM_API_BASE_URL);
+  const telegram = createTelegramClient(
+    env.ENV_BOT_TOKEN,
+    env.ENV_TELEGRAM_API_BASE_URL,
+  );
   const result = await telegram.setWebhook({
     url: webhookUrl,
     secret_token: env.ENV_BOT_SECRET,
-    allowed_updates: ["message", "callback_query", "edited_message"],
+    allowed_updates: ALLOWED_UPDATES,
   });
 
   return new Response(JSON.stringify(result), {
@@ -173,7 +83,10 @@ async function registerWebhook(request, env) {
  * Useful for switching to polling or removing bot.
  */
 async function unregisterWebhook(env) {
-  const telegram = createTelegramClient(env.ENV_BOT_TOKEN, env.ENV_TELEGRAM_API_BASE_URL);
+  const telegram = createTelegramClient(
+    env.ENV_BOT_TOKEN,
+    env.ENV_TELEGRAM_API_BASE_URL,
+  );
   const result = await telegram.setWebhook({ url: "" });
 
   return new Response(JSON.stringify(result), {
@@ -183,27 +96,72 @@ async function unregisterWebhook(env) {
 
 /**
  * Register bot menu commands with Telegram.
- * Sets up different command menus for admin vs regular users.
+ * Sets up the guest menu plus one menu per admin matching their role, in
+ * the default language plus one translated menu per available language.
  */
 async function registerCommands(env) {
-  const telegram = createTelegramClient(env.ENV_BOT_TOKEN, env.ENV_TELEGRAM_API_BASE_URL);
-  const results = {};
+  const telegram = createTelegramClient(
+    env.ENV_BOT_TOKEN,
+    env.ENV_TELEGRAM_API_BASE_URL,
+  );
+  const results = {
+    default: await setCommandMenu(telegram, GUEST_COMMANDS, {
+      type: "default",
+    }),
+    admin: await setAdminMenu(telegram, env.ENV_ADMIN_UID, "owner"),
+  };
+
+  for (const [userId, admin] of Object.entries(await getAdmins(env.kfb))) {
+    results[`admin:${userId}`] = await setAdminMenu(
+      telegram,
+      userId,
+      admin.role,
+    );
+  }
 
-  results.admin = await telegram.setMyCommands({
-    commands: ADMIN_COMMANDS,
-    scope: { type: "chat", chat_id: parseInt(env.ENV_ADMIN_UID) },
+  return new Response(JSON.stringify(results), {
+    headers: { "Content-Type": "application/json" },
   });
+}
 
-  results.default = await telegram.setMyCommands({
-    commands: GUEST_COMMANDS,
-    scope: { type: "default" },
-  });
+// ============================================
+// Management Route Guard
+// ============================================
 
-  return new Response(JSON.stringify(results), {
-    headers: { "Content-Type": "application/json" },
+/** Management routes, callable with POST and the bot secret as bearer token */
+const MANAGEMENT_ROUTES = {
+  "/registerWebhook": (request, env) => registerWebhook(request, env),
+  "/unRegisterWebhook": (request, env) => unregisterWebhook(env),
+  "/registerCommands": (request, env) => registerCommands(env),
+};
+
+function methodNotAllowed() {
+  return new Response("Method Not Allowed", {
+    status: 405,
+    headers: { Allow: "POST" },
   });
 }
 
+/**
+ * Run a management route after checking method and credentials.
+ * Requests must be POST with "Authorization: Bearer <ENV_BOT_SECRET>".
+ */
+async function handleManagementRoute(route, request, env) {
+  if (request.method !== "POST") {
+    return methodNotAllowed();
+  }
+
+  if (!isManagementRequestAuthorized(request, env)) {
+    console.log(`[Auth] Unauthorized management request: ${route}`);
+    return new Response("Unauthorized", {
+      status: 401,
+      headers: { "WWW-Authenticate": "Bearer" },
+    });
+  }
+
+  return MANAGEMENT_ROUTES[route](request, env);
+}
+
 // ============================================
 // Cloudflare Worker Entry Point
 // ============================================
@@ -216,17 +174,26 @@ export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    switch (url.pathname) {
-      case WEBHOOK_PATH:
-        return handleWebhook(request, env, ctx);
-      case "/registerWebhook":
-        return registerWebhook(request, env);
-      case "/unRegisterWebhook":
-        return unregisterWebhook(env);
-      case "/registerCommands":
-        return registerCommands(env);
-      default:
-        return new Response("Not Found", { status: 404 });
+    if (url.pathname === WEBHOOK_PATH) {
+      return handleWebhook(request, env, ctx);
     }
+
+    if (url.pathname in MANAGEMENT_ROUTES) {
+      return handleManagementRoute(url.pathname, request, env);
+    }
+
+    return new Response("Not Found", { status: 404 });
+  },
+
+  /**
+   * Handle cron triggers.
+   * Runs the jobs registered for the trigger's cron expression.
+   */
+  async scheduled(event, env, ctx) {
+    const telegram = createTelegramClient(
+      env.ENV_BOT_TOKEN,
+      env.ENV_TELEGRAM_API_BASE_URL,
+    );
+    ctx.waitUntil(runScheduledJobs(event.cron, telegram, env.kfb, env));
   },
 };
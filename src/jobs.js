@@ -0,0 +1,151 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Scheduled maintenance jobs.
+ * Each job receives a context and returns a report for the admin chat,
+ * or null when it had nothing to do.
+ */
+
+import { DIGEST_CRON, MAINTENANCE_CRON } from "./config.js";
+import {
+  purgeLegacyRelays,
+  liftExpiredBans,
+  getStatistics,
+  getDigestSnapshot,
+  setDigestSnapshot,
+} from "./storage.js";
+import { t, getUserLangOrDefault } from "./i18n.js";
+
+// ============================================
+// Jobs
+// ============================================
+
+/**
+ * Purge relays and message links stored before relays were written with a
+ * TTL. New ones expire in KV on their own.
+ * @param {{kv: KVNamespace, lang: string, now: number}} ctx - Job context
+ * @returns {Promise<string|null>} Report or null if nothing was purged
+ */
+export async function purgeRelaysJob(ctx) {
+  const { relays, mappings } = await purgeLegacyRelays(ctx.kv, ctx.now);
+
+  if (relays === 0 && mappings === 0) return null;
+  return t("job_purge_relays", { relays, mappings }, ctx.lang);
+}
+
+/**
+ * Lift temporary bans whose expiresAt has passed and notify the guests.
+ * @param {{telegram: Object, kv: KVNamespace, lang: string, now: number}} ctx
+ * @returns {Promise<string|null>} Report or null if no ban expired
+ */
+export async function liftExpiredBansJob(ctx) {
+  const expired = await liftExpiredBans(ctx.kv, ctx.now);
+
+  for (const { guestId } of expired) {
+    const guestLang = await getUserLangOrDefault(ctx.kv, guestId);
+    await ctx.telegram.sendMessage({
+      chat_id: guestId,
+      text: t("guest_ban_expired", {}, guestLang),
+    });
+  }
+
+  if (expired.length === 0) return null;
+  return t(
+    "job_lift_bans",
+    {
+      count: expired.length,
+      guestIds: expired.map((b) => b.guestId).join(", "),
+    },
+    ctx.lang,
+  );
+}
+
+/**
+ * Build the daily statistics digest, with deltas since the last one.
+ * @param {{kv: KVNamespace, lang: string}} ctx - Job context
+ * @returns {Promise<string>} Digest text
+ */
+export async function dailyDigestJob(ctx) {
+  const stats = await getStatistics(ctx.kv);
+  const previous = (await getDigestSnapshot(ctx.kv)) || stats;
+  await setDigestSnapshot(ctx.kv, stats);
+
+  let output = t("digest_title", {}, ctx.lang);
+  output += t(
+    "digest_content",
+    {
+      totalRelays: stats.totalRelays,
+      newRelays: stats.totalRelays - previous.totalRelays,
+      totalBlocked: stats.totalBlocked,
+      aiBlocks: stats.aiBlocks,
+      newAiBlocks: stats.aiBlocks - previous.aiBlocks,
+    },
+    ctx.lang,
+  );
+  return output;
+}
+
+// ============================================
+// Job Registry
+// ============================================
+
+/** Jobs run when a cron trigger with a matching expression fires */
+export const JOBS = [
+  { name: "purge-relays", cron: MAINTENANCE_CRON, run: purgeRelaysJob },
+  {
+    name: "lift-expired-bans",
+    cron: MAINTENANCE_CRON,
+    run: liftExpiredBansJob,
+  },
+  { name: "daily-digest", cron: DIGEST_CRON, run: dailyDigestJob },
+];
+
+/**
+ * Run all jobs registered for a cron expression and send their reports
+ * to the admin in one message.
+ *
+ * @param {string} cron - Cron expression of the trigger that fired
+ * @param {Object} telegram - Telegram client
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<{name: string, report: string|null}>>} Job results
+ */
+export async function runScheduledJobs(cron, telegram, kv, env) {
+  const { ENV_ADMIN_UID } = env;
+  const jobs = JOBS.filter((job) => job.cron === cron);
+  if (jobs.length === 0) {
+    console.warn(`[Jobs] No jobs registered for cron "${cron}"`);
+    return [];
+  }
+
+  const lang = await getUserLangOrDefault(kv, ENV_ADMIN_UID);
+  const ctx = { telegram, kv, env, lang, now: Date.now() };
+  const results = [];
+
+  for (const job of jobs) {
+    let report;
+    try {
+      report = await job.run(ctx);
+      console.log(`[Jobs] ${job.name}: ${report || "nothing to do"}`);
+    } catch (error) {
+      console.error(`[Jobs] ${job.name} failed: ${error.message}`, error.stack);
+      report = t("job_failed", { name: job.name, error: error.message }, lang);
+    }
+    results.push({ name: job.name, report });
+  }
+
+  const reports = results.map((r) => r.report).filter(Boolean);
+  if (reports.length > 0) {
+    const result = await telegram.sendMessage({
+      chat_id: ENV_ADMIN_UID,
+      text: reports.join("\n\n"),
+    });
+    if (!result.ok) {
+      console.warn(`[Jobs] sendMessage failed: ${JSON.stringify(result)}`);
+    }
+  }
+
+  return results;
+}
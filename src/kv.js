@@ -0,0 +1,173 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Local key-value stores compatible with Cloudflare KV.
+ * Implements the subset of the KVNamespace API used by storage.js
+ * (get, put, delete, list) so the bot can run outside Workers.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+/** Default page size for list(), same as Cloudflare KV */
+const LIST_LIMIT = 1000;
+
+/**
+ * Create an in-memory KV store.
+ *
+ * @param {Object.<string, {value: string, expiration?: number}>} [initial={}]
+ *        Initial entries keyed by name
+ * @param {Function} [onChange] - Called after every put/delete
+ * @returns {Object} KVNamespace-compatible store with an extra dump() method
+ * @example
+ * const kv = createMemoryKV();
+ * await kv.put("lang:123", "zh", { expirationTtl: 60 });
+ * await kv.get("lang:123"); // "zh"
+ */
+export function createMemoryKV(initial = {}, onChange = null) {
+  const entries = new Map(Object.entries(initial));
+
+  /** Seconds since epoch, the unit KV uses for expirations */
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  /**
+   * Get a live entry, dropping it if it has expired.
+   * @param {string} key - Entry name
+   * @returns {{value: string, expiration?: number}|null}
+   */
+  function getEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiration && entry.expiration <= nowSeconds()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    /**
+     * Read a value.
+     * @param {string} key - Entry name
+     * @param {string|{type?: string}} [options] - "text" (default) or "json"
+     * @returns {Promise<string|Object|null>} Value or null if missing
+     */
+    async get(key, options = {}) {
+      const type = typeof options === "string" ? options : options.type;
+      const entry = getEntry(key);
+      if (!entry) return null;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+
+    /**
+     * Write a value.
+     * @param {string} key - Entry name
+     * @param {string} value - Value to store
+     * @param {{expiration?: number, expirationTtl?: number}} [options]
+     */
+    async put(key, value, options = {}) {
+      const entry = { value: String(value) };
+      if (options.expiration) {
+        entry.expiration = options.expiration;
+      } else if (options.expirationTtl) {
+        entry.expiration = nowSeconds() + options.expirationTtl;
+      }
+      entries.set(key, entry);
+      await onChange?.();
+    },
+
+    /**
+     * Delete a value. Missing keys are ignored.
+     * @param {string} key - Entry name
+     */
+    async delete(key) {
+      if (entries.delete(key)) {
+        await onChange?.();
+      }
+    },
+
+    /**
+     * List keys in lexicographic order.
+     * @param {{prefix?: string, limit?: number, cursor?: string}} [options]
+     * @returns {Promise<{keys: Array<{name: string, expiration?: number}>,
+     *                    list_complete: boolean, cursor?: string}>}
+     */
+    async list({ prefix = "", limit = LIST_LIMIT, cursor } = {}) {
+      const names = [...entries.keys()]
+        .filter((name) => name.startsWith(prefix) && getEntry(name))
+        .sort();
+      const start = cursor ? parseInt(cursor) : 0;
+      const page = names.slice(start, start + limit);
+      const listComplete = start + limit >= names.length;
+
+      return {
+        keys: page.map((name) => {
+          const { expiration } = entries.get(name);
+          return expiration ? { name, expiration } : { name };
+        }),
+        list_complete: listComplete,
+        ...(listComplete ? {} : { cursor: String(start + limit) }),
+      };
+    },
+
+    /**
+     * Snapshot of all live entries, used for persistence.
+     * @returns {Object.<string, {value: string, expiration?: number}>}
+     */
+    dump() {
+      const result = {};
+      for (const key of entries.keys()) {
+        const entry = getEntry(key);
+        if (entry) result[key] = entry;
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Create a KV store persisted to a JSON file.
+ * The whole store is kept in memory and rewritten atomically after each
+ * change, which is plenty for a single bot instance.
+ *
+ * @param {string} filePath - Path of the JSON file (created if missing)
+ * @returns {Promise<Object>} KVNamespace-compatible store with flush()
+ */
+export async function createFileKV(filePath) {
+  let initial = {};
+  try {
+    initial = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  await mkdir(dirname(filePath), { recursive: true });
+
+  // Serialize writes so a slow write never overwrites a newer snapshot.
+  // A failed write rejects its own put/delete only; the next change
+  // writes a fresh snapshot.
+  let pending = Promise.resolve();
+  const persist = () => {
+    pending = pending
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await writeFile(tmpPath, JSON.stringify(kv.dump()));
+        await rename(tmpPath, filePath);
+      });
+    pending.catch((e) =>
+      console.error(`[KV] Failed to save ${filePath}: ${e.message}`),
+    );
+    return pending;
+  };
+
+  const kv = createMemoryKV(initial, persist);
+  /** Wait for pending writes to settle; a failed write is already logged */
+  kv.flush = () => pending.catch(() => {});
+  console.log(
+    `[KV] Loaded ${Object.keys(initial).length} entries from ${filePath}`,
+  );
+  return kv;
+}
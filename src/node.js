@@ -0,0 +1,139 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Entry point for running the bot on Node.js.
+ * Pulls updates with getUpdates (long polling) instead of a webhook and
+ * stores data in a local JSON file instead of Cloudflare KV.
+ *
+ * @example
+ * ENV_BOT_TOKEN=... ENV_ADMIN_UID=... node src/node.js
+ * node --env-file=.env src/node.js
+ */
+
+import {
+  DIGEST_CRON,
+  LOCAL_KV_FILE,
+  MAINTENANCE_CRON,
+  POLLING_RETRY_DELAY_MS,
+  POLLING_TIMEOUT_SECONDS,
+} from "./config.js";
+import { createTelegramClient } from "./telegram.js";
+import { processUpdate, ALLOWED_UPDATES } from "./bot.js";
+import { createFileKV } from "./kv.js";
+import { runScheduledJobs } from "./jobs.js";
+
+const REQUIRED_ENV = ["ENV_BOT_TOKEN", "ENV_ADMIN_UID"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for Cloudflare cron triggers: runs maintenance jobs at the top
+ * of every hour and the digest at midnight UTC.
+ */
+function scheduleJobs(telegram, kv, env) {
+  const run = (cron) =>
+    runScheduledJobs(cron, telegram, kv, env).catch((e) =>
+      console.error(`[Node] Scheduled jobs failed: ${e.message}`),
+    );
+
+  const nextHour = HOUR_MS - (Date.now() % HOUR_MS);
+  setTimeout(async () => {
+    const tick = async () => {
+      await run(MAINTENANCE_CRON);
+      if (new Date().getUTCHours() === 0) await run(DIGEST_CRON);
+    };
+    await tick();
+    setInterval(tick, HOUR_MS);
+  }, nextHour);
+}
+
+/**
+ * Poll Telegram for updates and dispatch them one at a time.
+ * Runs until the process receives SIGINT or SIGTERM.
+ */
+async function main() {
+  const env = { ...process.env };
+
+  const missing = REQUIRED_ENV.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    console.error(
+      `[Node] Missing environment variables: ${missing.join(", ")}`,
+    );
+    process.exit(1);
+  }
+
+  const kv = await createFileKV(env.ENV_KV_FILE || LOCAL_KV_FILE);
+  const telegram = createTelegramClient(
+    env.ENV_BOT_TOKEN,
+    env.ENV_TELEGRAM_API_BASE_URL,
+  );
+
+  let stopping = false;
+  let busy = false;
+  const exit = () => kv.flush().then(() => process.exit(0));
+  const stop = (signal) => {
+    console.log(`[Node] Received ${signal}, shutting down...`);
+    stopping = true;
+    // Safe to exit right away while waiting on getUpdates;
+    // otherwise the loop exits after the current update
+    if (!busy) exit();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  // getUpdates is rejected while a webhook is registered
+  const deleted = await telegram.deleteWebhook();
+  if (!deleted.ok) {
+    console.warn(`[Node] deleteWebhook failed: ${JSON.stringify(deleted)}`);
+  }
+
+  scheduleJobs(telegram, kv, env);
+
+  console.log(`[Node] Polling for updates: ${ALLOWED_UPDATES.join(", ")}`);
+
+  let offset = 0;
+  while (!stopping) {
+    let result;
+    try {
+      result = await telegram.getUpdates({
+        offset,
+        timeout: POLLING_TIMEOUT_SECONDS,
+        allowed_updates: ALLOWED_UPDATES,
+      });
+    } catch (e) {
+      console.error(`[Node] getUpdates error: ${e.message}`);
+      await sleep(POLLING_RETRY_DELAY_MS);
+      continue;
+    }
+
+    if (!result.ok) {
+      console.error(`[Node] getUpdates failed: ${JSON.stringify(result)}`);
+      await sleep(POLLING_RETRY_DELAY_MS);
+      continue;
+    }
+
+    busy = true;
+    for (const update of result.result) {
+      // Confirm the update on the next call even if processing fails
+      offset = update.update_id + 1;
+      try {
+        await processUpdate(update, telegram, kv, env);
+      } catch (e) {
+        console.error(`[Node] Update ${update.update_id} failed: ${e.message}`);
+      }
+      if (stopping) break;
+    }
+    busy = false;
+  }
+
+  await exit();
+}
+
+main().catch((e) => {
+  console.error(`[Node] Fatal error: ${e.message}`, e.stack);
+  process.exit(1);
+});
@@ -0,0 +1,246 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Google Gemini moderation provider.
+ * Calls generateContent with multi-key rotation support.
+ */
+
+import {
+  GEMINI_MODEL,
+  API_KEY_COOLDOWN_SECONDS,
+  API_KEY_FORBIDDEN_COOLDOWN_SECONDS,
+} from "../config.js";
+import { getApiKeyHealth, recordApiKeyCall } from "../storage.js";
+import {
+  TRANSCRIPTION_PROMPT,
+  getModerationPrompt,
+  parseVerdict,
+  postJson,
+} from "./shared.js";
+
+// ============================================
+// API Key Management
+// ============================================
+
+let apiKeyIndex = 0;
+
+/**
+ * Order the keys for one request using round-robin rotation, leaving out
+ * keys that are cooling down after a 429/403.
+ * Usage and health are kept in KV (see recordApiKeyCall) so they survive
+ * restarts and are shared between Worker isolates.
+ *
+ * @param {Array<string>} keys - Configured API keys
+ * @param {KVNamespace|null} kv - KV namespace, or null to skip health checks
+ * @returns {Promise<Array<string>>} Keys to try, in order
+ */
+async function getAvailableKeys(keys, kv) {
+  const start = apiKeyIndex++ % keys.length;
+  const rotated = [...keys.slice(start), ...keys.slice(0, start)];
+  if (!kv) return rotated;
+
+  const now = Date.now();
+  const health = await Promise.all(rotated.map((k) => getApiKeyHealth(kv, k)));
+  return rotated.filter((_, i) => !(health[i]?.cooldownUntil > now));
+}
+
+/**
+ * Cooldown for a failed call, based on the HTTP status.
+ * @param {number} status - HTTP status code
+ * @returns {number} Seconds to skip the key, or 0
+ */
+function getCooldownSeconds(status) {
+  if (status === 429) return API_KEY_COOLDOWN_SECONDS;
+  if (status === 403) return API_KEY_FORBIDDEN_COOLDOWN_SECONDS;
+  return 0;
+}
+
+/**
+ * Parse API keys from environment variable string.
+ * Supports both single key and comma-separated multiple keys.
+ *
+ * @param {string} keyString - API key string
+ * @returns {string|Array<string>|null} Single key, array of keys, or null
+ *
+ * @example
+ * parseApiKeys("key1") // returns "key1"
+ * parseApiKeys("key1,key2,key3") // returns ["key1", "key2", "key3"]
+ */
+export function parseApiKeys(keyString) {
+  if (!keyString) return null;
+
+  if (keyString.includes(",")) {
+    return keyString.split(",").map((k) => k.trim());
+  }
+
+  return keyString;
+}
+
+// ============================================
+// Gemini API Client
+// ============================================
+
+/**
+ * Record a call in the key's health record. Tracking failures are logged
+ * and never fail the moderation request.
+ */
+async function trackCall(kv, apiKey, result) {
+  if (!kv) return;
+  try {
+    await recordApiKeyCall(kv, apiKey, result);
+  } catch (e) {
+    console.error(`[AI] Failed to record API key health: ${e.message}`);
+  }
+}
+
+/**
+ * Call Gemini API with automatic retry and key rotation.
+ * On failure, rotates to next API key and retries. Keys answering 429/403
+ * are put on cooldown and skipped until it expires.
+ *
+ * @param {Object} payload - Request payload
+ * @param {Array<string>} keys - Array of API keys
+ * @param {string} model - Model name
+ * @param {string} apiBase - API base URL
+ * @param {KVNamespace|null} kv - KV namespace for key health, if available
+ * @returns {Promise<string|undefined>} Text of the first candidate
+ * @throws {Error} If every key failed or is cooling down
+ */
+async function callGeminiApi(payload, keys, model, apiBase, kv) {
+  const available = await getAvailableKeys(keys, kv);
+  if (available.length === 0) {
+    throw new Error(`all ${keys.length} API key(s) are cooling down`);
+  }
+
+  const maxRetries = available.length;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const apiKey = available[attempt];
+    const endpoint = `${apiBase}/v1beta/models/${model}:generateContent?key=${apiKey}`;
+    console.log(`[AI] Using API key #${keys.indexOf(apiKey) + 1}`);
+
+    try {
+      const response = await postJson(endpoint, payload);
+
+      if (!response.ok) {
+        console.log(
+          `[AI] API Error (attempt ${attempt + 1}): ${response.status}`,
+        );
+        console.log(`[AI] Details: ${response.error}`);
+        lastError = `HTTP ${response.status}`;
+        await trackCall(kv, apiKey, {
+          ok: false,
+          error: lastError,
+          cooldownSeconds: getCooldownSeconds(response.status),
+        });
+
+        if (attempt < maxRetries - 1) {
+          console.log(`[AI] Switching to next API key...`);
+          continue;
+        }
+        break;
+      }
+
+      const usage = response.data.usageMetadata;
+      await trackCall(kv, apiKey, {
+        ok: true,
+        tokens: usage && {
+          prompt: usage.promptTokenCount,
+          output: usage.candidatesTokenCount,
+          total: usage.totalTokenCount,
+        },
+      });
+
+      const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+      console.log(`[AI] Result: ${text?.trim()}`);
+      return text;
+    } catch (e) {
+      console.log(`[AI] Exception (attempt ${attempt + 1}): ${e.message}`);
+      lastError = e.message;
+      await trackCall(kv, apiKey, { ok: false, error: lastError });
+
+      if (attempt < maxRetries - 1) {
+        console.log(`[AI] Switching to next API key...`);
+        continue;
+      }
+    }
+  }
+
+  throw new Error(`all ${maxRetries} API key(s) failed, last: ${lastError}`);
+}
+
+// ============================================
+// Provider
+// ============================================
+
+/** Ask Gemini for a JSON response so verdicts parse reliably */
+const JSON_OUTPUT = { responseMimeType: "application/json" };
+
+/**
+ * Create the Gemini provider.
+ * Uses ENV_GEMINI_API_KEY (comma-separated for rotation), and optionally
+ * ENV_GEMINI_API_BASE_URL and ENV_GEMINI_MODEL.
+ *
+ * @param {Object} env - Environment variables
+ * @param {KVNamespace|null} [kv=null] - KV namespace for key health
+ * @returns {Object|null} Provider, or null if no API key is configured
+ */
+export function createGeminiProvider(env, kv = null) {
+  const apiKeys = parseApiKeys(env.ENV_GEMINI_API_KEY);
+  if (!apiKeys) return null;
+
+  const keys = Array.isArray(apiKeys) ? apiKeys : [apiKeys];
+  const model = env.ENV_GEMINI_MODEL || GEMINI_MODEL;
+  const prompt = getModerationPrompt(env);
+  const apiBase =
+    env.ENV_GEMINI_API_BASE_URL || "https://generativelanguage.googleapis.com";
+
+  return {
+    name: "gemini",
+
+    checkText(text) {
+      const payload = {
+        contents: [
+          {
+            parts: [{ text: `${prompt} ${JSON.stringify(text)}` }],
+          },
+        ],
+        generationConfig: JSON_OUTPUT,
+      };
+      return callGeminiApi(payload, keys, model, apiBase, kv).then(
+        parseVerdict,
+      );
+    },
+
+    checkImage(image, caption) {
+      const parts = [
+        { inline_data: { mime_type: image.mimeType, data: image.data } },
+        {
+          text: caption ? `${prompt} (Caption: ${caption})` : prompt,
+        },
+      ];
+      const payload = { contents: [{ parts }], generationConfig: JSON_OUTPUT };
+      return callGeminiApi(payload, keys, model, apiBase, kv).then(
+        parseVerdict,
+      );
+    },
+
+    async transcribe(audio) {
+      const parts = [
+        { inline_data: { mime_type: audio.mimeType, data: audio.data } },
+        { text: TRANSCRIPTION_PROMPT },
+      ];
+      const text = await callGeminiApi(
+        { contents: [{ parts }] },
+        keys,
+        model,
+        apiBase,
+        kv,
+      );
+      return text?.trim() || "";
+    },
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview OpenAI-compatible moderation providers.
+ * "openai" asks a chat model for SAFE/UNSAFE and transcribes audio with
+ * /audio/transcriptions; "openai-moderation" uses the dedicated
+ * /moderations endpoint. Both work with any server implementing
+ * the same API (set ENV_OPENAI_API_BASE_URL).
+ */
+
+import {
+  OPENAI_ESCALATION_SCORE,
+  OPENAI_MODEL,
+  OPENAI_MODERATION_MODEL,
+  OPENAI_TRANSCRIPTION_MODEL,
+} from "../config.js";
+import {
+  createVerdict,
+  getModerationPrompt,
+  parseVerdict,
+  postJson,
+} from "./shared.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Read the shared OpenAI settings from env.
+ * @returns {{apiBase: string, headers: Object}|null} Null without API key
+ */
+function getConnection(env) {
+  if (!env.ENV_OPENAI_API_KEY) return null;
+  return {
+    apiBase: env.ENV_OPENAI_API_BASE_URL || DEFAULT_BASE_URL,
+    headers: { Authorization: `Bearer ${env.ENV_OPENAI_API_KEY}` },
+  };
+}
+
+/** Build a data: URL for an image part */
+const toDataUrl = (image) => `data:${image.mimeType};base64,${image.data}`;
+
+// ============================================
+// Chat Completions Provider
+// ============================================
+
+/**
+ * Create the chat-model provider.
+ * Uses ENV_OPENAI_API_KEY, and optionally ENV_OPENAI_API_BASE_URL and
+ * ENV_OPENAI_MODEL.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider, or null if no API key is configured
+ */
+export function createOpenAIChatProvider(env) {
+  const connection = getConnection(env);
+  if (!connection) return null;
+
+  const model = env.ENV_OPENAI_MODEL || OPENAI_MODEL;
+  const prompt = getModerationPrompt(env);
+
+  async function complete(content) {
+    const response = await postJson(
+      `${connection.apiBase}/chat/completions`,
+      {
+        model,
+        temperature: 0,
+        max_tokens: 100,
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content },
+        ],
+      },
+      connection.headers,
+    );
+
+    if (!response.ok) {
+      console.log(`[AI] OpenAI error: ${response.status} ${response.error}`);
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const text = response.data.choices?.[0]?.message?.content;
+    console.log(`[AI] Result: ${text?.trim()}`);
+    return parseVerdict(text);
+  }
+
+  return {
+    name: "openai",
+
+    checkText(text) {
+      return complete(JSON.stringify(text));
+    },
+
+    checkImage(image, caption) {
+      const content = [
+        { type: "image_url", image_url: { url: toDataUrl(image) } },
+      ];
+      if (caption)
+        content.push({ type: "text", text: `(Caption: ${caption})` });
+      return complete(content);
+    },
+
+    async transcribe(audio) {
+      // The file extension tells the API the audio format
+      const extension = audio.mimeType.split("/")[1] || "ogg";
+      const form = new FormData();
+      form.append("model", OPENAI_TRANSCRIPTION_MODEL);
+      form.append(
+        "file",
+        new Blob([audio.bytes], { type: audio.mimeType }),
+        `audio.${extension}`,
+      );
+
+      const response = await fetch(
+        `${connection.apiBase}/audio/transcriptions`,
+        { method: "POST", headers: connection.headers, body: form },
+      );
+      if (!response.ok) {
+        console.log(`[AI] OpenAI transcription error: ${response.status}`);
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      return data.text?.trim() || "";
+    },
+  };
+}
+
+// ============================================
+// Moderations Endpoint Provider
+// ============================================
+
+/**
+ * Moderation categories reported for /moderations categories. Anything
+ * not listed (harassment, hate, self-harm, ...) is reported as "other".
+ */
+const ENDPOINT_CATEGORIES = {
+  sexual: "sexual",
+  "sexual/minors": "illegal",
+  "violence/graphic": "gore",
+  illicit: "illegal",
+  "illicit/violent": "illegal",
+};
+
+/**
+ * Map flagged /moderations categories to MODERATION_CATEGORIES.
+ * @param {Array<string>} names - Flagged endpoint category names
+ * @returns {Array<string>} Distinct moderation categories
+ */
+function mapEndpointCategories(names) {
+  return [
+    ...new Set(names.map((name) => ENDPOINT_CATEGORIES[name] || "other")),
+  ];
+}
+
+/**
+ * Create the /moderations provider.
+ * Flagged content is unsafe. Content that is not flagged but scores at
+ * least OPENAI_ESCALATION_SCORE in some category gets no verdict, so the
+ * next provider in the chain decides.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider, or null if no API key is configured
+ */
+export function createOpenAIModerationProvider(env) {
+  const connection = getConnection(env);
+  if (!connection) return null;
+
+  async function moderate(input) {
+    const response = await postJson(
+      `${connection.apiBase}/moderations`,
+      { model: OPENAI_MODERATION_MODEL, input },
+      connection.headers,
+    );
+
+    if (!response.ok) {
+      console.log(
+        `[AI] OpenAI moderation error: ${response.status} ${response.error}`,
+      );
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const result = response.data.results?.[0];
+    if (!result) return null;
+
+    const scores = result.category_scores || {};
+    const topScore = Math.max(0, ...Object.values(scores));
+
+    if (result.flagged) {
+      const flagged = Object.entries(result.categories || {})
+        .filter(([, hit]) => hit)
+        .map(([name]) => name);
+      return createVerdict(true, {
+        categories: mapEndpointCategories(flagged),
+        confidence: Math.max(0, ...flagged.map((name) => scores[name] || 0)),
+        rationale: "Flagged by the moderation endpoint",
+      });
+    }
+
+    if (topScore >= OPENAI_ESCALATION_SCORE) {
+      console.log(`[AI] Borderline moderation score ${topScore}, escalating`);
+      return null;
+    }
+    return createVerdict(false, { confidence: 1 - topScore });
+  }
+
+  return {
+    name: "openai-moderation",
+
+    checkText(text) {
+      return moderate(text);
+    },
+
+    checkImage(image, caption) {
+      const input = [
+        { type: "image_url", image_url: { url: toDataUrl(image) } },
+      ];
+      if (caption) input.push({ type: "text", text: caption });
+      return moderate(input);
+    },
+  };
+}
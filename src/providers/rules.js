@@ -0,0 +1,39 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Local rule-only moderation provider.
+ * Matches text against LOCAL_RULES without any network call. A match is
+ * unsafe; no match gives no verdict, so a later provider in the chain
+ * decides (or the message is allowed when rules are the only provider).
+ */
+
+import { LOCAL_RULES } from "../config.js";
+import { createVerdict } from "./shared.js";
+
+/**
+ * Create the rules provider. Always available.
+ * @returns {Object} Provider (text only)
+ */
+export function createRulesProvider() {
+  const rules = LOCAL_RULES.map((rule) => ({
+    regex: new RegExp(rule.pattern, "i"),
+    category: rule.category,
+    reason: rule.reason,
+  }));
+
+  return {
+    name: "rules",
+
+    async checkText(text) {
+      const rule = rules.find((r) => r.regex.test(text));
+      if (!rule) return null;
+      return createVerdict(true, {
+        categories: [rule.category],
+        confidence: 1,
+        rationale: rule.reason,
+      });
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Prompt, verdict parsing and helpers shared by the
+ * moderation providers.
+ */
+
+/** Categories the model may report, in snake_case */
+export const MODERATION_CATEGORIES = [
+  "nudity",
+  "sexual",
+  "gore",
+  "spam",
+  "ads",
+  "qr_code",
+  "gambling",
+  "scam",
+  "phishing",
+  "illegal",
+  "other",
+];
+
+/** Built-in policy: what counts as SAFE or UNSAFE */
+export const DEFAULT_POLICY_RULES = `UNSAFE if:
+- Real human nudity/sex
+- QR codes/spam/ads/gambling promotion
+- Real gore/shock content
+- Illegal content promotion
+- Scam/phishing attempts
+
+SAFE if:
+- 2D/Anime/Cartoon (even suggestive)
+- Normal photos/text/screenshots
+- Regular conversation`;
+
+/**
+ * Build the moderation prompt around a policy.
+ * The role and output format are fixed so verdicts always parse; only the
+ * rules and the category list change.
+ *
+ * @param {string} [rules=DEFAULT_POLICY_RULES] - Policy text
+ * @param {Array<string>} [categories=MODERATION_CATEGORIES] - Categories
+ *        the model may report
+ * @returns {string} Prompt
+ */
+export function buildModerationPrompt(
+  rules = DEFAULT_POLICY_RULES,
+  categories = MODERATION_CATEGORIES,
+) {
+  return `
+# Role
+Content Moderator API. Output JSON only.
+
+# Rules
+${rules}
+
+# Output
+{"verdict":"SAFE"|"UNSAFE","categories":[...],"confidence":0.0-1.0,"rationale":"<max 15 words>"}
+categories: zero or more of ${categories.join(", ")}
+
+Analyze the content:`;
+}
+
+/**
+ * System prompt for content moderation with the built-in policy.
+ * Instructs the AI to classify content and answer with a small JSON object.
+ */
+export const MODERATION_PROMPT = buildModerationPrompt();
+
+/**
+ * Prompt used by a provider instance: ENV_MODERATION_PROMPT when set
+ * (the KV policy and the shadow chain set it), otherwise
+ * MODERATION_PROMPT.
+ * @param {Object} env - Environment variables
+ * @returns {string} Prompt
+ */
+export function getModerationPrompt(env) {
+  return env.ENV_MODERATION_PROMPT || MODERATION_PROMPT;
+}
+
+/** Instruction for providers that transcribe voice and audio */
+export const TRANSCRIPTION_PROMPT =
+  "Transcribe the speech in this audio verbatim, in its original language. Output only the transcript, or nothing if there is no speech.";
+
+/** Reason used when the model gives no usable rationale */
+const DEFAULT_REASON = "Content policy violation";
+
+/**
+ * Build a verdict with a human-readable reason.
+ * The reason reads like "scam, qr_code: Fake giveaway (92%)" and is what
+ * admins and guests see.
+ *
+ * @param {boolean} unsafe - Whether the content violates the policy
+ * @param {{categories?: Array<string>, confidence?: number|null,
+ *          rationale?: string}} [details] - Optional details
+ * @returns {import("../ai.js").Verdict}
+ */
+export function createVerdict(unsafe, details = {}) {
+  const categories = details.categories || [];
+  const confidence = details.confidence ?? null;
+  const rationale = details.rationale || (unsafe ? DEFAULT_REASON : "");
+
+  let reason = categories.length
+    ? `${categories.join(", ")}: ${rationale}`
+    : rationale;
+  if (confidence !== null) {
+    reason += ` (${Math.round(confidence * 100)}%)`;
+  }
+
+  return { unsafe, categories, confidence, rationale, reason };
+}
+
+/**
+ * Extract the first JSON object from model output, tolerating code fences
+ * and text around it.
+ * @param {string} text - Raw model output
+ * @returns {Object|null} Parsed object or null if none is valid
+ */
+function extractJson(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.substring(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a model's answer into a verdict.
+ * Expects the JSON described in MODERATION_PROMPT; malformed output falls
+ * back to looking for the words SAFE/UNSAFE.
+ *
+ * @param {string|undefined} text - Raw model output
+ * @returns {import("../ai.js").Verdict|null} Verdict, or null if the
+ *          output is unusable
+ */
+export function parseVerdict(text) {
+  if (!text?.trim()) return null;
+
+  const json = extractJson(text);
+  const verdict = String(json?.verdict || "").toUpperCase();
+  if (verdict === "SAFE" || verdict === "UNSAFE") {
+    const confidence = Number.parseFloat(json.confidence);
+    return createVerdict(verdict === "UNSAFE", {
+      categories: Array.isArray(json.categories)
+        ? json.categories
+            .map((c) => String(c).trim().toLowerCase().replace(/\s+/g, "_"))
+            .filter(Boolean)
+        : [],
+      confidence:
+        Number.isFinite(confidence) && confidence >= 0 && confidence <= 1
+          ? confidence
+          : null,
+      rationale:
+        typeof json.rationale === "string"
+          ? json.rationale.trim().substring(0, 200)
+          : "",
+    });
+  }
+
+  // Fallback for models that ignore the JSON format
+  console.log("[AI] Malformed verdict, falling back to keyword match");
+  const result = text.toUpperCase();
+  if (result.includes("UNSAFE")) return createVerdict(true);
+  if (result.includes("SAFE")) return createVerdict(false);
+  return null;
+}
+
+/**
+ * POST a JSON payload and parse the JSON response.
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request payload
+ * @param {Object} [headers={}] - Extra headers
+ * @returns {Promise<{ok: boolean, status: number, data?: Object, error?: string}>}
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = (await response.text()).substring(0, 200);
+    return { ok: false, status: response.status, error };
+  }
+  return { ok: true, status: response.status, data: await response.json() };
+}
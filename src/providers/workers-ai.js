@@ -0,0 +1,94 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Cloudflare Workers AI moderation provider.
+ * Uses the `AI` binding when running on Workers, or the REST API with
+ * ENV_CF_ACCOUNT_ID and ENV_CF_API_TOKEN elsewhere.
+ */
+
+import {
+  WORKERS_AI_MODEL,
+  WORKERS_AI_VISION_MODEL,
+  WORKERS_AI_TRANSCRIPTION_MODEL,
+} from "../config.js";
+import { getModerationPrompt, parseVerdict, postJson } from "./shared.js";
+
+/**
+ * Build a function that runs a Workers AI model.
+ * @returns {Function|null} (model, inputs) => output, or null if neither
+ *          the binding nor REST credentials are configured
+ */
+function getRunner(env) {
+  if (env.AI) {
+    return (model, inputs) => env.AI.run(model, inputs);
+  }
+
+  if (!env.ENV_CF_ACCOUNT_ID || !env.ENV_CF_API_TOKEN) return null;
+
+  return async (model, inputs) => {
+    const response = await postJson(
+      `https://api.cloudflare.com/client/v4/accounts/${env.ENV_CF_ACCOUNT_ID}/ai/run/${model}`,
+      inputs,
+      { Authorization: `Bearer ${env.ENV_CF_API_TOKEN}` },
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.error}`);
+    }
+    return response.data.result;
+  };
+}
+
+/**
+ * Create the Workers AI provider.
+ * Models default to WORKERS_AI_MODEL and WORKERS_AI_VISION_MODEL and can be
+ * overridden with ENV_WORKERS_AI_MODEL and ENV_WORKERS_AI_VISION_MODEL.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Object|null} Provider, or null if not configured
+ */
+export function createWorkersAIProvider(env) {
+  const run = getRunner(env);
+  if (!run) return null;
+
+  const model = env.ENV_WORKERS_AI_MODEL || WORKERS_AI_MODEL;
+  const visionModel =
+    env.ENV_WORKERS_AI_VISION_MODEL || WORKERS_AI_VISION_MODEL;
+  const prompt = getModerationPrompt(env);
+
+  async function runModel(name, inputs) {
+    const output = await run(name, inputs);
+    const text = output?.response ?? output?.description;
+    console.log(`[AI] Result: ${text?.trim()}`);
+    return parseVerdict(text);
+  }
+
+  return {
+    name: "workers-ai",
+
+    checkText(text) {
+      return runModel(model, {
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: JSON.stringify(text) },
+        ],
+      });
+    },
+
+    checkImage(image, caption) {
+      return runModel(visionModel, {
+        image: [...image.bytes],
+        prompt: caption ? `${prompt} (Caption: ${caption})` : prompt,
+        max_tokens: 100,
+      });
+    },
+
+    async transcribe(audio) {
+      const output = await run(WORKERS_AI_TRANSCRIPTION_MODEL, {
+        audio: [...audio.bytes],
+      });
+      return output?.text?.trim() || "";
+    },
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Admin roles and permissions.
+ * ENV_ADMIN_UID is the owner and manages the team with /admin. Moderators
+ * can block, trust and decide reviews and appeals; responders can only
+ * reply to guests. Each role gets its own command menu.
+ */
+
+import { getAdmins } from "./storage.js";
+import {
+  t,
+  getAvailableLanguages,
+  getDefaultLanguage,
+  getUserLangOrDefault,
+} from "./i18n.js";
+
+/** Roles from most to least privileged */
+export const ROLES = ["owner", "moderator", "responder"];
+
+/** Roles the owner can hand out with /admin add */
+export const ASSIGNABLE_ROLES = ["moderator", "responder"];
+
+/** Privilege level of each role */
+const ROLE_RANK = { owner: 3, moderator: 2, responder: 1 };
+
+/**
+ * Least privileged role allowed to run each command or button action.
+ * Anything not listed is for the owner only. Replying to guests is open
+ * to every role.
+ */
+const COMMAND_ROLES = {
+  start: "responder",
+  lang: "responder",
+  delete: "responder",
+  list: "moderator",
+  stats: "moderator",
+  block: "moderator",
+  unblock: "moderator",
+  unban: "moderator",
+  ban: "moderator",
+  trust: "moderator",
+  untrust: "moderator",
+  trustid: "moderator",
+  status: "moderator",
+  whois: "moderator",
+  history: "moderator",
+  export: "moderator",
+  check: "moderator",
+  checktext: "moderator",
+  marksafe: "moderator",
+  markunsafe: "moderator",
+  review: "moderator",
+  appeal: "moderator",
+};
+
+/** Commands shown in the admin bot menus (descriptions from i18n cmd_*) */
+export const ADMIN_COMMANDS = [
+  "start",
+  "list",
+  "stats",
+  "block",
+  "unblock",
+  "ban",
+  "trust",
+  "untrust",
+  "trustid",
+  "status",
+  "whois",
+  "history",
+  "export",
+  "check",
+  "marksafe",
+  "markunsafe",
+  "checktext",
+  "rule",
+  "modreport",
+  "policy",
+  "admin",
+  "audit",
+  "delete",
+  "lang",
+];
+
+// ============================================
+// Permissions
+// ============================================
+
+/**
+ * Get a user's admin role.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<string|null>} Role, or null if not an admin
+ */
+export async function getAdminRole(kv, env, userId) {
+  if (userId === env.ENV_ADMIN_UID) return "owner";
+  return (await getAdmins(kv))[userId]?.role || null;
+}
+
+/**
+ * Check whether a role may run a command or button action.
+ * @param {string} role - Admin role
+ * @param {string} command - Command name without the slash, e.g. "block"
+ * @returns {boolean}
+ */
+export function hasPermission(role, command) {
+  const required = COMMAND_ROLES[command] || "owner";
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+/**
+ * Get the command name of a message, e.g. "block" for "/block@bot 24h".
+ * @param {string} text - Message text
+ * @returns {string|null} Command name, or null for plain messages
+ */
+export function getCommandName(text) {
+  const match = text.match(/^\/([a-z_]+)(?:@\w+)?(?:\s|$)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * List the chats of every admin holding at least a role, owner first.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} env - Environment variables
+ * @param {string} [minRole="responder"] - Least privileged role included
+ * @returns {Promise<string[]>} User IDs (private chat IDs)
+ */
+export async function getAdminChatIds(kv, env, minRole = "responder") {
+  const admins = Object.entries(await getAdmins(kv))
+    .filter(([, admin]) => ROLE_RANK[admin.role] >= ROLE_RANK[minRole])
+    .map(([userId]) => userId);
+  return [env.ENV_ADMIN_UID, ...admins];
+}
+
+/**
+ * Send a message to every admin holding at least a role, in each admin's
+ * language.
+ * @param {Object} telegram - Telegram client
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} env - Environment variables
+ * @param {string} minRole - Least privileged role included
+ * @param {function(string): Object} build - Language code => sendMessage
+ *        params without chat_id
+ * @returns {Promise<Array<{chatId: string, result: Object}>>} Results
+ */
+export async function sendToAdmins(telegram, kv, env, minRole, build) {
+  const results = [];
+  for (const chatId of await getAdminChatIds(kv, env, minRole)) {
+    const lang = await getUserLangOrDefault(kv, chatId);
+    const result = await telegram.sendMessage({
+      chat_id: chatId,
+      ...build(lang),
+    });
+    if (!result.ok) {
+      console.warn(`[Roles] Message to admin ${chatId} failed`);
+    }
+    results.push({ chatId, result });
+  }
+  return results;
+}
+
+// ============================================
+// Command Menus
+// ============================================
+
+/**
+ * Build a setMyCommands command list in one language.
+ * @param {string[]} names - Command names
+ * @param {string} lang - Language code
+ * @returns {Array<{command: string, description: string}>}
+ */
+function buildCommands(names, lang) {
+  return names.map((command) => ({
+    command,
+    description: t(`cmd_${command}`, {}, lang),
+  }));
+}
+
+/**
+ * Set a command menu in the default language plus one translated menu
+ * per available language.
+ * @param {Object} telegram - Telegram client
+ * @param {string[]} names - Command names
+ * @param {Object} scope - BotCommandScope
+ * @returns {Promise<Object>} setMyCommands results by language
+ */
+export async function setCommandMenu(telegram, names, scope) {
+  const results = {
+    default: await telegram.setMyCommands({
+      commands: buildCommands(names, getDefaultLanguage()),
+      scope,
+    }),
+  };
+  for (const lang of getAvailableLanguages()) {
+    results[lang] = await telegram.setMyCommands({
+      commands: buildCommands(names, lang),
+      scope,
+      language_code: lang,
+    });
+  }
+  return results;
+}
+
+/**
+ * Show an admin the commands their role allows. A null role removes the
+ * admin menu, leaving the guest one.
+ * @param {Object} telegram - Telegram client
+ * @param {string} userId - Admin user ID
+ * @param {string|null} role - Admin role
+ * @returns {Promise<Object>} setMyCommands/deleteMyCommands results
+ */
+export async function setAdminMenu(telegram, userId, role) {
+  const scope = { type: "chat", chat_id: parseInt(userId) };
+  if (!role) {
+    const results = { default: await telegram.deleteMyCommands({ scope }) };
+    for (const lang of getAvailableLanguages()) {
+      results[lang] = await telegram.deleteMyCommands({
+        scope,
+        language_code: lang,
+      });
+    }
+    return results;
+  }
+  const names = ADMIN_COMMANDS.filter((name) => hasPermission(role, name));
+  return setCommandMenu(telegram, names, scope);
+}
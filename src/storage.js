@@ -4,8 +4,10 @@
  * Licensed under BSD 2-Clause License
  *
  * @fileoverview Cloudflare KV storage functions.
- * Manages relay records, user blocks, statistics, rate limiting,
- * trust scores, content caching, and language preferences.
+ * Manages relay records, user blocks, the review queue, the admin team,
+ * statistics, rate limiting, trust scores, content caching, language
+ * preferences, guest profiles, conversation history, and update
+ * deduplication.
  */
 
 import {
@@ -14,9 +16,93 @@ import {
   TRUST_THRESHOLD,
   MOD_CACHE_MIN_LENGTH,
   MOD_CACHE_TTL_SECONDS,
+  IMAGE_CACHE_TTL_SECONDS,
   RATE_LIMIT_TTL_SECONDS,
+  UPDATE_DEDUP_TTL_SECONDS,
+  MESSAGE_LINK_TTL_SECONDS,
+  RELAY_TTL_SECONDS,
+  REVIEW_TTL_SECONDS,
+  MODERATION_ALERT_COOLDOWN_SECONDS,
+  API_KEY_DISPLAY_LENGTH,
+  SHADOW_DISAGREEMENT_LIMIT,
+  PROFILE_HISTORY_LIMIT,
+  AUDIT_PAGE_SIZE,
+  HISTORY_PAGE_SIZE,
+  HISTORY_TTL_SECONDS,
+  HISTORY_EXPORT_SIZE,
 } from "./config.js";
 
+// ============================================
+// Key Listing
+// ============================================
+
+/** Most keys one kv.list() call returns */
+const LIST_LIMIT = 1000;
+
+/**
+ * List all key names with a prefix, following pagination cursors.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>} Key names
+ */
+async function listAllKeys(kv, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    names.push(...page.keys.map((key) => key.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+/**
+ * Read one page of JSON values in key order, listing only the keys up to
+ * that page instead of every key under the prefix.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} prefix - Key prefix
+ * @param {number} page - 1-based page
+ * @param {number} pageSize - Values per page
+ * @returns {Promise<{entries: Array<Object>, hasMore: boolean}>} Page values
+ *          and whether later pages exist
+ */
+async function readKeyPage(kv, prefix, page, pageSize) {
+  let cursor;
+  let skip = (page - 1) * pageSize;
+  while (skip > 0) {
+    const skipped = await kv.list({
+      prefix,
+      cursor,
+      limit: Math.min(skip, LIST_LIMIT),
+    });
+    if (skipped.list_complete) return { entries: [], hasMore: false };
+    skip -= skipped.keys.length;
+    cursor = skipped.cursor;
+  }
+
+  const { keys, list_complete } = await kv.list({
+    prefix,
+    cursor,
+    limit: pageSize,
+  });
+  const entries = await Promise.all(
+    keys.map((key) => kv.get(key.name, { type: "json" })),
+  );
+  return { entries: entries.filter(Boolean), hasMore: !list_complete };
+}
+
+/** Largest timestamp a newest-first key can hold */
+const MAX_KEY_TIME = 9999999999999;
+
+/**
+ * Format a timestamp for keys that sort newest first.
+ * @param {number} at - Timestamp in milliseconds
+ * @returns {string} Fixed-width inverted timestamp
+ */
+function newestFirstTime(at) {
+  return String(MAX_KEY_TIME - at).padStart(13, "0");
+}
+
 // ============================================
 // Relay Management
 // ============================================
@@ -27,6 +113,9 @@ function generateRelayId() {
 
 /**
  * Create a new relay for guest message.
+ * Relays and their guest:latest: pointer expire after RELAY_TTL_SECONDS
+ * without activity; only keys stored without a TTL need
+ * purgeLegacyRelays.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} guestId - Guest chat ID
  * @param {Object} message - Original message object
@@ -44,8 +133,9 @@ export async function createRelay(kv, guestId, message) {
     preview: (message.text || message.caption || "").substring(0, 100),
   };
 
-  await kv.put(`relay:${relay.id}`, JSON.stringify(relay));
-  await kv.put(`guest:latest:${guestId}`, relay.id);
+  const options = { expirationTtl: RELAY_TTL_SECONDS };
+  await kv.put(`relay:${relay.id}`, JSON.stringify(relay), options);
+  await kv.put(`guest:latest:${guestId}`, relay.id, options);
   await incrementCounter(kv, "total-relays");
 
   return relay;
@@ -63,7 +153,18 @@ export async function getRelay(kv, relayId) {
 }
 
 /**
- * Update relay status.
+ * Get the most recent relay of a guest.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @returns {Promise<Object|null>} Relay object or null
+ */
+export async function getLatestRelay(kv, guestId) {
+  const relayId = await kv.get(`guest:latest:${guestId}`, { type: "text" });
+  return relayId ? getRelay(kv, relayId) : null;
+}
+
+/**
+ * Update relay status. Renews the relay's TTL.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} relayId - Relay ID
  * @param {string} status - New status
@@ -73,39 +174,193 @@ export async function updateRelayStatus(kv, relayId, status) {
   if (relay) {
     relay.status = status;
     relay.updatedAt = Date.now();
-    await kv.put(`relay:${relayId}`, JSON.stringify(relay));
+    await kv.put(`relay:${relayId}`, JSON.stringify(relay), {
+      expirationTtl: RELAY_TTL_SECONDS,
+    });
   }
 }
 
 /**
  * Store admin message ID for relay (for reply tracking).
+ * Message IDs are per chat, so the key includes the admin chat.
  * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} adminChatId - Chat holding the forwarded copy
  * @param {number} adminMsgId - Admin's message ID
  * @param {string} relayId - Relay ID
  */
-export async function linkAdminMessage(kv, adminMsgId, relayId) {
-  await kv.put(`admin-msg:${adminMsgId}`, relayId);
+export async function linkAdminMessage(kv, adminChatId, adminMsgId, relayId) {
+  await kv.put(`admin-msg:${adminChatId}:${adminMsgId}`, relayId, {
+    expirationTtl: MESSAGE_LINK_TTL_SECONDS,
+  });
 }
 
 /**
  * Get relay ID from admin message ID.
+ * Falls back to links stored before they were keyed by chat.
  * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} adminChatId - Chat holding the forwarded copy
  * @param {number} adminMsgId - Admin's message ID
  * @returns {Promise<string|null>} Relay ID or null
  */
-export async function getRelayByAdminMsg(kv, adminMsgId) {
-  return await kv.get(`admin-msg:${adminMsgId}`, { type: "text" });
+export async function getRelayByAdminMsg(kv, adminChatId, adminMsgId) {
+  return (
+    (await kv.get(`admin-msg:${adminChatId}:${adminMsgId}`, {
+      type: "text",
+    })) ?? (await kv.get(`admin-msg:${adminMsgId}`, { type: "text" }))
+  );
+}
+
+/**
+ * Link a guest message to its forwarded copies (for edit tracking).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {number} guestMsgId - Guest's message ID
+ * @param {{copies: Array<{chatId: string, threadId?: number,
+ *          adminMsgId: number}>, relayId: string,
+ *          content: string}} link - Forwarded copies (one per admin chat,
+ *        or the forum topic)
+ */
+export async function linkGuestMessage(kv, guestId, guestMsgId, link) {
+  await kv.put(`guest-msg:${guestId}:${guestMsgId}`, JSON.stringify(link), {
+    expirationTtl: MESSAGE_LINK_TTL_SECONDS,
+  });
+}
+
+/**
+ * Get the forwarded copy info for a guest message.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {number} guestMsgId - Guest's message ID
+ * @returns {Promise<Object|null>} Link info or null
+ */
+export async function getGuestMessageLink(kv, guestId, guestMsgId) {
+  const link = await kv.get(`guest-msg:${guestId}:${guestMsgId}`, {
+    type: "json",
+  });
+  if (!link || link.copies) return link;
+
+  // Links stored before multi-admin support held a single copy
+  const { chatId, threadId, adminMsgId, ...rest } = link;
+  return { ...rest, copies: [{ chatId, threadId, adminMsgId }] };
+}
+
+/**
+ * Link an admin reply to the copy delivered to the guest
+ * (for propagating edits and deletions).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} adminChatId - Chat the reply was written in
+ * @param {number} adminMsgId - Admin's reply message ID
+ * @param {string} guestId - Guest chat ID
+ * @param {number} guestMsgId - Message ID of the copy in the guest chat
+ */
+export async function linkReplyMessage(
+  kv,
+  adminChatId,
+  adminMsgId,
+  guestId,
+  guestMsgId,
+) {
+  await kv.put(
+    `reply-msg:${adminChatId}:${adminMsgId}`,
+    JSON.stringify({ guestId, guestMsgId }),
+    { expirationTtl: MESSAGE_LINK_TTL_SECONDS },
+  );
+}
+
+/**
+ * Get the guest-side copy of an admin reply.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} adminChatId - Chat the reply was written in
+ * @param {number} adminMsgId - Admin's reply message ID
+ * @returns {Promise<{guestId: string, guestMsgId: number}|null>}
+ */
+export async function getReplyMessageLink(kv, adminChatId, adminMsgId) {
+  return await kv.get(`reply-msg:${adminChatId}:${adminMsgId}`, {
+    type: "json",
+  });
+}
+
+/**
+ * Remove the link for an admin reply (after deleting the guest copy).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} adminChatId - Chat the reply was written in
+ * @param {number} adminMsgId - Admin's reply message ID
+ */
+export async function unlinkReplyMessage(kv, adminChatId, adminMsgId) {
+  await kv.delete(`reply-msg:${adminChatId}:${adminMsgId}`);
+}
+
+/**
+ * Clean up relays and mappings stored before they were written with a
+ * TTL. Keys that already expire are skipped. Inactive legacy relays and
+ * the admin-msg: and guest:latest: mappings of missing relays are deleted;
+ * the rest get a TTL, so later runs find nothing to do.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<{relays: number, mappings: number}>} Deleted counts
+ */
+export async function purgeLegacyRelays(kv, now) {
+  const listLegacyKeys = async (prefix) => {
+    const names = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix, cursor });
+      for (const key of page.keys) {
+        if (!key.expiration) names.push(key.name);
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return names;
+  };
+
+  let relays = 0;
+  for (const name of await listLegacyKeys("relay:")) {
+    const relay = await kv.get(name, { type: "json" });
+    const lastActivity = relay?.updatedAt || relay?.createdAt || 0;
+    const remaining = Math.floor(
+      (lastActivity + RELAY_TTL_SECONDS * 1000 - now) / 1000,
+    );
+    // KV rejects TTLs under 60 seconds
+    if (remaining < 60) {
+      await kv.delete(name);
+      relays++;
+    } else {
+      await kv.put(name, JSON.stringify(relay), { expirationTtl: remaining });
+    }
+  }
+
+  let mappings = 0;
+  for (const prefix of ["admin-msg:", "guest:latest:"]) {
+    for (const name of await listLegacyKeys(prefix)) {
+      const relayId = await kv.get(name, { type: "text" });
+      if (relayId && (await getRelay(kv, relayId))) {
+        await kv.put(name, relayId, {
+          expirationTtl: MESSAGE_LINK_TTL_SECONDS,
+        });
+      } else {
+        await kv.delete(name);
+        mappings++;
+      }
+    }
+  }
+
+  return { relays, mappings };
 }
 
 /**
  * Check if user is blocked.
+ * A temporary ban that has run out is lifted on the spot.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} guestId - Guest chat ID
  * @returns {Promise<boolean>} True if blocked
  */
 export async function isGuestBlocked(kv, guestId) {
   const status = await kv.get(`blocked:${guestId}`, { type: "text" });
-  return status === "true";
+  if (status === null) return false;
+  if (status === "true" || parseInt(status) > Date.now()) return true;
+
+  await liftExpiredBan(kv, guestId);
+  return false;
 }
 
 // ============================================
@@ -114,23 +369,86 @@ export async function isGuestBlocked(kv, guestId) {
 
 /**
  * Set guest block status.
+ * The blocked: key holds "true" for a permanent ban or the expiry time of
+ * a temporary one. total-blocked only changes when the status does, so
+ * re-blocking or unblocking twice does not skew it.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} guestId - Guest chat ID
  * @param {boolean} blocked - Block status
  * @param {string} reason - Block reason
+ * @param {Object|null} [verdict=null] - Moderation verdict behind the block
+ * @param {number|null} [expiresAt=null] - When the ban ends (ms), or null
+ *        for a permanent ban
  */
-export async function setGuestBlocked(kv, guestId, blocked, reason = "Manual") {
+export async function setGuestBlocked(
+  kv,
+  guestId,
+  blocked,
+  reason = "Manual",
+  verdict = null,
+  expiresAt = null,
+) {
+  const wasBlocked = (await kv.get(`blocked:${guestId}`)) !== null;
+
   if (blocked) {
     const blockData = { guestId, reason, blockedAt: Date.now() };
-    await kv.put(`blocked:${guestId}`, "true");
+    if (verdict) {
+      const { categories, confidence, rationale } = verdict;
+      blockData.verdict = { categories, confidence, rationale };
+    }
+    if (expiresAt) blockData.expiresAt = expiresAt;
+    await kv.put(`blocked:${guestId}`, expiresAt ? `${expiresAt}` : "true");
     await kv.put(`block-info:${guestId}`, JSON.stringify(blockData));
-    await incrementCounter(kv, "total-blocked");
+    if (!wasBlocked) await incrementCounter(kv, "total-blocked");
     await kv.delete(`trust:${guestId}`); // Reset trust score on ban
+    await updateGuestProfile(kv, guestId, (profile) => {
+      profile.blockHistory = [
+        ...profile.blockHistory,
+        { at: blockData.blockedAt, reason, expiresAt },
+      ].slice(-PROFILE_HISTORY_LIMIT);
+    });
   } else {
     await kv.delete(`blocked:${guestId}`);
     await kv.delete(`block-info:${guestId}`);
-    await decrementCounter(kv, "total-blocked");
+    if (wasBlocked) {
+      await decrementCounter(kv, "total-blocked");
+      await updateGuestProfile(kv, guestId, (profile) => {
+        const last = profile.blockHistory.at(-1);
+        if (last && !last.liftedAt) last.liftedAt = Date.now();
+      });
+    }
+  }
+}
+
+/**
+ * Lift a temporary ban that has run out.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ */
+async function liftExpiredBan(kv, guestId) {
+  await setGuestBlocked(kv, guestId, false);
+  await recordAudit(kv, {
+    actor: "system",
+    action: "ban_expired",
+    target: guestId,
+  });
+  console.log(`[Storage] Ban of ${guestId} expired`);
+}
+
+/**
+ * Lift every temporary ban that has run out.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Promise<Array>} Block info of the lifted bans
+ */
+export async function liftExpiredBans(kv, now = Date.now()) {
+  const expired = (await getBlockedList(kv)).filter(
+    (b) => b.expiresAt && b.expiresAt <= now,
+  );
+  for (const { guestId } of expired) {
+    await liftExpiredBan(kv, guestId);
   }
+  return expired;
 }
 
 /**
@@ -150,12 +468,334 @@ export async function getBlockInfo(kv, guestId) {
  * @returns {Promise<Array>} Array of blocked guest info
  */
 export async function getBlockedList(kv) {
-  const list = await kv.list({ prefix: "block-info:" });
-  const promises = list.keys.map((key) => kv.get(key.name, { type: "text" }));
+  const names = await listAllKeys(kv, "block-info:");
+  const promises = names.map((name) => kv.get(name, { type: "text" }));
   const results = await Promise.all(promises);
   return results.filter(Boolean).map((info) => JSON.parse(info));
 }
 
+// ============================================
+// Review Queue
+// ============================================
+
+/**
+ * Hold a flagged guest message for admin review.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {Object} message - Held message, relayed as-is if approved
+ * @param {Object} verdict - Moderation verdict that flagged it
+ * @returns {Promise<Object>} Review record
+ */
+export async function createReview(kv, guestId, message, verdict) {
+  const review = {
+    id: `Q-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    guestId: guestId.toString(),
+    message,
+    verdict,
+    status: "pending", // pending | approved | rejected | blocked
+    createdAt: Date.now(),
+  };
+  await kv.put(`review:${review.id}`, JSON.stringify(review), {
+    expirationTtl: REVIEW_TTL_SECONDS,
+  });
+  return review;
+}
+
+/**
+ * Remember the review cards sent to admins so every card can show the
+ * decision once one admin has made it.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} review - Review record
+ * @param {Array<{chatId: string, messageId: number, text: string, lang: string}>} cards
+ *        Sent cards
+ * @returns {Promise<Object>} Updated review
+ */
+export async function setReviewCards(kv, review, cards) {
+  const updated = { ...review, cards };
+  await kv.put(`review:${review.id}`, JSON.stringify(updated), {
+    expirationTtl: REVIEW_TTL_SECONDS,
+  });
+  return updated;
+}
+
+/**
+ * Get a review by ID.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Object|null>} Review or null if missing/expired
+ */
+export async function getReview(kv, reviewId) {
+  const data = await kv.get(`review:${reviewId}`, { type: "text" });
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Record the admin's decision on a review.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} review - Review record
+ * @param {string} status - "approved", "rejected" or "blocked"
+ * @returns {Promise<Object>} Updated review
+ */
+export async function resolveReview(kv, review, status) {
+  const resolved = { ...review, status, resolvedAt: Date.now() };
+  await kv.put(`review:${review.id}`, JSON.stringify(resolved), {
+    expirationTtl: REVIEW_TTL_SECONDS,
+  });
+  return resolved;
+}
+
+// ============================================
+// Moderation Policy
+// ============================================
+
+/**
+ * Get the active moderation policy.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<Object|null>} Policy {version, rules, model,
+ *          disabledCategories, change, createdAt}, or null for the
+ *          built-in policy
+ */
+export async function getActivePolicy(kv) {
+  return await kv.get("policy:active", { type: "json" });
+}
+
+/** Version of the active policy, 0 for the built-in one */
+async function getActivePolicyVersion(kv) {
+  return (await getActivePolicy(kv))?.version || 0;
+}
+
+/**
+ * Get a saved policy version.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} version - Policy version
+ * @returns {Promise<Object|null>} Policy or null if unknown
+ */
+export async function getPolicy(kv, version) {
+  return await kv.get(`policy:v${version}`, { type: "json" });
+}
+
+/**
+ * Save a change to the active policy as a new version and activate it.
+ * Versions are never modified, so any of them can be restored.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{rules?: string|null, model?: string|null,
+ *          disabledCategories?: Array<string>}} changes - Fields to change;
+ *        null rules/model mean the built-in default
+ * @param {string} change - Short description for /policy history
+ * @returns {Promise<Object>} New policy
+ */
+export async function savePolicy(kv, changes, change) {
+  const active = await getActivePolicy(kv);
+  const latest = parseInt((await kv.get("policy:latest")) || "0");
+  const policy = {
+    rules: active?.rules ?? null,
+    model: active?.model ?? null,
+    disabledCategories: active?.disabledCategories ?? [],
+    ...changes,
+    version: latest + 1,
+    change,
+    createdAt: Date.now(),
+  };
+  await kv.put(`policy:v${policy.version}`, JSON.stringify(policy));
+  await kv.put("policy:latest", policy.version.toString());
+  await kv.put("policy:active", JSON.stringify(policy));
+  return policy;
+}
+
+/**
+ * Make a saved version the active policy. Version 0 restores the built-in
+ * policy.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} Activated policy ({version: 0} for the
+ *          built-in one), or null if the version does not exist
+ */
+export async function activatePolicy(kv, version) {
+  if (version === 0) {
+    await kv.delete("policy:active");
+    return { version: 0 };
+  }
+  const policy = await getPolicy(kv, version);
+  if (!policy) return null;
+  await kv.put("policy:active", JSON.stringify(policy));
+  return policy;
+}
+
+/**
+ * List the most recent policy versions, newest first.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} [limit=10] - Maximum versions to return
+ * @returns {Promise<Array<Object>>} Policies
+ */
+export async function listPolicies(kv, limit = 10) {
+  const latest = parseInt((await kv.get("policy:latest")) || "0");
+  const versions = [];
+  for (let v = latest; v > 0 && versions.length < limit; v--) {
+    versions.push(v);
+  }
+  const policies = await Promise.all(versions.map((v) => getPolicy(kv, v)));
+  return policies.filter(Boolean);
+}
+
+// ============================================
+// Filter Rules
+// ============================================
+
+/**
+ * Get all local filter rules, in the order they are evaluated.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<Array<Object>>} Rules sorted by ID
+ */
+export async function getFilterRules(kv) {
+  return (await kv.get("filter-rules", { type: "json" })) || [];
+}
+
+/**
+ * Add a filter rule. Rules get increasing numeric IDs.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{type: string, action: string, value: *}} rule - Rule definition
+ * @returns {Promise<Object>} Stored rule with id
+ */
+export async function addFilterRule(kv, rule) {
+  const rules = await getFilterRules(kv);
+  const id = rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+  const stored = { ...rule, id, createdAt: Date.now() };
+  rules.push(stored);
+  await kv.put("filter-rules", JSON.stringify(rules));
+  return stored;
+}
+
+/**
+ * Delete a filter rule and its hit count.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<boolean>} False if no such rule
+ */
+export async function deleteFilterRule(kv, ruleId) {
+  const rules = await getFilterRules(kv);
+  const remaining = rules.filter((r) => r.id !== ruleId);
+  if (remaining.length === rules.length) return false;
+  await kv.put("filter-rules", JSON.stringify(remaining));
+  await kv.delete(`filter-rule-hits:${ruleId}`);
+  return true;
+}
+
+/**
+ * Count a rule hit. Hits live under their own key so guest traffic never
+ * rewrites the rule list that /rule add and /rule del edit.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} ruleId - Rule ID
+ */
+export async function recordFilterRuleHit(kv, ruleId) {
+  const hits = await getFilterRuleHits(kv, ruleId);
+  await kv.put(`filter-rule-hits:${ruleId}`, String(hits + 1));
+}
+
+/**
+ * Get how often a rule has matched.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<number>} Hit count
+ */
+export async function getFilterRuleHits(kv, ruleId) {
+  return parseInt((await kv.get(`filter-rule-hits:${ruleId}`)) || "0");
+}
+
+// ============================================
+// Admin Team
+// ============================================
+
+/**
+ * Get the admins added with /admin. The owner (ENV_ADMIN_UID) is not
+ * stored here.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<Object<string, {role: string, addedBy: string,
+ *          addedAt: number}>>} Admins by user ID
+ */
+export async function getAdmins(kv) {
+  return (await kv.get("admins", { type: "json" })) || {};
+}
+
+/**
+ * Add an admin or change their role.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} userId - Telegram user ID
+ * @param {string} role - "moderator" or "responder"
+ * @param {string} addedBy - User ID of the owner making the change
+ * @returns {Promise<Object>} Stored admin entry
+ */
+export async function setAdmin(kv, userId, role, addedBy) {
+  const admins = await getAdmins(kv);
+  admins[userId] = {
+    role,
+    addedBy,
+    addedAt: admins[userId]?.addedAt || Date.now(),
+  };
+  await kv.put("admins", JSON.stringify(admins));
+  return admins[userId];
+}
+
+/**
+ * Remove an admin.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<boolean>} True if the user was an admin
+ */
+export async function removeAdmin(kv, userId) {
+  const admins = await getAdmins(kv);
+  if (!admins[userId]) return false;
+  delete admins[userId];
+  await kv.put("admins", JSON.stringify(admins));
+  return true;
+}
+
+// ============================================
+// Audit Log
+// ============================================
+
+/**
+ * Append an entry to the audit log. Entries are never changed or deleted.
+ * Each entry is stored twice: in the full log and in the target guest's
+ * log. Keys sort newest first.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{actor: string, action: string, target?: string|null,
+ *          reason?: string|null}} entry - Admin user ID or "system", what
+ *        happened (e.g. "block"), the guest it concerns, and why
+ * @returns {Promise<Object>} Stored entry with its timestamp
+ */
+export async function recordAudit(
+  kv,
+  { actor, action, target = null, reason = null },
+) {
+  const at = Date.now();
+  const entry = { at, actor, action, target, reason };
+  const inverted = newestFirstTime(at);
+  const suffix = `${inverted}:${Math.random().toString(36).substring(2, 8)}`;
+  const value = JSON.stringify(entry);
+
+  await kv.put(`audit:all:${suffix}`, value);
+  if (target) await kv.put(`audit:guest:${target}:${suffix}`, value);
+  console.log(`[Audit] ${actor} ${action} ${target || "-"}`);
+  return entry;
+}
+
+/**
+ * Read one page of the audit log, newest first. Only the keys up to the
+ * requested page are listed, so the log can grow without bound.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{guestId?: string|null, page?: number, pageSize?: number}} options
+ *        Guest to filter on (all guests when null), 1-based page, page size
+ * @returns {Promise<{entries: Array<Object>, hasMore: boolean}>} Page
+ *          entries and whether older entries exist
+ */
+export async function getAuditLog(
+  kv,
+  { guestId = null, page = 1, pageSize = AUDIT_PAGE_SIZE } = {},
+) {
+  const prefix = guestId ? `audit:guest:${guestId}:` : "audit:all:";
+  return readKeyPage(kv, prefix, page, pageSize);
+}
+
 // ============================================
 // Statistics & Counters
 // ============================================
@@ -200,10 +840,233 @@ export async function getCounter(kv, name) {
 export async function getStatistics(kv) {
   const totalRelays = await getCounter(kv, "total-relays");
   const aiBlocks = await getCounter(kv, "ai-blocks");
+  const moderationFailures = await getCounter(kv, "moderation-failures");
+  const now = Date.now();
   const blockedList = await getBlockedList(kv);
-  const totalBlocked = blockedList.length; // More accurate than counter
+  // More accurate than counter; expired bans not yet lifted don't count
+  const totalBlocked = blockedList.filter(
+    (b) => !b.expiresAt || b.expiresAt > now,
+  ).length;
 
-  return { totalRelays, totalBlocked, aiBlocks };
+  return { totalRelays, totalBlocked, aiBlocks, moderationFailures };
+}
+
+/**
+ * Get the statistics snapshot saved by the last daily digest.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<Object|null>} Statistics object with sentAt, or null
+ */
+export async function getDigestSnapshot(kv) {
+  return await kv.get("digest:last", { type: "json" });
+}
+
+/**
+ * Save statistics snapshot for computing the next digest's deltas.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {Object} stats - Statistics object from getStatistics
+ */
+export async function setDigestSnapshot(kv, stats) {
+  await kv.put("digest:last", JSON.stringify({ ...stats, sentAt: Date.now() }));
+}
+
+// ============================================
+// Moderation Failure Tracking
+// ============================================
+
+/**
+ * Record a moderation call that failed because no provider was reachable.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} error - Failure description
+ * @returns {Promise<{count: number, since: number, lastError: string}>}
+ *          Current run of consecutive failures
+ */
+export async function recordModerationFailure(kv, error) {
+  await incrementCounter(kv, "moderation-failures");
+
+  const streak = (await kv.get("modfail:streak", { type: "json" })) || {
+    count: 0,
+    since: Date.now(),
+  };
+  streak.count++;
+  streak.lastError = error;
+  await kv.put("modfail:streak", JSON.stringify(streak));
+  return streak;
+}
+
+/**
+ * End the current failure streak after a successful moderation call.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ */
+export async function resetModerationFailures(kv) {
+  if (await kv.get("modfail:streak")) {
+    await kv.delete("modfail:streak");
+  }
+}
+
+/**
+ * Claim the right to send a failure alert, at most once per cooldown.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<boolean>} True if the alert should be sent now
+ */
+export async function acquireModerationAlert(kv) {
+  if (await kv.get("modfail:alerted")) return false;
+  await kv.put("modfail:alerted", Date.now().toString(), {
+    expirationTtl: MODERATION_ALERT_COOLDOWN_SECONDS,
+  });
+  return true;
+}
+
+// ============================================
+// Shadow Moderation
+// ============================================
+
+/**
+ * Compare a shadow verdict with the live one and record the outcome.
+ * Disagreements are kept (newest first, up to SHADOW_DISAGREEMENT_LIMIT).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{kind: string, preview: string}} sample - What was checked
+ * @param {Object|null} live - Live verdict (null = safe)
+ * @param {Object|null} shadow - Shadow verdict (null = safe)
+ */
+export async function recordShadowResult(kv, sample, live, shadow) {
+  const stats = (await kv.get("shadow:stats", { type: "json" })) || {
+    total: 0,
+    agreed: 0,
+    liveOnly: 0,
+    shadowOnly: 0,
+    errors: 0,
+    since: Date.now(),
+  };
+
+  if (shadow?.unavailable) {
+    stats.errors++;
+    await kv.put("shadow:stats", JSON.stringify(stats));
+    return;
+  }
+
+  const liveUnsafe = Boolean(live);
+  const shadowUnsafe = Boolean(shadow);
+  stats.total++;
+  if (liveUnsafe === shadowUnsafe) stats.agreed++;
+  else if (liveUnsafe) stats.liveOnly++;
+  else stats.shadowOnly++;
+  await kv.put("shadow:stats", JSON.stringify(stats));
+
+  if (liveUnsafe === shadowUnsafe) return;
+  const disagreements =
+    (await kv.get("shadow:disagreements", { type: "json" })) || [];
+  disagreements.unshift({
+    ...sample,
+    live: live?.reason || null,
+    shadow: shadow?.reason || null,
+    at: Date.now(),
+  });
+  await kv.put(
+    "shadow:disagreements",
+    JSON.stringify(disagreements.slice(0, SHADOW_DISAGREEMENT_LIMIT)),
+  );
+}
+
+/**
+ * Get the shadow comparison totals and recent disagreements.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<{stats: Object|null, disagreements: Array<Object>}>}
+ */
+export async function getShadowReport(kv) {
+  const [stats, disagreements] = await Promise.all([
+    kv.get("shadow:stats", { type: "json" }),
+    kv.get("shadow:disagreements", { type: "json" }),
+  ]);
+  return { stats, disagreements: disagreements || [] };
+}
+
+/**
+ * Clear the shadow report, e.g. after changing the shadow prompt.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ */
+export async function resetShadowReport(kv) {
+  await kv.delete("shadow:stats");
+  await kv.delete("shadow:disagreements");
+}
+
+// ============================================
+// API Key Health
+// ============================================
+
+/**
+ * KV key for an API key's health record. Keys are stored hashed, never
+ * in plain text.
+ */
+async function apiKeyHealthKey(apiKey) {
+  const hash = await generateContentHash(apiKey);
+  return `apikey:${hash.substring(0, 16)}`;
+}
+
+/**
+ * Get the health record of an API key.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} apiKey - Raw API key
+ * @returns {Promise<Object|null>} Health record or null if never used
+ */
+export async function getApiKeyHealth(kv, apiKey) {
+  return await kv.get(await apiKeyHealthKey(apiKey), { type: "json" });
+}
+
+/**
+ * Record the outcome of one API call made with a key.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} apiKey - Raw API key
+ * @param {Object} result - Call outcome
+ * @param {boolean} result.ok - Whether the call succeeded
+ * @param {string} [result.error] - Error description for failed calls
+ * @param {number} [result.cooldownSeconds] - Skip the key for this long
+ * @param {{prompt: number, output: number, total: number}} [result.tokens]
+ *        Token usage reported by the API
+ * @returns {Promise<Object>} Updated health record
+ */
+export async function recordApiKeyCall(kv, apiKey, result) {
+  const key = await apiKeyHealthKey(apiKey);
+  const now = Date.now();
+  const health = (await kv.get(key, { type: "json" })) || {
+    masked: `${apiKey.substring(0, API_KEY_DISPLAY_LENGTH)}***${apiKey.slice(-4)}`,
+    calls: 0,
+    errors: 0,
+    tokens: { prompt: 0, output: 0, total: 0 },
+  };
+
+  health.calls++;
+  health.lastUsedAt = now;
+  if (result.ok) {
+    health.cooldownUntil = null;
+  } else {
+    health.errors++;
+    health.lastError = result.error;
+    health.lastErrorAt = now;
+  }
+  if (result.cooldownSeconds) {
+    health.cooldownUntil = now + result.cooldownSeconds * 1000;
+  }
+  if (result.tokens) {
+    health.tokens.prompt += result.tokens.prompt || 0;
+    health.tokens.output += result.tokens.output || 0;
+    health.tokens.total += result.tokens.total || 0;
+  }
+
+  await kv.put(key, JSON.stringify(health));
+  return health;
+}
+
+/**
+ * Get the health records of all API keys that have been used.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @returns {Promise<Array<Object>>} Health records
+ */
+export async function listApiKeyHealth(kv) {
+  const keys = await listAllKeys(kv, "apikey:");
+  const records = await Promise.all(
+    keys.map((name) => kv.get(name, { type: "json" })),
+  );
+  return records.filter(Boolean);
 }
 
 // ============================================
@@ -322,12 +1185,22 @@ export async function setUserTrusted(kv, guestId) {
 
 /**
  * Generate content hash for caching.
- * @param {string} content - Content to hash
+ * Verdicts depend on the moderation policy, so cache hashes include the
+ * active policy version; changing the policy starts a fresh cache.
+ * @param {string|Uint8Array} content - Text or raw bytes to hash
+ * @param {number} [policyVersion=0] - Policy version (0 = built-in policy)
  * @returns {Promise<string>} Hash string
  */
-async function generateContentHash(content) {
+async function generateContentHash(content, policyVersion = 0) {
   const encoder = new TextEncoder();
-  const data = encoder.encode(content);
+  let data = typeof content === "string" ? encoder.encode(content) : content;
+  if (policyVersion) {
+    const prefix = encoder.encode(`policy-v${policyVersion}:`);
+    const combined = new Uint8Array(prefix.length + data.length);
+    combined.set(prefix);
+    combined.set(data, prefix.length);
+    data = combined;
+  }
   const hashBuffer = await crypto.subtle.digest("SHA-256", data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
@@ -337,43 +1210,122 @@ async function generateContentHash(content) {
  * Get cached moderation result for content.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} content - Content to check
- * @returns {Promise<{hit: boolean, result: string|null}>}
+ * @returns {Promise<{hit: boolean, result: Object|null}>} Cached unsafe
+ *          verdict, or null result for safe content
  */
 export async function getCachedModerationResult(kv, content) {
   if (!content || content.length < MOD_CACHE_MIN_LENGTH) {
     return { hit: false, result: null };
   }
 
-  const hash = await generateContentHash(content);
-  const cached = await kv.get(`modcache:${hash}`, { type: "text" });
-
-  if (cached === null) {
-    return { hit: false, result: null };
-  }
-
-  // cached format: "SAFE" or "UNSAFE:reason"
-  if (cached === "SAFE") {
-    return { hit: true, result: null };
-  }
-  return { hit: true, result: cached.replace("UNSAFE:", "") };
+  const hash = await generateContentHash(
+    content,
+    await getActivePolicyVersion(kv),
+  );
+  return decodeCachedVerdict(
+    await kv.get(`modcache:${hash}`, { type: "text" }),
+  );
 }
 
 /**
  * Cache moderation result for content.
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} content - Content that was checked
- * @param {string|null} result - Moderation result (null = safe)
+ * @param {Object|null} result - Unsafe verdict (null = safe)
+ * @returns {Promise<boolean>} False when the content is too short to cache
  */
 export async function cacheModerationResult(kv, content, result) {
   if (!content || content.length < MOD_CACHE_MIN_LENGTH) {
-    return;
+    return false;
   }
 
-  const hash = await generateContentHash(content);
-  const value = result ? `UNSAFE:${result}` : "SAFE";
-  await kv.put(`modcache:${hash}`, value, {
+  const hash = await generateContentHash(
+    content,
+    await getActivePolicyVersion(kv),
+  );
+  await kv.put(`modcache:${hash}`, encodeCachedVerdict(result), {
     expirationTtl: MOD_CACHE_TTL_SECONDS,
   });
+  return true;
+}
+
+/**
+ * Get the cached verdict for an image or sticker.
+ * Looks up Telegram's file_unique_id first, then the SHA-256 of the
+ * downloaded bytes (same picture re-uploaded as a different file).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{uniqueId?: string, bytes?: Uint8Array}} image - Cache keys
+ * @returns {Promise<{hit: boolean, result: Object|null}>} Cached unsafe
+ *          verdict, or null result for safe images
+ */
+export async function getCachedImageVerdict(kv, { uniqueId, bytes }) {
+  for (const key of await getImageCacheKeys(kv, { uniqueId, bytes })) {
+    const cached = await kv.get(key, { type: "text" });
+    if (cached !== null) return decodeCachedVerdict(cached);
+  }
+  return { hit: false, result: null };
+}
+
+/**
+ * Cache the verdict for an image or sticker under every key given.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {{uniqueId?: string, bytes?: Uint8Array}} image - Cache keys
+ * @param {Object|null} result - Unsafe verdict (null = safe)
+ */
+export async function cacheImageVerdict(kv, { uniqueId, bytes }, result) {
+  const value = encodeCachedVerdict(result);
+  for (const key of await getImageCacheKeys(kv, { uniqueId, bytes })) {
+    await kv.put(key, value, { expirationTtl: IMAGE_CACHE_TTL_SECONDS });
+  }
+}
+
+/**
+ * KV keys for an image: by file_unique_id and/or by content hash, both
+ * scoped to the active policy version.
+ */
+async function getImageCacheKeys(kv, { uniqueId, bytes }) {
+  const version = await getActivePolicyVersion(kv);
+  const scope = version ? `v${version}:` : "";
+  const keys = [];
+  if (uniqueId) keys.push(`imgcache:${scope}id:${uniqueId}`);
+  if (bytes) {
+    keys.push(`imgcache:sha:${await generateContentHash(bytes, version)}`);
+  }
+  return keys;
+}
+
+/** Cache value format: "SAFE" or "UNSAFE:<verdict JSON>" */
+function encodeCachedVerdict(result) {
+  return result ? `UNSAFE:${JSON.stringify(result)}` : "SAFE";
+}
+
+/**
+ * Parse a cache value written by encodeCachedVerdict.
+ * @param {string|null} cached - Raw KV value
+ * @returns {{hit: boolean, result: Object|null}}
+ */
+function decodeCachedVerdict(cached) {
+  if (cached === null) {
+    return { hit: false, result: null };
+  }
+  if (cached === "SAFE") {
+    return { hit: true, result: null };
+  }
+  const payload = cached.replace("UNSAFE:", "");
+  if (payload.startsWith("{")) {
+    return { hit: true, result: JSON.parse(payload) };
+  }
+  // Entries written before verdicts were structured hold a plain reason
+  return {
+    hit: true,
+    result: {
+      unsafe: true,
+      categories: [],
+      confidence: null,
+      rationale: payload,
+      reason: payload,
+    },
+  };
 }
 
 // ============================================
@@ -400,6 +1352,206 @@ export async function setUserLanguage(kv, userId, lang) {
   await kv.put(`lang:${userId}`, lang);
 }
 
+// ============================================
+// Guest Chat State
+// ============================================
+
+/**
+ * Get guest's chat state (whether they still have the bot running).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @returns {Promise<{active: boolean, changedAt: number}|null>}
+ */
+export async function getGuestState(kv, guestId) {
+  return await kv.get(`guest-state:${guestId}`, { type: "json" });
+}
+
+/**
+ * Mark guest as active (started the bot) or inactive (blocked/stopped it).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {boolean} active - New state
+ */
+export async function setGuestActive(kv, guestId, active) {
+  await kv.put(
+    `guest-state:${guestId}`,
+    JSON.stringify({ active, changedAt: Date.now() }),
+  );
+}
+
+// ============================================
+// Guest Profiles
+// ============================================
+
+/**
+ * Get a guest's profile.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @returns {Promise<Object|null>} Profile with firstSeen, lastSeen,
+ *          messageCount, username, name, languageCode, isPremium,
+ *          nameHistory and blockHistory, or null if never seen
+ */
+export async function getGuestProfile(kv, guestId) {
+  return await kv.get(`profile:${guestId}`, { type: "json" });
+}
+
+/**
+ * Load a guest's profile (or a blank one), change it and save it.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {function(Object): void} update - Mutates the profile
+ * @returns {Promise<Object>} Saved profile
+ */
+async function updateGuestProfile(kv, guestId, update) {
+  const profile = (await getGuestProfile(kv, guestId)) || {
+    guestId: guestId.toString(),
+    firstSeen: null,
+    lastSeen: null,
+    messageCount: 0,
+    username: null,
+    name: null,
+    languageCode: null,
+    isPremium: false,
+    nameHistory: [],
+    blockHistory: [],
+  };
+  update(profile);
+  await kv.put(`profile:${guestId}`, JSON.stringify(profile));
+  return profile;
+}
+
+/**
+ * Record a guest message in their profile. A new username or name is
+ * appended to the name history.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {Object} from - Telegram User who sent the message
+ * @returns {Promise<Object>} Updated profile
+ */
+export async function recordGuestActivity(kv, guestId, from = {}) {
+  const now = Date.now();
+  const username = from.username || null;
+  const name =
+    [from.first_name, from.last_name].filter(Boolean).join(" ") || null;
+
+  return updateGuestProfile(kv, guestId, (profile) => {
+    profile.firstSeen ??= now;
+    profile.lastSeen = now;
+    profile.messageCount++;
+    profile.languageCode = from.language_code || profile.languageCode;
+    profile.isPremium = Boolean(from.is_premium);
+
+    const last = profile.nameHistory.at(-1);
+    if (!last || last.username !== username || last.name !== name) {
+      if (last) {
+        console.log(`[Profile] ${guestId} renamed to @${username} (${name})`);
+      }
+      profile.nameHistory = [
+        ...profile.nameHistory,
+        { username, name, since: now },
+      ].slice(-PROFILE_HISTORY_LIMIT);
+    }
+    profile.username = username;
+    profile.name = name;
+  });
+}
+
+// ============================================
+// Conversation History
+// ============================================
+
+/** Message fields recorded as the entry type, checked in this order */
+const HISTORY_MESSAGE_TYPES = [
+  "text",
+  "photo",
+  "video",
+  "animation",
+  "video_note",
+  "sticker",
+  "document",
+  "voice",
+  "audio",
+];
+
+/**
+ * Record a message of the conversation with a guest. Keys sort newest
+ * first; entries expire after HISTORY_TTL_SECONDS, so no cleanup job is
+ * needed.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {string} direction - "in" (from the guest) or "out" (admin reply)
+ * @param {Object} message - Telegram message
+ * @param {string|null} [adminId=null] - Admin who replied
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function recordConversationMessage(
+  kv,
+  guestId,
+  direction,
+  message,
+  adminId = null,
+) {
+  const type = HISTORY_MESSAGE_TYPES.find((field) => message[field]) || "other";
+  const media = type === "photo" ? message.photo.at(-1) : message[type];
+  const entry = {
+    at: Date.now(),
+    direction,
+    adminId,
+    type,
+    text: message.text || message.caption || "",
+    fileIds: media?.file_id ? [media.file_id] : [],
+    messageId: message.message_id,
+  };
+
+  const time = newestFirstTime(entry.at);
+  const suffix = Math.random().toString(36).substring(2, 8);
+  await kv.put(`history:${guestId}:${time}:${suffix}`, JSON.stringify(entry), {
+    expirationTtl: HISTORY_TTL_SECONDS,
+  });
+  return entry;
+}
+
+/**
+ * Read one page of the conversation with a guest, newest first. Only the
+ * keys up to that page are listed.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {{page?: number, pageSize?: number}} [options] - 1-based page and
+ *        page size
+ * @returns {Promise<{entries: Array<Object>, hasMore: boolean}>} Page
+ *          entries and whether older messages exist
+ */
+export async function getConversationHistory(
+  kv,
+  guestId,
+  { page = 1, pageSize = HISTORY_PAGE_SIZE } = {},
+) {
+  return readKeyPage(kv, `history:${guestId}:`, page, pageSize);
+}
+
+/**
+ * Read one part of the conversation with a guest for export. Parts run
+ * from the newest messages back; each part is in reading order, oldest
+ * first.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ * @param {{page?: number, pageSize?: number}} [options] - 1-based part and
+ *        messages per part
+ * @returns {Promise<{entries: Array<Object>, hasMore: boolean}>} Part
+ *          entries and whether older messages exist
+ */
+export async function getConversationExport(
+  kv,
+  guestId,
+  { page = 1, pageSize = HISTORY_EXPORT_SIZE } = {},
+) {
+  const { entries, hasMore } = await getConversationHistory(kv, guestId, {
+    page,
+    pageSize,
+  });
+  return { entries: entries.reverse(), hasMore };
+}
+
 // ============================================
 // Forum Topic Management
 // ============================================
@@ -444,3 +1596,49 @@ export async function setGuestForumTopic(kv, guestId, topicId, topicName) {
 export async function getGuestIdByTopicId(kv, topicId) {
   return await kv.get(`topic-guest:${topicId}`, { type: "text" });
 }
+
+/**
+ * Forget guest's forum topic (e.g. after it was deleted in the group).
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} guestId - Guest chat ID
+ */
+export async function deleteGuestForumTopic(kv, guestId) {
+  const topic = await getGuestForumTopic(kv, guestId);
+  if (topic) {
+    await kv.delete(`topic-guest:${topic.topicId}`);
+  }
+  await kv.delete(`forum-topic:${guestId}`);
+}
+
+// ============================================
+// Update Deduplication
+// ============================================
+
+/**
+ * Record an update as processed (idempotency guard).
+ * Telegram redelivers updates when the webhook is slow or fails, so every
+ * update_id is remembered for UPDATE_DEDUP_TTL_SECONDS. Gaps and
+ * out-of-order delivery are read from the neighbouring ids, so no single
+ * key is written on every update.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {number} updateId - Telegram update_id
+ * @returns {Promise<{duplicate: boolean, previousSeen: boolean,
+ *          nextSeen: boolean}>} Whether the update was seen before, and
+ *          whether update_id - 1 and update_id + 1 were
+ */
+export async function markUpdateProcessed(kv, updateId) {
+  const seen = async (id) =>
+    (await kv.get(`update:seen:${id}`, { type: "text" })) !== null;
+
+  const [duplicate, previousSeen, nextSeen] = await Promise.all([
+    seen(updateId),
+    seen(updateId - 1),
+    seen(updateId + 1),
+  ]);
+  if (!duplicate) {
+    await kv.put(`update:seen:${updateId}`, "1", {
+      expirationTtl: UPDATE_DEDUP_TTL_SECONDS,
+    });
+  }
+  return { duplicate, previousSeen, nextSeen };
+}
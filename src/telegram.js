@@ -4,65 +4,421 @@
  * Licensed under BSD 2-Clause License
  *
  * @fileoverview Telegram Bot API client wrapper.
- * Provides a simple interface for common Telegram bot operations.
+ * Provides a simple interface for common Telegram bot operations,
+ * with retries and typed errors.
+ */
+
+import {
+  TELEGRAM_MAX_RETRIES,
+  TELEGRAM_RETRY_BASE_DELAY_MS,
+  TELEGRAM_MAX_RETRY_DELAY_MS,
+} from "./config.js";
+
+// ============================================
+// Typed Errors
+// ============================================
+
+/** Failure categories handlers can react to */
+export const TelegramErrorKind = {
+  BOT_BLOCKED: "bot_blocked",
+  USER_DEACTIVATED: "user_deactivated",
+  CHAT_NOT_FOUND: "chat_not_found",
+  THREAD_NOT_FOUND: "thread_not_found",
+  MESSAGE_TO_COPY_NOT_FOUND: "message_to_copy_not_found",
+  MESSAGE_NOT_FOUND: "message_not_found",
+  MESSAGE_NOT_MODIFIED: "message_not_modified",
+  RATE_LIMITED: "rate_limited",
+  SERVER_ERROR: "server_error",
+  NETWORK_ERROR: "network_error",
+  UNKNOWN: "unknown",
+};
+
+/** Description fragments mapped to error kinds, checked in order */
+const ERROR_PATTERNS = [
+  [/bot was blocked by the user/i, TelegramErrorKind.BOT_BLOCKED],
+  [/user is deactivated/i, TelegramErrorKind.USER_DEACTIVATED],
+  [/chat not found/i, TelegramErrorKind.CHAT_NOT_FOUND],
+  [
+    /message thread not found|topic_deleted/i,
+    TelegramErrorKind.THREAD_NOT_FOUND,
+  ],
+  [
+    /message to (copy|forward) not found/i,
+    TelegramErrorKind.MESSAGE_TO_COPY_NOT_FOUND,
+  ],
+  [
+    /message to (edit|delete) not found|message can't be (edited|deleted)/i,
+    TelegramErrorKind.MESSAGE_NOT_FOUND,
+  ],
+  [/message is not modified/i, TelegramErrorKind.MESSAGE_NOT_MODIFIED],
+];
+
+/**
+ * Error describing a failed Bot API call.
+ * Attached to failed results as `result.error`.
+ */
+export class TelegramApiError extends Error {
+  /**
+   * @param {string} method - API method name
+   * @param {{error_code?: number, description?: string,
+   *          parameters?: {retry_after?: number}}} response - API response
+   * @param {string} [kind] - Error kind, derived from the response if omitted
+   */
+  constructor(method, response, kind = null) {
+    super(`${method} failed: ${response.description || "Unknown error"}`);
+    this.name = "TelegramApiError";
+    this.method = method;
+    this.code = response.error_code ?? 0;
+    this.description = response.description || "";
+    this.retryAfter = response.parameters?.retry_after ?? null;
+    this.kind = kind || classifyError(this.code, this.description);
+  }
+
+  /** Whether the call may succeed if repeated */
+  get retryable() {
+    return (
+      this.kind === TelegramErrorKind.RATE_LIMITED ||
+      this.kind === TelegramErrorKind.SERVER_ERROR ||
+      this.kind === TelegramErrorKind.NETWORK_ERROR
+    );
+  }
+}
+
+/**
+ * Map an API error to a TelegramErrorKind.
+ * @param {number} code - error_code from the response
+ * @param {string} description - description from the response
+ * @returns {string} Error kind
+ */
+function classifyError(code, description) {
+  if (code === 429) return TelegramErrorKind.RATE_LIMITED;
+  if (code >= 500) return TelegramErrorKind.SERVER_ERROR;
+
+  const match = ERROR_PATTERNS.find(([pattern]) => pattern.test(description));
+  return match ? match[1] : TelegramErrorKind.UNKNOWN;
+}
+
+/**
+ * Methods that post a new message. Repeating one after a 5xx or a dropped
+ * connection may deliver it twice, so they are only retried when Telegram
+ * asked us to slow down or the request never left this machine.
+ */
+const NON_IDEMPOTENT_METHODS = new Set([
+  "sendMessage",
+  "sendDocument",
+  "sendMediaGroup",
+  "copyMessage",
+  "copyMessages",
+  "forwardMessage",
+  "createForumTopic",
+]);
+
+/** Connection errors raised before any byte of the request was sent */
+const CONNECT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+/**
+ * Whether a failed call may be repeated without risking a duplicate.
+ * @param {string} method - API method name
+ * @param {TelegramApiError} error - The failure
+ * @param {boolean} delivered - Whether the request may have reached Telegram
+ * @returns {boolean}
+ */
+function canRetry(method, error, delivered) {
+  if (!error.retryable) return false;
+  if (!NON_IDEMPOTENT_METHODS.has(method)) return true;
+  return error.kind === TelegramErrorKind.RATE_LIMITED || !delivered;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ============================================
+// Client
+// ============================================
+
+/** @typedef {number|string} ChatId - Chat ID or @channel username */
+
+/**
+ * @typedef {Object} ReplyParameters
+ * @property {number} message_id - Message to reply to
+ * @property {boolean} [allow_sending_without_reply] - Send even if missing
  */
 
 /**
  * Create a Telegram API client instance.
  *
+ * Failed calls never throw: they resolve to the API response with
+ * `ok: false` and a TelegramApiError in `error`, so callers can check
+ * `result.ok` and switch on `result.error.kind`. Rate limits (honouring
+ * `retry_after`), 5xx responses and network errors are retried with
+ * exponential backoff. Methods that post a message are retried only on
+ * rate limits and failed connections, so a retry never sends it twice.
+ *
  * @param {string} token - Bot token from BotFather
  * @param {string} [baseUrl="https://api.telegram.org"] - Custom API base URL
- * @returns {Object} API client with sendMessage, copyMessage, forwardMessage,
- *                   setWebhook, answerCallbackQuery, setMyCommands, getFile, getFileUrl,
- *                   createForumTopic, closeForumTopic, reopenForumTopic
+ * @param {{maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number}}
+ *        [options] - Retry policy, defaults from config.js
+ * @returns {Object} API client with one wrapper per Bot API method used by
+ *                   the bot (messages, edits, chats, files, setup, forum
+ *                   topics) plus call(method, params) for anything else
  * @example
  * const telegram = createTelegramClient(process.env.BOT_TOKEN);
- * await telegram.sendMessage({ chat_id: 123, text: "Hello!" });
+ * const result = await telegram.sendMessage({ chat_id: 123, text: "Hello!" });
+ * if (result.error?.kind === TelegramErrorKind.BOT_BLOCKED) { ... }
  */
-export function createTelegramClient(token, baseUrl = "https://api.telegram.org") {
+export function createTelegramClient(
+  token,
+  baseUrl = "https://api.telegram.org",
+  {
+    maxRetries = TELEGRAM_MAX_RETRIES,
+    baseDelayMs = TELEGRAM_RETRY_BASE_DELAY_MS,
+    maxDelayMs = TELEGRAM_MAX_RETRY_DELAY_MS,
+  } = {},
+) {
   const apiUrl = (method) => `${baseUrl}/bot${token}/${method}`;
 
   /**
-   * Make a POST request to Telegram Bot API.
-   * @param {string} method - API method name
+   * Encode parameters as multipart/form-data for file uploads. Files
+   * (Blob values) become parts; objects are JSON-encoded.
    * @param {Object} body - Request parameters
+   * @returns {FormData}
+   */
+  function toFormData(body) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(body)) {
+      if (value === undefined) continue;
+      if (value instanceof Blob) {
+        form.append(key, value, value.name || key);
+      } else {
+        form.append(
+          key,
+          typeof value === "object" ? JSON.stringify(value) : String(value),
+        );
+      }
+    }
+    return form;
+  }
+
+  /**
+   * Make a single POST request to Telegram Bot API.
+   * Parameters holding a file are sent as multipart/form-data, the rest as
+   * JSON. Non-JSON responses (e.g. a proxy's 502 page) become error
+   * responses.
    * @returns {Promise<Object>} Parsed JSON response
    */
+  async function send(method, body) {
+    const upload = Object.values(body).some((value) => value instanceof Blob);
+    const response = await fetch(
+      apiUrl(method),
+      upload
+        ? { method: "POST", body: toFormData(body) }
+        : {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify(body),
+          },
+    );
+
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return {
+        ok: false,
+        error_code: response.status,
+        description: `HTTP ${response.status}: ${text.substring(0, 100)}`,
+      };
+    }
+  }
+
+  /**
+   * Make a POST request to Telegram Bot API with retries.
+   * @param {string} method - API method name
+   * @param {Object} body - Request parameters
+   * @returns {Promise<Object>} Parsed JSON response; failures carry `error`
+   */
   async function request(method, body) {
     console.log(
       `[Telegram API] ${method}`,
       JSON.stringify(body).substring(0, 100) + "...",
     );
 
-    const response = await fetch(apiUrl(method), {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(body),
-    });
+    for (let attempt = 0; ; attempt++) {
+      let data;
+      let error;
+      let delivered = true;
+      try {
+        data = await send(method, body);
+        if (data.ok) return data;
+        error = new TelegramApiError(method, data);
+      } catch (e) {
+        data = { ok: false, error_code: 0, description: e.message };
+        error = new TelegramApiError(
+          method,
+          data,
+          TelegramErrorKind.NETWORK_ERROR,
+        );
+        delivered = !CONNECT_ERROR_CODES.has(e.cause?.code ?? e.code);
+      }
 
-    return response.json();
+      const delay = error.retryAfter
+        ? error.retryAfter * 1000
+        : baseDelayMs * 2 ** attempt;
+
+      if (
+        !canRetry(method, error, delivered) ||
+        attempt >= maxRetries ||
+        delay > maxDelayMs
+      ) {
+        console.warn(`[Telegram API] ${error.message} (${error.kind})`);
+        return { ...data, error };
+      }
+
+      console.log(
+        `[Telegram API] ${method} ${error.kind}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`,
+      );
+      await sleep(delay);
+    }
   }
 
   return {
-    /** Send a text message */
+    /**
+     * Call any Bot API method. Escape hatch for methods without a wrapper;
+     * same retries and error handling as the wrappers.
+     * @param {string} method - API method name, e.g. "getMe"
+     * @param {Object} [params={}] - Method parameters
+     * @returns {Promise<Object>} API response
+     */
+    call: (method, params = {}) => request(method, params),
+
+    // ============================================
+    // Sending Messages
+    // ============================================
+
+    /**
+     * Send a text message.
+     * @param {{chat_id: ChatId, text: string, message_thread_id?: number,
+     *          parse_mode?: string, entities?: Object[],
+     *          reply_parameters?: ReplyParameters,
+     *          reply_markup?: Object}} params
+     */
     sendMessage: (params) => request("sendMessage", params),
 
-    /** Copy a message without "Forwarded from" header */
+    /**
+     * Copy a message without "Forwarded from" header.
+     * @param {{chat_id: ChatId, from_chat_id: ChatId, message_id: number,
+     *          message_thread_id?: number, caption?: string,
+     *          reply_parameters?: ReplyParameters,
+     *          reply_markup?: Object}} params
+     * @returns {Promise<Object>} Result is the new MessageId
+     */
     copyMessage: (params) => request("copyMessage", params),
 
-    /** Forward a message with "Forwarded from" header */
+    /**
+     * Copy several messages (e.g. an album) in one call.
+     * @param {{chat_id: ChatId, from_chat_id: ChatId, message_ids: number[],
+     *          message_thread_id?: number}} params
+     * @returns {Promise<Object>} Result is an array of MessageId
+     */
+    copyMessages: (params) => request("copyMessages", params),
+
+    /**
+     * Forward a message with "Forwarded from" header.
+     * @param {{chat_id: ChatId, from_chat_id: ChatId, message_id: number,
+     *          message_thread_id?: number}} params
+     */
     forwardMessage: (params) => request("forwardMessage", params),
 
-    /** Set or delete webhook URL */
-    setWebhook: (params) => request("setWebhook", params),
+    /**
+     * Send a file. Pass a File (or Blob) to upload it, or a file_id/URL
+     * string to resend an existing one.
+     * @param {{chat_id: ChatId, document: File|Blob|string,
+     *          caption?: string, message_thread_id?: number,
+     *          reply_parameters?: ReplyParameters}} params
+     */
+    sendDocument: (params) => request("sendDocument", params),
 
-    /** Respond to callback query (inline button click) */
-    answerCallbackQuery: (params) => request("answerCallbackQuery", params),
+    /**
+     * Send a group of photos, videos, documents or audios as an album.
+     * @param {{chat_id: ChatId, media: Array<{type: string, media: string,
+     *          caption?: string}>, message_thread_id?: number,
+     *          reply_parameters?: ReplyParameters}} params
+     */
+    sendMediaGroup: (params) => request("sendMediaGroup", params),
 
-    /** Set bot menu commands */
-    setMyCommands: (params) => request("setMyCommands", params),
+    /**
+     * Show a chat action such as "typing" for a few seconds.
+     * @param {{chat_id: ChatId, action: string,
+     *          message_thread_id?: number}} params
+     */
+    sendChatAction: (params) => request("sendChatAction", params),
+
+    // ============================================
+    // Editing Messages
+    // ============================================
+
+    /**
+     * Edit text of a sent message.
+     * @param {{chat_id: ChatId, message_id: number, text: string,
+     *          parse_mode?: string, entities?: Object[],
+     *          reply_markup?: Object}} params
+     */
+    editMessageText: (params) => request("editMessageText", params),
+
+    /**
+     * Edit caption of a sent media message.
+     * @param {{chat_id: ChatId, message_id: number, caption?: string,
+     *          parse_mode?: string, caption_entities?: Object[],
+     *          reply_markup?: Object}} params
+     */
+    editMessageCaption: (params) => request("editMessageCaption", params),
+
+    /**
+     * Replace or remove (omit reply_markup) a message's inline keyboard.
+     * @param {{chat_id: ChatId, message_id: number,
+     *          reply_markup?: Object}} params
+     */
+    editMessageReplyMarkup: (params) =>
+      request("editMessageReplyMarkup", params),
 
-    /** Get file info for downloading */
+    /**
+     * Delete a message.
+     * @param {{chat_id: ChatId, message_id: number}} params
+     */
+    deleteMessage: (params) => request("deleteMessage", params),
+
+    /**
+     * Set the bot's reaction on a message (empty reaction clears it).
+     * @param {{chat_id: ChatId, message_id: number,
+     *          reaction?: Array<{type: "emoji", emoji: string}>}} params
+     */
+    setMessageReaction: (params) => request("setMessageReaction", params),
+
+    // ============================================
+    // Chats, Files and Callbacks
+    // ============================================
+
+    /**
+     * Get up-to-date information about a chat or user.
+     * @param {{chat_id: ChatId}} params
+     */
+    getChat: (params) => request("getChat", params),
+
+    /**
+     * Respond to callback query (inline button click).
+     * @param {{callback_query_id: string, text?: string,
+     *          show_alert?: boolean}} params
+     */
+    answerCallbackQuery: (params) => request("answerCallbackQuery", params),
+
+    /**
+     * Get file info for downloading.
+     * @param {{file_id: string}} params
+     */
     getFile: (params) => request("getFile", params),
 
     /**
@@ -70,20 +426,83 @@ export function createTelegramClient(token, baseUrl = "https://api.telegram.org"
      * @param {string} filePath - File path from getFile result
      * @returns {string} Direct download URL
      */
-    getFileUrl: (filePath) =>
-      `${baseUrl}/file/bot${token}/${filePath}`,
+    getFileUrl: (filePath) => `${baseUrl}/file/bot${token}/${filePath}`,
+
+    // ============================================
+    // Bot Setup
+    // ============================================
+
+    /**
+     * Set or delete webhook URL.
+     * @param {{url: string, secret_token?: string,
+     *          allowed_updates?: string[]}} params
+     */
+    setWebhook: (params) => request("setWebhook", params),
+
+    /**
+     * Remove webhook so updates can be pulled with getUpdates.
+     * @param {{drop_pending_updates?: boolean}} [params]
+     */
+    deleteWebhook: (params = {}) => request("deleteWebhook", params),
+
+    /** Get current webhook status, including pending update count */
+    getWebhookInfo: () => request("getWebhookInfo", {}),
+
+    /**
+     * Pull pending updates (long polling).
+     * @param {{offset?: number, timeout?: number,
+     *          allowed_updates?: string[]}} params
+     */
+    getUpdates: (params) => request("getUpdates", params),
+
+    /**
+     * Set bot menu commands, optionally per scope and language.
+     * @param {{commands: Array<{command: string, description: string}>,
+     *          scope?: Object, language_code?: string}} params
+     */
+    setMyCommands: (params) => request("setMyCommands", params),
+
+    /**
+     * Delete bot menu commands for a scope and language, so the next
+     * broader scope applies again.
+     * @param {{scope?: Object, language_code?: string}} params
+     */
+    deleteMyCommands: (params) => request("deleteMyCommands", params),
 
     // ============================================
     // Forum Topic Methods
     // ============================================
 
-    /** Create a forum topic in a supergroup chat */
+    /**
+     * Create a forum topic in a supergroup chat.
+     * @param {{chat_id: ChatId, name: string}} params
+     * @returns {Promise<Object>} Result is a ForumTopic with message_thread_id
+     */
     createForumTopic: (params) => request("createForumTopic", params),
 
-    /** Close a forum topic */
+    /**
+     * Rename a forum topic or change its icon.
+     * @param {{chat_id: ChatId, message_thread_id: number, name?: string,
+     *          icon_custom_emoji_id?: string}} params
+     */
+    editForumTopic: (params) => request("editForumTopic", params),
+
+    /**
+     * Close a forum topic.
+     * @param {{chat_id: ChatId, message_thread_id: number}} params
+     */
     closeForumTopic: (params) => request("closeForumTopic", params),
 
-    /** Reopen a closed forum topic */
+    /**
+     * Reopen a closed forum topic.
+     * @param {{chat_id: ChatId, message_thread_id: number}} params
+     */
     reopenForumTopic: (params) => request("reopenForumTopic", params),
+
+    /**
+     * Delete a forum topic with all its messages.
+     * @param {{chat_id: ChatId, message_thread_id: number}} params
+     */
+    deleteForumTopic: (params) => request("deleteForumTopic", params),
   };
 }
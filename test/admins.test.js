@@ -0,0 +1,161 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import { isGuestBlocked, setGuestBlocked } from "../src/storage.js";
+import { MODERATION_ALERT_THRESHOLD } from "../src/config.js";
+
+const MODERATOR_ID = 13500;
+const RESPONDER_ID = 13600;
+
+let h;
+let guestId = 13000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** Message ID of the copy of the last guest message in an admin chat */
+function forwardedTo(adminId) {
+  return h.tg.calls.findLast(
+    (c) =>
+      c.method === "forwardMessage" &&
+      c.params.chat_id === String(adminId) &&
+      c.response.ok,
+  ).response.result.message_id;
+}
+
+test("/admin add assigns a role and its command menu", async () => {
+  assert.match(
+    await h.admin(`/admin add ${MODERATOR_ID} moderator`),
+    /13500 is now a moderator/,
+  );
+  await h.admin(`/admin add ${RESPONDER_ID} responder`);
+
+  const menu = (userId) =>
+    h.tg
+      .callsTo("setMyCommands")
+      .find((p) => p.scope.chat_id === userId && !p.language_code)
+      .commands.map((c) => c.command);
+  assert.ok(menu(MODERATOR_ID).includes("block"));
+  assert.ok(menu(MODERATOR_ID).includes("ban"));
+  assert.ok(!menu(MODERATOR_ID).includes("admin"));
+  assert.deepEqual(menu(RESPONDER_ID), ["start", "delete", "lang"]);
+
+  const list = await h.admin("/admin list");
+  assert.match(list, new RegExp(`${ADMIN_ID} - owner`));
+  assert.match(list, /13500 - moderator/);
+  assert.match(list, /13600 - responder/);
+});
+
+test("guest messages reach every admin", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "hello team" }) });
+
+  const chats = h.tg.callsTo("forwardMessage").map((p) => p.chat_id);
+  assert.deepEqual(chats, [
+    String(ADMIN_ID),
+    String(MODERATOR_ID),
+    String(RESPONDER_ID),
+  ]);
+});
+
+test("a responder can reply but not block", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "need help" }) });
+  const copy = forwardedTo(RESPONDER_ID);
+
+  await h.send({ message: h.adminMessage("on it", copy, RESPONDER_ID) });
+  const [reply] = h.tg.callsTo("copyMessage");
+  assert.equal(reply.chat_id, String(guestId));
+  assert.equal(reply.from_chat_id, String(RESPONDER_ID));
+
+  await h.send({ message: h.adminMessage("/block", copy, RESPONDER_ID) });
+  assert.match(
+    h.tg.messagesTo(RESPONDER_ID).at(-1),
+    /\/block is not available to the responder role/,
+  );
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("a moderator blocks from their own copy", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "spam spam" }) });
+
+  await h.send({
+    message: h.adminMessage("/block", forwardedTo(MODERATOR_ID), MODERATOR_ID),
+  });
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("appeals go to moderators and responders cannot decide them", async () => {
+  await setGuestBlocked(h.kv, guestId, true, "test");
+  await h.send({ message: h.guestMessage(guestId, { text: "/appeal sorry" }) });
+
+  assert.match(h.tg.messagesTo(MODERATOR_ID)[0], /sorry/);
+  assert.equal(h.tg.messagesTo(RESPONDER_ID).length, 0);
+
+  await h.send({
+    callback_query: h.callback(`appeal:accept:${guestId}`, {
+      fromId: RESPONDER_ID,
+    }),
+  });
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+
+  await h.send({
+    callback_query: h.callback(`appeal:accept:${guestId}`, {
+      fromId: MODERATOR_ID,
+    }),
+  });
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("moderation outage alerts reach moderators", async () => {
+  h.gemini.status = 503;
+  for (let i = 0; i < MODERATION_ALERT_THRESHOLD; i++) {
+    await h.send({
+      message: h.guestMessage(guestId, { text: `outage ${i}` }),
+    });
+  }
+
+  assert.match(h.tg.messagesTo(ADMIN_ID).at(-1), /\[ALERT\]/);
+  assert.match(h.tg.messagesTo(MODERATOR_ID).at(-1), /\[ALERT\]/);
+  assert.ok(
+    h.tg.messagesTo(RESPONDER_ID).every((text) => !text.includes("[ALERT]")),
+  );
+});
+
+test("only the owner manages admins", async () => {
+  assert.match(
+    await h.admin(`/admin add 13700 moderator`, { adminId: MODERATOR_ID }),
+    /not available to the moderator role/,
+  );
+  assert.match(
+    await h.admin(`/admin remove ${ADMIN_ID}`),
+    /set by ENV_ADMIN_UID/,
+  );
+});
+
+test("/admin remove turns an admin back into a guest", async () => {
+  assert.match(
+    await h.admin(`/admin remove ${RESPONDER_ID}`),
+    /13600 is no longer an admin/,
+  );
+  assert.ok(
+    h.tg
+      .callsTo("deleteMyCommands")
+      .some((p) => p.scope.chat_id === RESPONDER_ID),
+  );
+  h.reset();
+
+  await h.send({
+    message: h.guestMessage(RESPONDER_ID, { text: "am I a guest now?" }),
+  });
+  const chats = h.tg.callsTo("forwardMessage").map((p) => p.chat_id);
+  assert.deepEqual(chats, [String(ADMIN_ID), String(MODERATOR_ID)]);
+});
@@ -0,0 +1,69 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { getApiKeyHealth, listApiKeyHealth } from "../src/storage.js";
+
+const ALPHA = "alpha-key-111111";
+const BRAVO = "bravo-key-222222";
+
+let h;
+let guestId = 7000;
+
+before(async () => {
+  h = await createHarness({ ENV_GEMINI_API_KEY: `${ALPHA},${BRAVO}` });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+test("a rate-limited key cools down and is skipped", async () => {
+  h.gemini.keyStatus[ALPHA] = 429;
+  await h.send({ message: h.guestMessage(guestId, { text: "first hello" }) });
+
+  assert.deepEqual(
+    h.gemini.requests.map((r) => r.key),
+    [ALPHA, BRAVO],
+  );
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+
+  const alpha = await getApiKeyHealth(h.kv, ALPHA);
+  assert.equal(alpha.errors, 1);
+  assert.equal(alpha.lastError, "HTTP 429");
+  assert.ok(alpha.cooldownUntil > Date.now());
+
+  h.gemini.requests.length = 0;
+  await h.send({ message: h.guestMessage(guestId, { text: "second hello" }) });
+  assert.deepEqual(
+    h.gemini.requests.map((r) => r.key),
+    [BRAVO],
+  );
+});
+
+test("health records keep token usage and never the raw key", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "count tokens" }) });
+
+  const records = await listApiKeyHealth(h.kv);
+  assert.ok(records.length > 0);
+  for (const record of records) {
+    assert.doesNotMatch(JSON.stringify(record), /key-\d{6}/);
+  }
+  const bravo = await getApiKeyHealth(h.kv, BRAVO);
+  assert.ok(bravo.tokens.total >= 15);
+  assert.equal(bravo.tokens.total, bravo.calls * 15);
+});
+
+test("/stats shows per-key health", async () => {
+  await h.send({ message: h.adminMessage("/stats") });
+
+  const text = h.tg.messagesTo(1000)[0];
+  assert.match(text, /alpha-\*\*\*1111: 1 calls, 1 errors, 0 tokens/);
+  assert.match(text, /Cooling down/);
+  assert.match(text, /Last error: HTTP 429/);
+  assert.match(text, /bravo-\*\*\*2222: \d+ calls, 0 errors, \d+ tokens/);
+});
@@ -0,0 +1,162 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import { getAuditLog, recordAudit } from "../src/storage.js";
+import { AUDIT_PAGE_SIZE, AUDIT_EXPORT_SIZE } from "../src/config.js";
+
+const MODERATOR_ID = 14500;
+
+let h;
+let guestId = 14000;
+
+before(async () => {
+  h = await createHarness();
+  await h.send({
+    message: h.adminMessage(`/admin add ${MODERATOR_ID} moderator`),
+  });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** Message ID of the copy of the last guest message in an admin chat */
+function forwardedTo(adminId) {
+  return h.tg.calls.findLast(
+    (c) =>
+      c.method === "forwardMessage" &&
+      c.params.chat_id === String(adminId) &&
+      c.response.ok,
+  ).response.result.message_id;
+}
+
+test("blocks and unblocks record who did them", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "buy now" }) });
+  await h.send({
+    message: h.adminMessage("/block", forwardedTo(MODERATOR_ID), MODERATOR_ID),
+  });
+  await h.admin(`/unban ${guestId}`);
+
+  const { entries } = await getAuditLog(h.kv, { guestId: String(guestId) });
+  assert.deepEqual(
+    entries.map((e) => [e.actor, e.action]),
+    [
+      [String(ADMIN_ID), "unblock"],
+      [String(MODERATOR_ID), "block"],
+    ],
+  );
+
+  const page = await h.admin(`/audit ${guestId}`);
+  assert.match(page, new RegExp(`guest ${guestId} \\(page 1\\)`));
+  assert.match(page, new RegExp(`${MODERATOR_ID}: block ${guestId}`));
+});
+
+test("automatic blocks are recorded as the system", async () => {
+  h.gemini.verdict = JSON.stringify({
+    verdict: "UNSAFE",
+    categories: ["spam"],
+    confidence: 0.95,
+    rationale: "Spam",
+  });
+  await h.send({ message: h.guestMessage(guestId, { text: "spam link" }) });
+
+  const [entry] = (await getAuditLog(h.kv, { guestId: String(guestId) }))
+    .entries;
+  assert.equal(entry.actor, "system");
+  assert.equal(entry.action, "auto_block");
+  assert.match(entry.reason, /^AI Filter/);
+
+  assert.match(await h.admin(`/audit ${guestId}`), /system: auto_block/);
+});
+
+test("pages are browsed with buttons", async () => {
+  for (let i = 0; i < AUDIT_PAGE_SIZE + 1; i++) {
+    await recordAudit(h.kv, {
+      actor: String(ADMIN_ID),
+      action: "trust",
+      target: String(guestId),
+    });
+  }
+
+  await h.admin(`/audit ${guestId}`);
+  const [first] = h.tg.callsTo("sendMessage");
+  assert.match(first.text, /page 1\)/);
+  const [next] = first.reply_markup.inline_keyboard[0];
+  assert.equal(next.callback_data, `audit:${guestId}:2`);
+
+  await h.send({
+    callback_query: h.callback(next.callback_data, {
+      message: { message_id: 99, chat: { id: ADMIN_ID } },
+    }),
+  });
+  const [edit] = h.tg.callsTo("editMessageText");
+  assert.equal(edit.message_id, 99);
+  assert.match(edit.text, /page 2\)/);
+  assert.deepEqual(
+    edit.reply_markup.inline_keyboard[0].map((b) => b.text),
+    ["« Previous"],
+  );
+
+  assert.match(
+    await h.admin(`/audit ${guestId} 3`),
+    /No audit log entries on page 3/,
+  );
+});
+
+test("/audit export sends a CSV document", async () => {
+  await recordAudit(h.kv, {
+    actor: "system",
+    action: "auto_block",
+    target: String(guestId),
+    reason: 'Filter Rule: "free"',
+  });
+  await h.admin(`/audit export ${guestId}`);
+
+  const [upload] = h.tg.callsTo("sendDocument");
+  assert.equal(upload.chat_id, String(ADMIN_ID));
+  assert.match(upload.document.name, new RegExp(`^audit-${guestId}-.*\\.csv$`));
+  assert.match(upload.caption, /1 entries/);
+
+  const [header, row] = upload.document.text.split("\n");
+  assert.equal(header, "time,actor,action,target,reason");
+  assert.match(row, /"system","auto_block","\d+","Filter Rule: ""free"""/);
+});
+
+test("/audit export splits a long log into parts", async () => {
+  for (let i = 0; i < AUDIT_EXPORT_SIZE + 1; i++) {
+    await recordAudit(h.kv, {
+      actor: String(ADMIN_ID),
+      action: "trust",
+      target: String(guestId),
+      reason: `#${i}`,
+    });
+  }
+  const rows = (upload) => upload.document.text.split("\n").slice(1);
+
+  await h.admin(`/audit export ${guestId}`);
+  const [first] = h.tg.callsTo("sendDocument");
+  assert.equal(rows(first).length, AUDIT_EXPORT_SIZE);
+  assert.match(first.caption, new RegExp(`/audit export ${guestId} 2$`));
+
+  await h.admin(`/audit export ${guestId} 2`);
+  const second = h.tg.callsTo("sendDocument")[1];
+  assert.match(second.document.name, /-part2\.csv$/);
+  assert.match(second.caption, /\(1 entries\)$/);
+  assert.equal(
+    new Set([...rows(first), ...rows(second)]).size,
+    AUDIT_EXPORT_SIZE + 1,
+  );
+});
+
+test("only the owner can read the audit log", async () => {
+  assert.match(
+    await h.admin("/audit", { adminId: MODERATOR_ID }),
+    /\/audit is not available to the moderator role/,
+  );
+  assert.match(await h.admin("/audit nobody"), /Usage:/);
+});
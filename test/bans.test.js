@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import {
+  isGuestBlocked,
+  setGuestBlocked,
+  getBlockInfo,
+  getCounter,
+  getStatistics,
+  getAuditLog,
+  getBlockedList,
+} from "../src/storage.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let h;
+let guestId = 15000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+test("/block with a duration sets a temporary ban", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "spam" }) });
+  const copy = h.tg.lastResult("forwardMessage").message_id;
+
+  assert.match(
+    await h.admin("/block 24h flooding the chat", { replyTo: copy }),
+    new RegExp(`Blocked: ${guestId} .* until `),
+  );
+  const info = await getBlockInfo(h.kv, String(guestId));
+  assert.equal(info.reason, "flooding the chat");
+  assert.ok(Math.abs(info.expiresAt - (Date.now() + 24 * HOUR_MS)) < 5000);
+
+  await h.send({ message: h.guestMessage(guestId, { text: "hello?" }) });
+  assert.match(h.tg.messagesTo(guestId).at(-1), /You are blocked until /);
+});
+
+test("/ban by ID shows the remaining time in /list", async () => {
+  assert.match(await h.admin(`/ban ${guestId} 7d`), /until/);
+  assert.match(await h.admin("/ban"), /Usage: \/ban/);
+
+  assert.match(
+    await h.admin("/list"),
+    new RegExp(
+      `${guestId}\\n   Reason: Manual block by admin\\n.*\\n   Ends in: 7d\\n`,
+    ),
+  );
+});
+
+test("zero and negative durations are refused", async () => {
+  assert.match(await h.admin(`/ban ${guestId} 0h`), /Usage: \/ban/);
+  assert.match(await h.admin(`/ban ${guestId} -2d`), /Usage: \/ban/);
+
+  await h.send({ message: h.guestMessage(guestId, { text: "spam" }) });
+  const copy = h.tg.lastResult("forwardMessage").message_id;
+  assert.match(
+    await h.admin("/block 0m", { replyTo: copy }),
+    /Usage: reply \/block/,
+  );
+  assert.equal(await isGuestBlocked(h.kv, String(guestId)), false);
+});
+
+test("/ban without a duration stays permanent", async () => {
+  await h.admin(`/ban ${guestId} repeated abuse`);
+
+  const info = await getBlockInfo(h.kv, String(guestId));
+  assert.equal(info.reason, "repeated abuse");
+  assert.equal(info.expiresAt, undefined);
+  assert.equal(await isGuestBlocked(h.kv, String(guestId)), true);
+});
+
+test("an expired ban is lifted when the guest writes again", async () => {
+  const initial = await getCounter(h.kv, "total-blocked");
+  await setGuestBlocked(
+    h.kv,
+    String(guestId),
+    true,
+    "cool down",
+    null,
+    Date.now() + HOUR_MS,
+  );
+  assert.equal(await getCounter(h.kv, "total-blocked"), initial + 1);
+
+  // Rewind the ban so it has already run out
+  await setGuestBlocked(
+    h.kv,
+    String(guestId),
+    true,
+    "cool down",
+    null,
+    Date.now() - 1000,
+  );
+  assert.equal(await getCounter(h.kv, "total-blocked"), initial + 1);
+  const blockedBefore = (await getStatistics(h.kv)).totalBlocked;
+  assert.doesNotMatch(await h.admin("/list"), new RegExp(`${guestId}`));
+
+  await h.send({ message: h.guestMessage(guestId, { text: "I'm back" }) });
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+  assert.equal(await getBlockInfo(h.kv, String(guestId)), null);
+  assert.equal(await getCounter(h.kv, "total-blocked"), initial);
+  assert.equal((await getStatistics(h.kv)).totalBlocked, blockedBefore);
+
+  const [entry] = (await getAuditLog(h.kv, { guestId: String(guestId) }))
+    .entries;
+  assert.equal(entry.action, "ban_expired");
+});
+
+test("unblocking a guest twice does not skew total-blocked", async () => {
+  const initial = await getCounter(h.kv, "total-blocked");
+  await setGuestBlocked(h.kv, String(guestId), true);
+  await setGuestBlocked(h.kv, String(guestId), false);
+  await setGuestBlocked(h.kv, String(guestId), false);
+  assert.equal(await getCounter(h.kv, "total-blocked"), initial);
+});
+
+test("the blocked list follows KV list cursors", async () => {
+  const first = String(guestId);
+  const second = String(++guestId);
+  await setGuestBlocked(h.kv, first, true, "one");
+  await setGuestBlocked(h.kv, second, true, "two");
+
+  // A KV that returns one key per list() call
+  const kv = {
+    ...h.kv,
+    list: (options) => h.kv.list({ ...options, limit: 1 }),
+  };
+  const ids = (await getBlockedList(kv)).map((b) => b.guestId);
+  assert.ok(ids.includes(first) && ids.includes(second));
+});
@@ -0,0 +1,376 @@
+/**
+ * kokosa-forward - Telegram Message Forwarding Bot
+ * Copyright (c) 2025, 秦心桜
+ * Licensed under BSD 2-Clause License
+ *
+ * @fileoverview Offline test harness.
+ * Runs processUpdate against an in-memory KV, a local fake Bot API that
+ * records every call, and fake Gemini and OpenAI endpoints with scripted
+ * verdicts. The fakes are reached through ENV_TELEGRAM_API_BASE_URL,
+ * ENV_GEMINI_API_BASE_URL and ENV_OPENAI_API_BASE_URL, so the real clients
+ * are exercised end to end.
+ */
+
+import { createServer } from "node:http";
+import { processUpdate } from "../src/bot.js";
+import { createTelegramClient } from "../src/telegram.js";
+import { createMemoryKV } from "../src/kv.js";
+
+export const ADMIN_ID = 1000;
+export const BOT_TOKEN = "test-token";
+export const BOT_SECRET = "test-secret";
+
+/** 1x1 PNG served for every file download */
+const PNG_BYTES = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==",
+  "base64",
+);
+
+/**
+ * Start an HTTP server on a random local port.
+ * @param {Function} handler - (request, body: string) => {status, body, type}
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+async function startServer(handler) {
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const reply = await handler(req, body);
+      res.writeHead(reply.status || 200, {
+        "content-type": reply.type || "application/json",
+      });
+      res.end(
+        typeof reply.body === "string" || Buffer.isBuffer(reply.body)
+          ? reply.body
+          : JSON.stringify(reply.body),
+      );
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Parse Bot API parameters sent as JSON or multipart/form-data.
+ * Uploaded files become {name, type, text}.
+ */
+async function parseParams(req, body) {
+  const type = req.headers["content-type"] || "";
+  if (!type.startsWith("multipart/form-data")) {
+    return body ? JSON.parse(body) : {};
+  }
+  const form = await new Response(body, {
+    headers: { "content-type": type },
+  }).formData();
+  const params = {};
+  for (const [key, value] of form) {
+    params[key] =
+      typeof value === "string"
+        ? value
+        : { name: value.name, type: value.type, text: await value.text() };
+  }
+  return params;
+}
+
+/**
+ * Start a fake Telegram Bot API.
+ * Every method succeeds with a plausible result unless overridden with
+ * `on(method, handler)`. Calls and their responses are recorded in `calls`.
+ */
+export async function startFakeTelegram() {
+  let nextMessageId = 1;
+  const calls = [];
+  const overrides = {};
+
+  const defaults = {
+    sendMessage: (p) => ({ message_id: nextMessageId++, text: p.text }),
+    forwardMessage: () => ({ message_id: nextMessageId++ }),
+    copyMessage: () => ({ message_id: nextMessageId++ }),
+    getFile: (p) => ({
+      file_id: p.file_id,
+      file_path: `photos/${p.file_id}.png`,
+    }),
+    createForumTopic: (p) => ({
+      message_thread_id: nextMessageId++,
+      name: p.name,
+    }),
+  };
+
+  const server = await startServer(async (req, body) => {
+    // File downloads: /file/bot<token>/<path>
+    if (req.url.startsWith("/file/")) {
+      return { body: PNG_BYTES, type: "image/png" };
+    }
+
+    const method = req.url.split("/").pop();
+    const params = await parseParams(req, body);
+    const response = overrides[method]
+      ? overrides[method](params)
+      : {
+          ok: true,
+          result: defaults[method] ? defaults[method](params) : true,
+        };
+    calls.push({ method, params, response });
+    return { body: response };
+  });
+
+  return {
+    url: server.url,
+    calls,
+    /**
+     * Override a method's response.
+     * @param {string} method - API method name
+     * @param {Function} handler - params => full API response object
+     */
+    on(method, handler) {
+      overrides[method] = handler;
+    },
+    /** Recorded calls of one method */
+    callsTo(method) {
+      return calls.filter((c) => c.method === method).map((c) => c.params);
+    },
+    /** Result of the most recent successful call of a method */
+    lastResult(method) {
+      const call = calls.findLast((c) => c.method === method && c.response.ok);
+      return call?.response.result;
+    },
+    /** Text of every sendMessage to a chat */
+    messagesTo(chatId) {
+      return this.callsTo("sendMessage")
+        .filter((p) => String(p.chat_id) === String(chatId))
+        .map((p) => p.text);
+    },
+    reset() {
+      calls.length = 0;
+      for (const key of Object.keys(overrides)) delete overrides[key];
+    },
+    close: server.close,
+  };
+}
+
+/**
+ * Start a fake Gemini generateContent endpoint.
+ * Answers with `verdict` ("SAFE" by default), or with `status` when set.
+ * `keyStatus` maps an API key to the status returned for that key only.
+ * Requests carrying audio are answered with `transcript`.
+ */
+export async function startFakeGemini() {
+  const fake = {
+    verdict: "SAFE",
+    status: 200,
+    keyStatus: {},
+    transcript: "",
+    requests: [],
+  };
+
+  const server = await startServer((req, body) => {
+    const key = new URL(req.url, "http://fake").searchParams.get("key");
+    const payload = JSON.parse(body);
+    fake.requests.push({ url: req.url, key, body: payload });
+    const status = fake.keyStatus[key] ?? fake.status;
+    if (status !== 200) {
+      return { status, body: { error: { code: status } } };
+    }
+    const isAudio = payload.contents[0].parts.some((p) =>
+      p.inline_data?.mime_type.startsWith("audio/"),
+    );
+    const text = isAudio ? fake.transcript : fake.verdict;
+    return {
+      body: {
+        candidates: [{ content: { parts: [{ text }] } }],
+        usageMetadata: {
+          promptTokenCount: 10,
+          candidatesTokenCount: 5,
+          totalTokenCount: 15,
+        },
+      },
+    };
+  });
+
+  return Object.assign(fake, {
+    url: server.url,
+    reset() {
+      fake.verdict = "SAFE";
+      fake.status = 200;
+      fake.keyStatus = {};
+      fake.transcript = "";
+      fake.requests.length = 0;
+    },
+    close: server.close,
+  });
+}
+
+/**
+ * Start a fake OpenAI-compatible API serving /chat/completions and
+ * /moderations. `verdict` answers chat requests; `flagged` and `scores`
+ * shape moderation results.
+ */
+export async function startFakeOpenAI() {
+  const fake = {
+    verdict: "SAFE",
+    flagged: false,
+    scores: {},
+    requests: [],
+  };
+
+  const server = await startServer((req, body) => {
+    fake.requests.push({ url: req.url, body: JSON.parse(body) });
+    if (req.url.endsWith("/chat/completions")) {
+      return {
+        body: { choices: [{ message: { content: fake.verdict } }] },
+      };
+    }
+    const categories = Object.fromEntries(
+      Object.keys(fake.scores).map((name) => [name, fake.flagged]),
+    );
+    return {
+      body: {
+        results: [
+          { flagged: fake.flagged, categories, category_scores: fake.scores },
+        ],
+      },
+    };
+  });
+
+  return Object.assign(fake, {
+    url: server.url,
+    reset() {
+      fake.verdict = "SAFE";
+      fake.flagged = false;
+      fake.scores = {};
+      fake.requests.length = 0;
+    },
+    close: server.close,
+  });
+}
+
+/**
+ * Create a complete test bot: fakes, KV, env and update builders.
+ * @param {Object} [envOverrides] - Extra or replaced env variables
+ * @returns {Promise<Object>} Harness; call close() when done
+ */
+export async function createHarness(envOverrides = {}) {
+  const tg = await startFakeTelegram();
+  const gemini = await startFakeGemini();
+  const openai = await startFakeOpenAI();
+  const kv = createMemoryKV();
+
+  const env = {
+    ENV_BOT_TOKEN: BOT_TOKEN,
+    ENV_BOT_SECRET: BOT_SECRET,
+    ENV_ADMIN_UID: String(ADMIN_ID),
+    ENV_GEMINI_API_KEY: "test-gemini-key",
+    ENV_TELEGRAM_API_BASE_URL: tg.url,
+    ENV_GEMINI_API_BASE_URL: gemini.url,
+    ENV_OPENAI_API_KEY: "test-openai-key",
+    ENV_OPENAI_API_BASE_URL: openai.url,
+    kfb: kv,
+    ...envOverrides,
+  };
+
+  const telegram = createTelegramClient(BOT_TOKEN, tg.url, {
+    baseDelayMs: 1,
+  });
+
+  let updateId = 1;
+  let messageId = 10000;
+
+  const harness = {
+    tg,
+    gemini,
+    openai,
+    kv,
+    env,
+    telegram,
+
+    /** Feed one update through processUpdate */
+    async send(update) {
+      const full = { update_id: updateId++, ...update };
+      await processUpdate(full, telegram, kv, env);
+      return full;
+    },
+
+    /**
+     * Build a guest message.
+     * @param {number} guestId - Guest user/chat ID
+     * @param {Object} fields - Message fields (text, photo, caption...)
+     */
+    guestMessage(guestId, fields = {}) {
+      return {
+        message_id: messageId++,
+        chat: { id: guestId, type: "private" },
+        from: { id: guestId, first_name: `Guest${guestId}` },
+        date: Math.floor(Date.now() / 1000),
+        ...fields,
+      };
+    },
+
+    /**
+     * Build an admin message, optionally replying to a message ID.
+     * @param {string} text - Message text
+     * @param {number} [replyToId] - Message the admin replies to
+     * @param {number} [adminId=ADMIN_ID] - Sending admin (owner by default)
+     */
+    adminMessage(text, replyToId = null, adminId = ADMIN_ID) {
+      return {
+        message_id: messageId++,
+        chat: { id: adminId, type: "private" },
+        from: { id: adminId, first_name: "Admin" },
+        date: Math.floor(Date.now() / 1000),
+        text,
+        ...(replyToId ? { reply_to_message: { message_id: replyToId } } : {}),
+      };
+    },
+
+    /**
+     * Send an admin command and return the bot's latest answer to that
+     * admin.
+     * @param {string} text - Message text
+     * @param {{replyTo?: number, adminId?: number}} [options] - Message the
+     *        admin replies to, and the sending admin (owner by default)
+     * @returns {Promise<string|undefined>} Answer text
+     */
+    async admin(text, { replyTo = null, adminId = ADMIN_ID } = {}) {
+      await harness.send({
+        message: harness.adminMessage(text, replyTo, adminId),
+      });
+      return tg.messagesTo(adminId).at(-1);
+    },
+
+    /**
+     * Build a callback query (inline button click).
+     * @param {string} data - Button callback data
+     * @param {{fromId?: number, message?: Object}} [options] - Clicking user
+     *        (admin by default) and the message carrying the button
+     */
+    callback(data, { fromId = ADMIN_ID, message } = {}) {
+      return {
+        id: `cb-${updateId}`,
+        from: { id: fromId, first_name: "User" },
+        data,
+        ...(message ? { message } : {}),
+      };
+    },
+
+    /** Clear recorded calls and scripted answers between tests */
+    reset() {
+      tg.reset();
+      gemini.reset();
+      openai.reset();
+    },
+
+    async close() {
+      await tg.close();
+      await gemini.close();
+      await openai.close();
+    },
+  };
+
+  return harness;
+}
@@ -0,0 +1,156 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import {
+  getConversationHistory,
+  recordConversationMessage,
+  setGuestBlocked,
+} from "../src/storage.js";
+import {
+  HISTORY_PAGE_SIZE,
+  HISTORY_RETENTION_DAYS,
+  HISTORY_EXPORT_SIZE,
+} from "../src/config.js";
+
+let h;
+let guestId = 17000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** A guest photo, then an admin reply to it */
+async function converse() {
+  await h.send({
+    message: h.guestMessage(guestId, {
+      photo: [{ file_id: "photo-file", file_unique_id: `u-${guestId}` }],
+      caption: "my receipt",
+    }),
+  });
+  const copy = h.tg.lastResult("forwardMessage").message_id;
+  await h.send({ message: h.adminMessage("thanks, refunded", copy) });
+}
+
+test("both directions are recorded", async () => {
+  await converse();
+
+  const { entries } = await getConversationHistory(h.kv, String(guestId));
+  assert.deepEqual(
+    entries.map((e) => [e.direction, e.type, e.text, e.adminId]),
+    [
+      ["out", "text", "thanks, refunded", String(ADMIN_ID)],
+      ["in", "photo", "my receipt", null],
+    ],
+  );
+  assert.deepEqual(entries[1].fileIds, ["photo-file"]);
+
+  const page = await h.admin(`/history ${guestId}`);
+  assert.match(page, /\(page 1\):/);
+  assert.match(
+    page,
+    /Admin 1000 \(text\): thanks, refunded\n.*Guest \(photo\): my receipt/,
+  );
+});
+
+test("commands and blocked messages are not recorded", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "/lang" }) });
+  await setGuestBlocked(h.kv, String(guestId), true, "spam");
+  await h.send({ message: h.guestMessage(guestId, { text: "let me in" }) });
+  await h.send({ message: h.guestMessage(guestId, { text: "/appeal sorry" }) });
+
+  const { entries } = await getConversationHistory(h.kv, String(guestId));
+  assert.equal(entries.length, 0);
+});
+
+test("/history pages are browsed with buttons", async () => {
+  for (let i = 0; i <= HISTORY_PAGE_SIZE; i++) {
+    // Rate-limited messages are not recorded
+    await h.kv.delete(`ratelimit:${guestId}`);
+    await h.send({ message: h.guestMessage(guestId, { text: `msg ${i}` }) });
+  }
+  h.reset();
+
+  await h.admin(`/history ${guestId}`);
+  const [first] = h.tg.callsTo("sendMessage");
+  assert.match(first.text, /\(page 1\):/);
+  assert.match(first.text, /msg 10/);
+  const [next] = first.reply_markup.inline_keyboard[0];
+  assert.equal(next.callback_data, `history:${guestId}:2`);
+
+  await h.send({
+    callback_query: h.callback(next.callback_data, {
+      message: { message_id: 42, chat: { id: ADMIN_ID } },
+    }),
+  });
+  const [edit] = h.tg.callsTo("editMessageText");
+  assert.match(edit.text, /\(page 2\):\n\n[^\n]*Guest \(text\): msg 0\n$/);
+  assert.equal(edit.reply_markup.inline_keyboard[0].length, 1);
+
+  assert.match(await h.admin(`/history ${guestId} 3`), /on page 3/);
+});
+
+test("/export sends a transcript or JSON", async () => {
+  await converse();
+
+  await h.admin(`/export ${guestId}`);
+  const [transcript] = h.tg.callsTo("sendDocument");
+  assert.equal(transcript.document.name, `conversation-${guestId}.txt`);
+  assert.match(
+    transcript.document.text,
+    /\] guest \(photo\): my receipt\n {2}file: photo-file\n.*\] admin 1000 \(text\): thanks, refunded$/,
+  );
+
+  await h.admin(`/export ${guestId} json`);
+  const json = JSON.parse(h.tg.callsTo("sendDocument")[1].document.text);
+  assert.equal(json.guestId, String(guestId));
+  assert.deepEqual(
+    json.messages.map((m) => m.direction),
+    ["in", "out"],
+  );
+
+  assert.match(await h.admin("/export 99999"), /No conversation history/);
+  assert.match(await h.admin("/export abc"), /Usage: \/export/);
+});
+
+test("history expires after the retention period", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "old news" }) });
+
+  const { keys } = await h.kv.list({ prefix: `history:${guestId}:` });
+  const ttl = keys[0].expiration - Date.now() / 1000;
+  assert.ok(Math.abs(ttl - HISTORY_RETENTION_DAYS * 86400) < 60);
+});
+
+test("/export splits a long conversation into parts", async () => {
+  for (let i = 0; i <= HISTORY_EXPORT_SIZE; i++) {
+    await recordConversationMessage(
+      h.kv,
+      String(guestId),
+      "in",
+      h.guestMessage(guestId, { text: `msg ${i}` }),
+    );
+  }
+  const lines = (upload) => upload.document.text.split("\n").slice(2);
+
+  await h.admin(`/export ${guestId}`);
+  const [first] = h.tg.callsTo("sendDocument");
+  assert.equal(lines(first).length, HISTORY_EXPORT_SIZE);
+  assert.match(first.caption, new RegExp(`/export ${guestId} txt 2$`));
+
+  await h.admin(`/export ${guestId} txt 2`);
+  const second = h.tg.callsTo("sendDocument")[1];
+  assert.equal(second.document.name, `conversation-${guestId}-part2.txt`);
+  assert.match(second.caption, /\(1 messages\)$/);
+  assert.equal(
+    new Set([...lines(first), ...lines(second)]).size,
+    HISTORY_EXPORT_SIZE + 1,
+  );
+});
@@ -0,0 +1,118 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import { isGuestBlocked } from "../src/storage.js";
+
+let h;
+let guestId = 9000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** A photo message whose largest size has the given file_unique_id */
+function photo(uniqueId) {
+  return {
+    photo: [{ file_id: `file-${uniqueId}`, file_unique_id: uniqueId }],
+  };
+}
+
+test("a repeated sticker is checked once", async () => {
+  const sticker = { file_id: "stk", file_unique_id: "stk-1" };
+  await h.send({ message: h.guestMessage(guestId, { sticker }) });
+  await h.send({ message: h.guestMessage(guestId, { sticker }) });
+
+  assert.equal(h.gemini.requests.length, 1);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 2);
+});
+
+test("the same picture under a new file ID hits the content hash", async () => {
+  // The fake Bot API serves the same bytes for every file
+  await h.send({ message: h.guestMessage(guestId, photo("pic-2")) });
+
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("/markunsafe overrides the cached verdict for an image", async () => {
+  await h.send({ message: h.guestMessage(guestId, photo("pic-3")) });
+  const forwarded = h.tg.lastResult("forwardMessage").message_id;
+
+  await h.send({
+    message: {
+      ...h.adminMessage("/markunsafe"),
+      reply_to_message: { message_id: forwarded, ...photo("pic-3") },
+    },
+  });
+  assert.match(h.tg.messagesTo(ADMIN_ID).at(-1), /image set to UNSAFE/);
+
+  h.reset();
+  await h.send({ message: h.guestMessage(guestId, photo("pic-3")) });
+
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("/marksafe restores it", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "marker" }) });
+  const forwarded = h.tg.lastResult("forwardMessage").message_id;
+
+  await h.send({
+    message: {
+      ...h.adminMessage("/marksafe"),
+      reply_to_message: { message_id: forwarded, ...photo("pic-3") },
+    },
+  });
+
+  h.reset();
+  await h.send({ message: h.guestMessage(guestId, photo("pic-4")) });
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("/markunsafe covers a video through its thumbnail", async () => {
+  const video = {
+    video: {
+      file_id: "vid-5",
+      thumbnail: { file_id: "thumb-5", file_unique_id: "thumb-5" },
+    },
+  };
+  await h.send({ message: h.guestMessage(guestId, { text: "hello there" }) });
+  const forwarded = h.tg.lastResult("forwardMessage").message_id;
+
+  await h.send({
+    message: {
+      ...h.adminMessage("/markunsafe"),
+      reply_to_message: { message_id: forwarded, ...video },
+    },
+  });
+  assert.match(h.tg.messagesTo(ADMIN_ID).at(-1), /image set to UNSAFE/);
+
+  h.reset();
+  await h.send({ message: h.guestMessage(guestId, video) });
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("/marksafe on short text reports that nothing is cached", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "hi" }) });
+  const forwarded = h.tg.lastResult("forwardMessage").message_id;
+
+  await h.send({
+    message: {
+      ...h.adminMessage("/marksafe"),
+      reply_to_message: { message_id: forwarded, text: "hi" },
+    },
+  });
+  assert.match(h.tg.messagesTo(ADMIN_ID).at(-1), /Nothing cached/);
+});
@@ -0,0 +1,142 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import {
+  JOBS,
+  purgeRelaysJob,
+  liftExpiredBansJob,
+  dailyDigestJob,
+  runScheduledJobs,
+} from "../src/jobs.js";
+import { MAINTENANCE_CRON, DIGEST_CRON } from "../src/config.js";
+import {
+  setGuestBlocked,
+  isGuestBlocked,
+  incrementCounter,
+  getAuditLog,
+} from "../src/storage.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let h;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => h.reset());
+
+/** Job context as built by runScheduledJobs */
+function jobContext(now = Date.now()) {
+  return { telegram: h.telegram, kv: h.kv, env: h.env, lang: "en", now };
+}
+
+test("purgeRelaysJob cleans up relays stored without a TTL", async () => {
+  const now = Date.now();
+  const relay = (id, age) =>
+    JSON.stringify({ id, guestId: "18005", createdAt: now - age });
+  await h.kv.put("relay:R-legacy-old", relay("R-legacy-old", 40 * DAY_MS));
+  await h.kv.put("relay:R-legacy-new", relay("R-legacy-new", DAY_MS));
+  await h.kv.put("admin-msg:901", "R-legacy-old");
+  await h.kv.put(`admin-msg:${ADMIN_ID}:902`, "R-legacy-new");
+  await h.kv.put("guest:latest:18005", "R-legacy-old");
+
+  const report = await purgeRelaysJob(jobContext(now));
+  assert.equal(report, "Purged 1 inactive relays and 2 message links.");
+  assert.equal(await h.kv.get("relay:R-legacy-old"), null);
+  assert.equal(await h.kv.get("admin-msg:901"), null);
+  assert.equal(await h.kv.get("guest:latest:18005"), null);
+
+  // Kept keys now expire on their own
+  const { keys } = await h.kv.list();
+  for (const name of ["relay:R-legacy-new", `admin-msg:${ADMIN_ID}:902`]) {
+    assert.ok(keys.find((k) => k.name === name).expiration, name);
+  }
+  assert.equal(await purgeRelaysJob(jobContext(now)), null);
+});
+
+test("liftExpiredBansJob lifts only expired bans and tells the guests", async () => {
+  const now = Date.now();
+  await setGuestBlocked(h.kv, "18001", true, "a", null, now - HOUR_MS);
+  await setGuestBlocked(h.kv, "18002", true, "b", null, now + HOUR_MS);
+  await setGuestBlocked(h.kv, "18003", true, "c");
+
+  const report = await liftExpiredBansJob(jobContext(now));
+  assert.equal(report, "Lifted 1 expired bans: 18001");
+  assert.match(h.tg.messagesTo("18001")[0], /Your ban has expired/);
+
+  const { entries } = await getAuditLog(h.kv, { guestId: "18001" });
+  assert.equal(entries[0].action, "ban_expired");
+  assert.equal(await isGuestBlocked(h.kv, "18002"), true);
+  assert.equal(await isGuestBlocked(h.kv, "18003"), true);
+
+  assert.equal(await liftExpiredBansJob(jobContext(now)), null);
+});
+
+test("dailyDigestJob reports changes since the last digest", async () => {
+  const first = await dailyDigestJob(jobContext());
+  assert.match(first, /Daily Digest/);
+
+  await incrementCounter(h.kv, "total-relays");
+  await incrementCounter(h.kv, "total-relays");
+  const second = await dailyDigestJob(jobContext());
+  assert.match(second, /Total Relays: \d+ \(\+2\)/);
+});
+
+test("runScheduledJobs sends one report to the admin", async () => {
+  await setGuestBlocked(h.kv, "18004", true, "a", null, Date.now() - 1000);
+
+  const results = await runScheduledJobs(
+    MAINTENANCE_CRON,
+    h.telegram,
+    h.kv,
+    h.env,
+  );
+  assert.deepEqual(
+    results.map((r) => r.name),
+    ["purge-relays", "lift-expired-bans"],
+  );
+  const reports = h.tg.messagesTo(ADMIN_ID);
+  assert.equal(reports.length, 1);
+  assert.match(reports[0], /Lifted 1 expired bans: 18004/);
+});
+
+test("runScheduledJobs stays silent when no job has anything to report", async () => {
+  await runScheduledJobs(MAINTENANCE_CRON, h.telegram, h.kv, h.env);
+  assert.equal(h.tg.messagesTo(ADMIN_ID).length, 0);
+
+  assert.deepEqual(
+    await runScheduledJobs("5 4 * * *", h.telegram, h.kv, h.env),
+    [],
+  );
+});
+
+test("a failing job is reported and the others still run", async () => {
+  const failing = {
+    name: "broken",
+    cron: DIGEST_CRON,
+    run: () => {
+      throw new Error("disk on fire");
+    },
+  };
+  JOBS.unshift(failing);
+  try {
+    const results = await runScheduledJobs(
+      DIGEST_CRON,
+      h.telegram,
+      h.kv,
+      h.env,
+    );
+    assert.ok(results.some((r) => r.name === "daily-digest" && r.report));
+  } finally {
+    JOBS.splice(JOBS.indexOf(failing), 1);
+  }
+
+  const [report] = h.tg.messagesTo(ADMIN_ID);
+  assert.match(report, /^Job broken failed: disk on fire\n\nDaily Digest/);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createFileKV } from "../src/kv.js";
+
+test("a failed write does not stop later writes", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "kfb-kv-"));
+  const filePath = join(dir, "kv.json");
+  const kv = await createFileKV(filePath);
+
+  // A non-empty directory in the way makes the rename fail
+  await mkdir(filePath);
+  await writeFile(join(filePath, "blocker"), "");
+  await assert.rejects(kv.put("a", "1"));
+  // Shutdown waits on flush(), which must not reject after a failed write
+  await kv.flush();
+
+  await rm(filePath, { recursive: true });
+  await kv.put("b", "2");
+  await kv.flush();
+
+  const saved = JSON.parse(await readFile(filePath, "utf8"));
+  assert.deepEqual(Object.keys(saved).sort(), ["a", "b"]);
+  await rm(dir, { recursive: true });
+});
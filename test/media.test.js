@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { MEDIA_POLICY } from "../src/config.js";
+import { isGuestBlocked, getCounter } from "../src/storage.js";
+
+const defaultPolicy = { ...MEDIA_POLICY };
+
+let h;
+let guestId = 10000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(async () => {
+  h.reset();
+  guestId++;
+  // Every fake file has the same bytes; forget verdicts between tests
+  const { keys } = await h.kv.list({ prefix: "imgcache:" });
+  await Promise.all(keys.map((k) => h.kv.delete(k.name)));
+});
+
+afterEach(() => {
+  Object.assign(MEDIA_POLICY, defaultPolicy);
+});
+
+/** Names of the files the bot fetched with getFile */
+const fetchedFiles = () => h.tg.callsTo("getFile").map((p) => p.file_id);
+
+test("videos are checked through their thumbnail", async () => {
+  h.gemini.verdict = "UNSAFE";
+  await h.send({
+    message: h.guestMessage(guestId, {
+      video: {
+        file_id: "video",
+        thumbnail: { file_id: "video-thumb", file_unique_id: "vt-1" },
+      },
+    }),
+  });
+
+  assert.deepEqual(fetchedFiles(), ["video-thumb"]);
+  assert.ok(h.gemini.requests[0].body.contents[0].parts[0].inline_data);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("animated stickers without a thumbnail count as unavailable", async () => {
+  const failures = await getCounter(h.kv, "moderation-failures");
+  await h.send({
+    message: h.guestMessage(guestId, {
+      sticker: { file_id: "tgs", file_unique_id: "tgs-1", is_animated: true },
+    }),
+  });
+
+  // The default "allow" failure policy still delivers it
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+  assert.equal(await getCounter(h.kv, "moderation-failures"), failures + 1);
+});
+
+test("media Telegram cannot fetch counts as unavailable", async () => {
+  const failures = await getCounter(h.kv, "moderation-failures");
+  h.tg.on("getFile", () => ({
+    ok: false,
+    error_code: 400,
+    description: "Bad Request: file is too big",
+  }));
+  await h.send({
+    message: h.guestMessage(guestId, {
+      photo: [{ file_id: "huge", file_unique_id: "huge-1" }],
+    }),
+  });
+
+  assert.deepEqual(fetchedFiles(), ["huge"]);
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(await getCounter(h.kv, "moderation-failures"), failures + 1);
+});
+
+test("small image documents are checked in full", async () => {
+  await h.send({
+    message: h.guestMessage(guestId, {
+      document: {
+        file_id: "doc",
+        file_unique_id: "doc-1",
+        mime_type: "image/png",
+        file_size: 70,
+        thumbnail: { file_id: "doc-thumb", file_unique_id: "dt-1" },
+      },
+    }),
+  });
+
+  assert.deepEqual(fetchedFiles(), ["doc"]);
+  assert.equal(h.gemini.requests.length, 1);
+});
+
+test("voice notes are transcribed when moderated", async () => {
+  MEDIA_POLICY.voice = "moderate";
+  h.gemini.transcript = "send me your bank password";
+  h.gemini.verdict = "UNSAFE";
+  await h.send({
+    message: h.guestMessage(guestId, {
+      voice: { file_id: "voice", duration: 4, mime_type: "audio/ogg" },
+    }),
+  });
+
+  assert.equal(h.gemini.requests.length, 2);
+  const checked = h.gemini.requests[1].body.contents[0].parts[0].text;
+  assert.match(checked, /bank password/);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("voice notes are forwarded unchecked by default", async () => {
+  await h.send({
+    message: h.guestMessage(guestId, {
+      voice: { file_id: "voice", duration: 4, mime_type: "audio/ogg" },
+    }),
+  });
+
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("rejected media types get a notice and are not forwarded", async () => {
+  MEDIA_POLICY.video_note = "reject";
+  await h.send({
+    message: h.guestMessage(guestId, {
+      video_note: { file_id: "round", duration: 3 },
+    }),
+  });
+
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.match(h.tg.messagesTo(guestId)[0], /not accepted/);
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
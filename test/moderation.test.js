@@ -0,0 +1,197 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import { isGuestBlocked, getBlockInfo, getTrustScore } from "../src/storage.js";
+import { parseVerdict } from "../src/providers/shared.js";
+
+let h;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => h.reset());
+
+test("safe text is forwarded to the admin", async () => {
+  const guestId = 2001;
+  await h.send({ message: h.guestMessage(guestId, { text: "hello there" }) });
+
+  assert.equal(h.gemini.requests.length, 1);
+  const [forward] = h.tg.callsTo("forwardMessage");
+  assert.equal(forward.chat_id, String(ADMIN_ID));
+  assert.equal(forward.from_chat_id, guestId);
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("unsafe photo → auto-block → appeal → accept", async () => {
+  const guestId = 2002;
+  h.gemini.verdict = "UNSAFE";
+
+  await h.send({
+    message: h.guestMessage(guestId, {
+      photo: [
+        { file_id: "small", file_unique_id: "s" },
+        { file_id: "big", file_unique_id: "b" },
+      ],
+    }),
+  });
+
+  // The largest photo size is downloaded and sent inline to Gemini
+  assert.deepEqual(h.tg.callsTo("getFile"), [{ file_id: "big" }]);
+  const parts = h.gemini.requests[0].body.contents[0].parts;
+  assert.ok(parts.some((p) => p.inline_data || p.inlineData));
+
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+  assert.match((await getBlockInfo(h.kv, guestId)).reason, /^AI Filter/);
+  assert.equal(h.tg.messagesTo(guestId).length, 1);
+
+  // Blocked guests can still appeal
+  h.reset();
+  await h.send({
+    message: h.guestMessage(guestId, { text: "/appeal it was a cat" }),
+  });
+  const [appeal] = h.tg
+    .callsTo("sendMessage")
+    .filter((p) => p.chat_id === String(ADMIN_ID));
+  assert.match(appeal.text, /it was a cat/);
+  const buttons = appeal.reply_markup.inline_keyboard.flat();
+  const accept = buttons.find((b) =>
+    b.callback_data.startsWith("appeal:accept"),
+  );
+  assert.ok(accept);
+
+  h.reset();
+  await h.send({ callback_query: h.callback(accept.callback_data) });
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+  assert.equal(h.tg.callsTo("answerCallbackQuery").length, 1);
+  assert.equal(h.tg.messagesTo(guestId).length, 1);
+
+  // Messages flow again after the appeal is accepted
+  h.reset();
+  await h.send({ message: h.guestMessage(guestId, { text: "thanks" }) });
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("moderation errors fail open", async () => {
+  const guestId = 2003;
+  h.gemini.status = 500;
+
+  await h.send({ message: h.guestMessage(guestId, { text: "anyone there?" }) });
+
+  assert.ok(h.gemini.requests.length >= 1);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("structured verdicts reach the guest, block info and appeal", async () => {
+  const guestId = 2004;
+  h.gemini.verdict = JSON.stringify({
+    verdict: "UNSAFE",
+    categories: ["scam", "QR code"],
+    confidence: 0.92,
+    rationale: "Fake giveaway asking to scan a code",
+  });
+
+  await h.send({
+    message: h.guestMessage(guestId, { text: "free money, scan here" }),
+  });
+
+  const reason = "scam, qr_code: Fake giveaway asking to scan a code (92%)";
+  const info = await getBlockInfo(h.kv, guestId);
+  assert.equal(info.reason, `AI Filter: ${reason}`);
+  assert.deepEqual(info.verdict.categories, ["scam", "qr_code"]);
+  assert.ok(h.tg.messagesTo(guestId)[0].includes(reason));
+
+  h.reset();
+  await h.send({ message: h.guestMessage(guestId, { text: "/appeal" }) });
+  assert.ok(h.tg.messagesTo(ADMIN_ID)[0].includes(reason));
+
+  h.reset();
+  await h.send({ message: h.adminMessage("/list") });
+  assert.ok(h.tg.messagesTo(ADMIN_ID)[0].includes(reason));
+});
+
+test("cached verdicts keep their reason", async () => {
+  h.gemini.verdict = JSON.stringify({
+    verdict: "UNSAFE",
+    categories: ["gambling"],
+    confidence: 0.8,
+    rationale: "Casino promotion",
+  });
+  await h.send({ message: h.guestMessage(2005, { text: "best odds here" }) });
+
+  h.reset();
+  await h.send({ message: h.guestMessage(2006, { text: "best odds here" }) });
+  assert.equal(h.gemini.requests.length, 0);
+  assert.match(
+    (await getBlockInfo(h.kv, 2006)).reason,
+    /gambling: Casino promotion \(80%\)/,
+  );
+});
+
+test("edits are moderated without earning trust", async () => {
+  const guestId = 2007;
+  const message = h.guestMessage(guestId, { text: "hello" });
+  await h.send({ message });
+  assert.equal(await getTrustScore(h.kv, guestId), 1);
+
+  h.reset();
+  await h.send({ edited_message: { ...message, text: "hello again" } });
+  assert.equal(h.gemini.requests.length, 1);
+  assert.equal(await getTrustScore(h.kv, guestId), 1);
+
+  // Edits of messages that were never forwarded are ignored
+  h.reset();
+  await h.send({
+    edited_message: { ...message, message_id: 999999, text: "sneaky" },
+  });
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.calls.length, 0);
+});
+
+test("malformed JSON falls back to the SAFE/UNSAFE keyword", () => {
+  const unsafe = parseVerdict('{"verdict": UNSAFE, "categories": [');
+  assert.equal(unsafe.unsafe, true);
+  assert.equal(unsafe.reason, "Content policy violation");
+
+  assert.equal(parseVerdict("Safe.").unsafe, false);
+  assert.equal(parseVerdict("I cannot help with that"), null);
+
+  const fenced = parseVerdict(
+    '```json\n{"verdict":"SAFE","confidence":0.99}\n```',
+  );
+  assert.deepEqual(fenced.categories, []);
+  assert.equal(fenced.confidence, 0.99);
+});
+
+test("consecutive failures alert the admin once and show in /stats", async () => {
+  h.gemini.status = 503;
+  for (let i = 0; i < 6; i++) {
+    await h.send({
+      message: h.guestMessage(2100 + i, { text: `outage message ${i}` }),
+    });
+  }
+
+  // Fail-open by default: every message still went through
+  assert.equal(h.tg.callsTo("forwardMessage").length, 6);
+  const alerts = h.tg
+    .messagesTo(ADMIN_ID)
+    .filter((text) => text.includes("[ALERT]"));
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0], /failed 5 times in a row/);
+  assert.match(alerts[0], /HTTP 503/);
+
+  // Unavailable results are not cached
+  h.reset();
+  await h.send({ message: h.guestMessage(2106, { text: "outage message 0" }) });
+  assert.equal(h.gemini.requests.length, 1);
+
+  h.reset();
+  await h.send({ message: h.adminMessage("/stats") });
+  assert.match(h.tg.messagesTo(ADMIN_ID)[0], /Moderation Failures: \d+/);
+});
@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { isGuestBlocked, getActivePolicy } from "../src/storage.js";
+
+let h;
+let guestId = 12000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** Text of the last request sent to the fake Gemini API */
+function lastGeminiRequest() {
+  return JSON.stringify(h.gemini.requests.at(-1).body);
+}
+
+const ADS_VERDICT = JSON.stringify({
+  verdict: "UNSAFE",
+  categories: ["ads"],
+  confidence: 0.9,
+  rationale: "Partner promotion",
+});
+
+test("/policy shows the built-in policy", async () => {
+  const shown = await h.admin("/policy");
+  assert.match(shown, /Moderation Policy \(v0\)/);
+  assert.match(shown, /Model: default/);
+  assert.match(shown, /Real human nudity/);
+});
+
+test("edited rules reach the model and start a fresh cache", async () => {
+  await h.send({
+    message: h.guestMessage(guestId, { text: "vote for my party" }),
+  });
+  assert.doesNotMatch(lastGeminiRequest(), /political campaigning/);
+
+  assert.match(
+    await h.admin("/policy set\nUNSAFE if:\n- political campaigning"),
+    /Policy v1 saved/,
+  );
+  h.reset();
+
+  // Same text again: the old verdict was cached under policy v0
+  await h.send({
+    message: h.guestMessage(guestId, { text: "vote for my party" }),
+  });
+  assert.equal(h.gemini.requests.length, 1);
+  assert.match(lastGeminiRequest(), /political campaigning/);
+});
+
+test("/policy model replaces the model of the primary provider", async () => {
+  await h.admin("/policy model gemini-test-model");
+  await h.send({ message: h.guestMessage(guestId, { text: "hello again" }) });
+
+  assert.match(h.gemini.requests.at(-1).url, /models\/gemini-test-model:/);
+});
+
+test("a disabled category no longer blocks", async () => {
+  assert.match(await h.admin("/policy disable ads"), /v3 saved/);
+  assert.match(await h.admin("/policy disable nonsense"), /Unknown category/);
+  h.reset();
+
+  h.gemini.verdict = ADS_VERDICT;
+  await h.send({
+    message: h.guestMessage(guestId, { text: "our partner shop sale" }),
+  });
+
+  assert.doesNotMatch(lastGeminiRequest(), /nudity, sexual, gore, spam, ads/);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("/policy history lists versions and rollback restores one", async () => {
+  const history = await h.admin("/policy history");
+  assert.match(history, /▶ v3 .* - disable ads/);
+  assert.match(history, /v1 .* - rules updated/);
+
+  assert.match(await h.admin("/policy rollback"), /Rolled back to policy v2/);
+  assert.deepEqual((await getActivePolicy(h.kv)).disabledCategories, []);
+  h.reset();
+
+  h.gemini.verdict = ADS_VERDICT;
+  await h.send({
+    message: h.guestMessage(guestId, { text: "another partner sale" }),
+  });
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("rolling back to v0 restores the built-in policy", async () => {
+  assert.match(await h.admin("/policy rollback 9"), /v9 not found/);
+  assert.match(await h.admin("/policy rollback 0"), /policy v0/);
+  assert.equal(await getActivePolicy(h.kv), null);
+  assert.match(await h.admin("/policy rollback"), /already in use/);
+});
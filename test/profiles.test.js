@@ -0,0 +1,92 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { getGuestProfile, setGuestBlocked } from "../src/storage.js";
+import { RATE_LIMIT_MAX_REQUESTS } from "../src/config.js";
+
+let h;
+let guestId = 16000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** Send a guest message from a Telegram user with the given fields */
+function sendAs(from, text) {
+  return h.send({
+    message: h.guestMessage(guestId, {
+      text,
+      from: { id: guestId, first_name: "Alice", ...from },
+    }),
+  });
+}
+
+test("every message updates the profile", async () => {
+  await sendAs({ username: "alice", language_code: "en" }, "hi");
+  await sendAs({ username: "alice", is_premium: true }, "hi again");
+
+  const profile = await getGuestProfile(h.kv, String(guestId));
+  assert.equal(profile.messageCount, 2);
+  assert.equal(profile.username, "alice");
+  assert.equal(profile.languageCode, "en");
+  assert.equal(profile.isPremium, true);
+  assert.ok(profile.firstSeen <= profile.lastSeen);
+  assert.equal(profile.nameHistory.length, 1);
+});
+
+test("blocked and rate-limited messages are not counted", async () => {
+  for (let i = 0; i < RATE_LIMIT_MAX_REQUESTS + 2; i++) {
+    await sendAs({}, `flood ${i}`);
+  }
+  await setGuestBlocked(h.kv, String(guestId), true, "flood");
+  await sendAs({}, "let me in");
+
+  const profile = await getGuestProfile(h.kv, String(guestId));
+  assert.equal(profile.messageCount, RATE_LIMIT_MAX_REQUESTS);
+});
+
+test("/whois shows username changes newest first", async () => {
+  await sendAs({ username: "alice" }, "hello");
+  await sendAs({ username: "support_team", first_name: "Support" }, "hi");
+  const copy = h.tg.lastResult("forwardMessage").message_id;
+
+  const card = await h.admin("/whois", { replyTo: copy });
+  assert.match(card, /Username: @support_team\nName: Support\n/);
+  assert.match(card, /Messages: 2\n/);
+  assert.match(card, /Relay: open/);
+  assert.match(
+    card,
+    /Name history:\n {2}.*: @support_team \(Support\)\n {2}.*: @alice \(Alice\)\n/,
+  );
+});
+
+test("/whois by ID includes the block history", async () => {
+  await sendAs({}, "hello");
+  await setGuestBlocked(h.kv, String(guestId), true, "spam");
+  await setGuestBlocked(h.kv, String(guestId), false);
+  await h.admin(`/ban ${guestId} 24h rude`);
+
+  const card = await h.admin(`/whois ${guestId}`);
+  assert.match(card, /Username: -\n/);
+  assert.match(card, /Trust score: 0\/3/);
+  assert.match(card, /Blocked: Yes, until /);
+  assert.match(
+    card,
+    /Block history:\n {2}.*: rude\n {4}until .*\n {2}.*: spam\n {4}lifted /,
+  );
+});
+
+test("/whois explains unknown guests and bad input", async () => {
+  assert.match(await h.admin("/whois 1234567"), /No profile for 1234567/);
+  assert.match(await h.admin("/whois abc"), /Invalid user ID/);
+  assert.match(await h.admin("/whois"), /Usage: \/whois/);
+});
@@ -0,0 +1,71 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { getModerationProviders } from "../src/ai.js";
+import { isGuestBlocked, getBlockInfo } from "../src/storage.js";
+
+let h;
+let guestId = 5000;
+
+before(async () => {
+  h = await createHarness({
+    ENV_MODERATION_PROVIDERS: "rules,openai-moderation,gemini",
+  });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+test("unknown and unconfigured providers are skipped", () => {
+  const names = getModerationProviders({
+    ENV_MODERATION_PROVIDERS: "rules, nope, workers-ai, gemini",
+  }).map((p) => p.name);
+  assert.deepEqual(names, ["rules"]);
+});
+
+test("a local rule match blocks without calling any API", async () => {
+  await h.send({
+    message: h.guestMessage(guestId, { text: "join t.me/+abcdef now" }),
+  });
+
+  assert.equal(h.openai.requests.length, 0);
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+  assert.match((await getBlockInfo(h.kv, guestId)).reason, /invite link/);
+});
+
+test("a clear moderation verdict stops the chain", async () => {
+  h.openai.scores = { harassment: 0.01 };
+  await h.send({ message: h.guestMessage(guestId, { text: "good morning" }) });
+
+  assert.equal(h.openai.requests.length, 1);
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("borderline scores escalate to the next provider", async () => {
+  h.openai.scores = { harassment: 0.5 };
+  h.gemini.verdict = "UNSAFE";
+  await h.send({ message: h.guestMessage(guestId, { text: "borderline" }) });
+
+  assert.equal(h.openai.requests.length, 1);
+  assert.equal(h.gemini.requests.length, 1);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+});
+
+test("flagged categories are mapped to the moderation categories", async () => {
+  h.openai.flagged = true;
+  h.openai.scores = { "violence/graphic": 0.9, harassment: 0.7, hate: 0.6 };
+  await h.send({ message: h.guestMessage(guestId, { text: "flagged text" }) });
+
+  assert.equal(h.gemini.requests.length, 0);
+  const { verdict } = await getBlockInfo(h.kv, guestId);
+  assert.deepEqual(verdict.categories, ["gore", "other"]);
+  assert.equal(verdict.confidence, 0.9);
+});
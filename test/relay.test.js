@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+
+let h;
+
+before(async () => {
+  // Moderation is covered in moderation.test.js
+  h = await createHarness({ ENV_GEMINI_API_KEY: "" });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => h.reset());
+
+/** Send a guest message and return the message ID of its admin copy */
+async function relayFromGuest(guestId, text) {
+  await h.send({ message: h.guestMessage(guestId, { text }) });
+  const forwarded = h.tg.lastResult("forwardMessage");
+  h.tg.reset();
+  return forwarded.message_id;
+}
+
+test("admin reply is copied to the guest", async () => {
+  const guestId = 3001;
+  const adminMsgId = await relayFromGuest(guestId, "question");
+
+  await h.send({ message: h.adminMessage("answer", adminMsgId) });
+
+  const [copy] = h.tg.callsTo("copyMessage");
+  assert.equal(String(copy.chat_id), String(guestId));
+  assert.equal(String(copy.from_chat_id), String(ADMIN_ID));
+});
+
+test("duplicate updates are processed once", async () => {
+  const update = await h.send({
+    message: h.guestMessage(3002, { text: "once" }),
+  });
+  await h.send(update);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("gaps and out-of-order updates are logged", async (t) => {
+  const log = t.mock.method(console, "log");
+  const updateLogs = () =>
+    log.mock.calls
+      .map(({ arguments: [line] }) => String(line))
+      .filter((line) => line.startsWith("[Update]"));
+
+  for (const update_id of [900001, 900003, 900002]) {
+    await h.send({
+      update_id,
+      message: h.guestMessage(3006, { text: `update ${update_id}` }),
+    });
+  }
+  assert.deepEqual(updateLogs().slice(-2), [
+    "[Update] Gap before update 900003: 900002 not seen",
+    "[Update] Out-of-order update 900002",
+  ]);
+});
+
+test("guest edits are sent as a diff reply to the forwarded copy", async () => {
+  const guestId = 3003;
+  const message = h.guestMessage(guestId, { text: "see you at 5" });
+  await h.send({ message });
+  const adminMsgId = h.tg.lastResult("forwardMessage").message_id;
+  h.tg.reset();
+
+  await h.send({ edited_message: { ...message, text: "see you at 6" } });
+
+  const [notice] = h.tg.callsTo("sendMessage");
+  assert.equal(notice.reply_parameters.message_id, adminMsgId);
+  assert.match(notice.text, /- see you at 5/);
+  assert.match(notice.text, /\+ see you at 6/);
+});
+
+test("guests who stop the bot cannot be replied to", async () => {
+  const guestId = 3004;
+  const adminMsgId = await relayFromGuest(guestId, "bye");
+
+  await h.send({
+    my_chat_member: {
+      chat: { id: guestId, type: "private" },
+      from: { id: guestId },
+      old_chat_member: { status: "member", user: { id: 1 } },
+      new_chat_member: { status: "kicked", user: { id: 1 } },
+    },
+  });
+  h.tg.reset();
+
+  await h.send({ message: h.adminMessage("still there?", adminMsgId) });
+  assert.equal(h.tg.callsTo("copyMessage").length, 0);
+  assert.equal(h.tg.messagesTo(ADMIN_ID).length, 1);
+});
+
+test("a stopped guest who writes again can be replied to", async () => {
+  const guestId = 3005;
+  await relayFromGuest(guestId, "hello");
+  await h.send({
+    my_chat_member: {
+      chat: { id: guestId, type: "private" },
+      from: { id: guestId },
+      old_chat_member: { status: "member", user: { id: 1 } },
+      new_chat_member: { status: "kicked", user: { id: 1 } },
+    },
+  });
+
+  // Restarted, but the my_chat_member update never arrived
+  const adminMsgId = await relayFromGuest(guestId, "I'm back");
+  await h.send({ message: h.adminMessage("welcome back", adminMsgId) });
+
+  const [copy] = h.tg.callsTo("copyMessage");
+  assert.equal(String(copy.chat_id), String(guestId));
+});
+
+test("relays and their links expire without a cleanup job", async () => {
+  await relayFromGuest(3090, "short-lived");
+
+  const { keys } = await h.kv.list();
+  for (const prefix of ["relay:", "guest:latest:3090", "admin-msg:"]) {
+    const key = keys.find((k) => k.name.startsWith(prefix));
+    assert.ok(key?.expiration > Date.now() / 1000, `${prefix} has a TTL`);
+  }
+});
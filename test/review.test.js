@@ -0,0 +1,175 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import {
+  isGuestBlocked,
+  getCounter,
+  getBlockInfo,
+  createReview,
+} from "../src/storage.js";
+import { createRuleVerdict } from "../src/filters.js";
+
+let h;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => h.reset());
+
+/** Script a low-confidence UNSAFE verdict, which always goes to review */
+function flagWithLowConfidence() {
+  h.gemini.verdict = JSON.stringify({
+    verdict: "UNSAFE",
+    categories: ["ads"],
+    confidence: 0.4,
+    rationale: "Possibly promotional",
+  });
+}
+
+/** Send a flagged message and return the review card sent to the admin */
+async function sendForReview(guestId, fields) {
+  flagWithLowConfidence();
+  await h.send({ message: h.guestMessage(guestId, fields) });
+
+  const sent = h.tg.calls.find(
+    (c) => c.method === "sendMessage" && c.params.chat_id === String(ADMIN_ID),
+  );
+  const card = sent.params;
+  const buttons = card.reply_markup.inline_keyboard.flat();
+  const cardMessage = {
+    message_id: sent.response.result.message_id,
+    chat: { id: ADMIN_ID, type: "private" },
+    text: card.text,
+  };
+  h.reset();
+  return { card, buttons, cardMessage };
+}
+
+/** Click a review button on the card */
+async function click(buttons, action, cardMessage) {
+  const button = buttons.find((b) => b.callback_data.startsWith(action));
+  await h.send({
+    callback_query: h.callback(button.callback_data, { message: cardMessage }),
+  });
+}
+
+test("low-confidence verdicts are held instead of blocking", async () => {
+  const guestId = 6001;
+  const { card, buttons } = await sendForReview(guestId, {
+    text: "check out my shop",
+  });
+
+  assert.match(card.text, /check out my shop/);
+  assert.match(card.text, /ads: Possibly promotional \(40%\)/);
+  assert.deepEqual(
+    buttons.map((b) => b.callback_data.split(":")[1]),
+    ["approve", "reject", "block"],
+  );
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+});
+
+test("approving delivers the message as a normal relay", async () => {
+  const guestId = 6002;
+  const { buttons, cardMessage } = await sendForReview(guestId, {
+    text: "legit question",
+  });
+
+  await click(buttons, "review:approve", cardMessage);
+
+  const [forward] = h.tg.callsTo("forwardMessage");
+  assert.equal(forward.from_chat_id, guestId);
+  assert.equal(h.tg.messagesTo(guestId).length, 1);
+  const [edit] = h.tg.callsTo("editMessageText");
+  assert.equal(edit.message_id, cardMessage.message_id);
+  assert.match(edit.text, /Approved/);
+
+  // A second click does nothing
+  h.reset();
+  await click(buttons, "review:approve", cardMessage);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.match(h.tg.messagesTo(ADMIN_ID)[0], /already handled/);
+});
+
+test("media is copied to the admin above the card", async () => {
+  flagWithLowConfidence();
+  await h.send({
+    message: h.guestMessage(6003, {
+      photo: [{ file_id: "p1", file_unique_id: "u1" }],
+    }),
+  });
+
+  const [copy] = h.tg.callsTo("copyMessage");
+  const copied = h.tg.lastResult("copyMessage");
+  assert.equal(copy.chat_id, String(ADMIN_ID));
+  const [card] = h.tg.callsTo("sendMessage");
+  assert.equal(card.reply_parameters.message_id, copied.message_id);
+});
+
+test("rejecting and blocking", async () => {
+  const rejected = await sendForReview(6004, { text: "spam maybe" });
+  await click(rejected.buttons, "review:reject", rejected.cardMessage);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.equal(await isGuestBlocked(h.kv, 6004), false);
+
+  h.reset();
+  const blocked = await sendForReview(6005, { text: "spam surely" });
+  await click(blocked.buttons, "review:block", blocked.cardMessage);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.equal(await isGuestBlocked(h.kv, 6005), true);
+});
+
+test("held messages count as AI blocks only once rejected", async () => {
+  const initial = await getCounter(h.kv, "ai-blocks");
+  const approved = await sendForReview(6006, { text: "maybe an ad" });
+  assert.equal(await getCounter(h.kv, "ai-blocks"), initial);
+  await click(approved.buttons, "review:approve", approved.cardMessage);
+  assert.equal(await getCounter(h.kv, "ai-blocks"), initial);
+
+  const rejected = await sendForReview(6007, { text: "surely an ad" });
+  await click(rejected.buttons, "review:reject", rejected.cardMessage);
+  assert.equal(await getCounter(h.kv, "ai-blocks"), initial + 1);
+});
+
+test("blocking a rule verdict records the rule as the reason", async () => {
+  const guestId = 6008;
+  const verdict = createRuleVerdict({
+    rule: { id: 7, type: "keyword" },
+    detail: "jackpot",
+  });
+  const review = await createReview(
+    h.kv,
+    guestId,
+    h.guestMessage(guestId, { text: "jackpot" }),
+    verdict,
+  );
+
+  await h.send({ callback_query: h.callback(`review:block:${review.id}`) });
+
+  const info = await getBlockInfo(h.kv, guestId);
+  assert.equal(info.reason, `Filter Rule: ${verdict.reason}`);
+});
+
+test("every moderator's card shows the decision", async () => {
+  const moderatorId = 6500;
+  await h.admin(`/admin add ${moderatorId} moderator`);
+  h.reset();
+  const { buttons, cardMessage } = await sendForReview(6009, {
+    text: "buy followers",
+  });
+
+  await click(buttons, "review:reject", cardMessage);
+
+  const edits = h.tg.callsTo("editMessageText");
+  assert.deepEqual(
+    edits.map((e) => String(e.chat_id)).sort(),
+    [String(ADMIN_ID), String(moderatorId)].sort(),
+  );
+  for (const edit of edits) assert.match(edit.text, /Rejected/);
+
+  await h.admin(`/admin remove ${moderatorId}`);
+});
@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./harness.js";
+import { evaluateFilterRules, parseFilterRule } from "../src/filters.js";
+import {
+  isGuestBlocked,
+  getBlockInfo,
+  setUserTrusted,
+  getFilterRules,
+  getFilterRuleHits,
+} from "../src/storage.js";
+
+let h;
+let guestId = 8000;
+
+before(async () => {
+  h = await createHarness();
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+/** Build a rule list from /rule add arguments */
+function rules(...specs) {
+  return specs.map((spec, i) => ({
+    ...parseFilterRule(...spec).rule,
+    id: i + 1,
+  }));
+}
+
+test("rule types match what they describe", () => {
+  const list = rules(
+    ["keyword", "block", "casino, free spins"],
+    ["regex", "block", "b[i1]tc[o0]in"],
+    ["domain", "block", "bad.example"],
+    ["invite", "block"],
+    ["links", "block", "2"],
+  );
+  const match = (fields) => evaluateFilterRules(list, fields)?.rule.id ?? null;
+
+  assert.equal(match({ text: "Try FREE SPINS today" }), 1);
+  assert.equal(match({ text: "cheap b1tc0in" }), 2);
+  assert.equal(match({ text: "see https://cdn.bad.example/x" }), 3);
+  assert.equal(match({ text: "see notbad.example" }), null);
+  assert.equal(
+    match({
+      text: "click here",
+      entities: [{ type: "text_link", url: "https://bad.example" }],
+    }),
+    3,
+  );
+  assert.equal(match({ caption: "join t.me/joinchat/abc" }), 4);
+  assert.equal(match({ text: "a.com b.com c.com" }), 5);
+  assert.equal(match({ text: "a.com b.com" }), null);
+});
+
+test("invalid rules are rejected with a reason", () => {
+  assert.equal(parseFilterRule("keyword", "nuke", "x").error, "rule_usage");
+  assert.equal(
+    parseFilterRule("regex", "block", "(").error,
+    "rule_invalid_regex",
+  );
+  assert.equal(
+    parseFilterRule("links", "block", "-1").error,
+    "rule_invalid_limit",
+  );
+});
+
+test("a block rule blocks without calling the AI", async () => {
+  assert.match(
+    await h.admin("/rule add keyword block jackpot, casino"),
+    /#1 keyword → block: jackpot, casino/,
+  );
+  h.reset();
+
+  await h.send({
+    message: h.guestMessage(guestId, { text: "Huge JACKPOT inside" }),
+  });
+
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 0);
+  assert.equal(await isGuestBlocked(h.kv, guestId), true);
+  assert.match((await getBlockInfo(h.kv, guestId)).reason, /Rule #1/);
+});
+
+test("an allow rule skips the AI check", async () => {
+  await h.admin("/rule add domain allow docs.example.org");
+  h.reset();
+
+  await h.send({
+    message: h.guestMessage(guestId, {
+      text: "see https://docs.example.org/page",
+    }),
+  });
+
+  assert.equal(h.gemini.requests.length, 0);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("an ai rule checks messages from trusted guests", async () => {
+  await h.admin("/rule add regex ai wallet\\s+seed");
+  await setUserTrusted(h.kv, guestId);
+  h.reset();
+
+  await h.send({ message: h.guestMessage(guestId, { text: "hi there" }) });
+  assert.equal(h.gemini.requests.length, 0);
+
+  await h.send({
+    message: h.guestMessage(guestId, { text: "send me your wallet  seed" }),
+  });
+  assert.equal(h.gemini.requests.length, 1);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 2);
+});
+
+test("/rule list shows hits and /rule del removes a rule", async () => {
+  const list = await h.admin("/rule list");
+  assert.match(list, /#1 keyword → block: jackpot, casino \(1 hits\)/);
+  // Guest traffic never rewrites the rule list
+  assert.equal((await getFilterRules(h.kv))[0].hits, undefined);
+
+  assert.match(await h.admin("/rule del 1"), /Rule #1 deleted/);
+  assert.match(await h.admin("/rule del 1"), /Rule #1 not found/);
+  assert.equal(
+    (await getFilterRules(h.kv)).some((r) => r.id === 1),
+    false,
+  );
+  assert.equal(await getFilterRuleHits(h.kv, 1), 0);
+});
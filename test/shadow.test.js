@@ -0,0 +1,72 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness, ADMIN_ID } from "./harness.js";
+import { isGuestBlocked, getShadowReport } from "../src/storage.js";
+
+let h;
+let guestId = 11000;
+
+before(async () => {
+  // Live: Gemini. Shadow: the OpenAI chat model with a different model name
+  h = await createHarness({
+    ENV_SHADOW_MODERATION_PROVIDERS: "openai",
+    ENV_SHADOW_OPENAI_MODEL: "candidate-model",
+  });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => {
+  h.reset();
+  guestId++;
+});
+
+test("shadow verdicts are recorded but never act", async () => {
+  h.openai.verdict = "UNSAFE";
+  await h.send({
+    message: h.guestMessage(guestId, { text: "meet me at the market" }),
+  });
+
+  assert.equal(h.gemini.requests.length, 1);
+  assert.equal(h.openai.requests[0].body.model, "candidate-model");
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+  assert.equal(await isGuestBlocked(h.kv, guestId), false);
+
+  const { stats, disagreements } = await getShadowReport(h.kv);
+  assert.equal(stats.total, 1);
+  assert.equal(stats.shadowOnly, 1);
+  assert.equal(disagreements[0].preview, "meet me at the market");
+});
+
+test("agreements count toward the agreement rate", async () => {
+  await h.send({ message: h.guestMessage(guestId, { text: "good night" }) });
+
+  const { stats } = await getShadowReport(h.kv);
+  assert.equal(stats.total, 2);
+  assert.equal(stats.agreed, 1);
+});
+
+test("admin checks do not feed the shadow report", async () => {
+  await h.send({ message: h.adminMessage("/checktext some admin text") });
+
+  assert.equal(h.openai.requests.length, 0);
+  assert.equal((await getShadowReport(h.kv)).stats.total, 2);
+});
+
+test("/modreport shows agreement and disagreements", async () => {
+  await h.send({ message: h.adminMessage("/modreport") });
+  const report = h.tg.messagesTo(ADMIN_ID)[0];
+
+  assert.match(report, /Compared: 2/);
+  assert.match(report, /Agreement: 50\.0%/);
+  assert.match(
+    report,
+    /meet me at the market\n {2}Live: SAFE\n {2}Shadow: UNSAFE/,
+  );
+
+  h.reset();
+  await h.send({ message: h.adminMessage("/modreport reset") });
+  assert.equal((await getShadowReport(h.kv)).stats, null);
+});
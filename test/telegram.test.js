@@ -0,0 +1,86 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeTelegram } from "./harness.js";
+import { createTelegramClient, TelegramErrorKind } from "../src/telegram.js";
+
+let tg;
+let telegram;
+
+before(async () => {
+  tg = await startFakeTelegram();
+  telegram = createTelegramClient("123:TEST", tg.url, { baseDelayMs: 1 });
+});
+
+after(async () => {
+  await tg.close();
+});
+
+beforeEach(() => tg.reset());
+
+/** Fail the first `times` calls with `response`, then succeed */
+function failFirst(method, times, response) {
+  let calls = 0;
+  tg.on(method, () =>
+    ++calls <= times
+      ? { ok: false, ...response }
+      : { ok: true, result: { message_id: 1 } },
+  );
+}
+
+test("server errors are retried for idempotent methods", async () => {
+  failFirst("editMessageText", 2, {
+    error_code: 502,
+    description: "Bad Gateway",
+  });
+
+  const result = await telegram.editMessageText({
+    chat_id: 1,
+    message_id: 1,
+    text: "hi",
+  });
+  assert.equal(result.ok, true);
+  assert.equal(tg.callsTo("editMessageText").length, 3);
+});
+
+test("server errors are not retried when sending a message", async () => {
+  failFirst("sendMessage", 1, { error_code: 502, description: "Bad Gateway" });
+
+  const result = await telegram.sendMessage({ chat_id: 1, text: "hi" });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.kind, TelegramErrorKind.SERVER_ERROR);
+  assert.equal(tg.callsTo("sendMessage").length, 1);
+});
+
+test("rate limits are retried when sending a message", async () => {
+  failFirst("copyMessage", 1, {
+    error_code: 429,
+    description: "Too Many Requests: retry after 0",
+    parameters: { retry_after: 0 },
+  });
+
+  const result = await telegram.copyMessage({
+    chat_id: 1,
+    from_chat_id: 2,
+    message_id: 3,
+  });
+  assert.equal(result.ok, true);
+  assert.equal(tg.callsTo("copyMessage").length, 2);
+});
+
+test("refused connections are retried when sending a message", async (t) => {
+  const { url, close } = await startFakeTelegram();
+  await close();
+  const offline = createTelegramClient("123:TEST", url, {
+    baseDelayMs: 1,
+    maxRetries: 2,
+  });
+
+  const log = t.mock.method(console, "log");
+
+  const result = await offline.sendMessage({ chat_id: 1, text: "hi" });
+  assert.equal(result.error.kind, TelegramErrorKind.NETWORK_ERROR);
+  const retries = log.mock.calls.filter(({ arguments: [line] }) =>
+    line.includes("retrying"),
+  );
+  assert.equal(retries.length, 2);
+});
@@ -0,0 +1,64 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+import { createHarness, BOT_SECRET } from "./harness.js";
+
+let h;
+
+before(async () => {
+  h = await createHarness({ ENV_GEMINI_API_KEY: "" });
+});
+
+after(async () => {
+  await h.close();
+});
+
+beforeEach(() => h.reset());
+
+/** Call the Worker fetch handler and wait for its background work */
+async function request(path, init = {}) {
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+  const response = await worker.fetch(
+    new Request(`https://bot.example${path}`, init),
+    h.env,
+    ctx,
+  );
+  await Promise.all(pending);
+  return response;
+}
+
+test("webhook rejects a wrong secret token", async () => {
+  const response = await request("/endpoint", {
+    method: "POST",
+    headers: { "X-Telegram-Bot-Api-Secret-Token": "wrong" },
+    body: "{}",
+  });
+  assert.equal(response.status, 403);
+});
+
+test("webhook dispatches updates with the right secret token", async () => {
+  const response = await request("/endpoint", {
+    method: "POST",
+    headers: { "X-Telegram-Bot-Api-Secret-Token": BOT_SECRET },
+    body: JSON.stringify({
+      update_id: 1,
+      message: h.guestMessage(4001, { text: "via webhook" }),
+    }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal(h.tg.callsTo("forwardMessage").length, 1);
+});
+
+test("management routes require the bearer secret", async () => {
+  const denied = await request("/registerCommands", { method: "POST" });
+  assert.equal(denied.status, 401);
+  assert.equal(h.tg.calls.length, 0);
+
+  const allowed = await request("/registerCommands", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${BOT_SECRET}` },
+  });
+  assert.equal(allowed.status, 200);
+  assert.ok(h.tg.callsTo("setMyCommands").length > 0);
+});